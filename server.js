@@ -1,23 +1,104 @@
+// Load .env before the other imports: modules read their defaults (LOG_LEVEL...) when loaded
+import 'dotenv/config'
 import express from 'express'
+import { randomUUID, randomBytes } from 'crypto'
 import { createServer } from 'http'
 import { Server } from 'socket.io'
+import { createAdapter } from '@socket.io/redis-adapter'
+import { WebSocketServer } from 'ws'
 import cors from 'cors'
-import dotenv from 'dotenv'
-import { readFileSync, existsSync } from 'fs'
-import { DeepgramService } from './services/deepgram.js'
+import { createSTTProvider, STTEvents } from './services/stt.js'
 import { LLMService } from './services/llm.js'
-import { CartesiaService } from './services/cartesia.js'
+import { TTSService } from './services/tts.js'
+import { TTSCache } from './services/tts-cache.js'
+import { FillerController } from './services/filler-controller.js'
+import { LanguageTracker, formatLanguageInstruction } from './services/language.js'
+import { AgentRegistry } from './services/agents.js'
+import { getTool, getTools, executeTool, DEFAULT_TOOL_ACKNOWLEDGEMENT } from './services/tools.js'
+import { CallStore } from './services/call-store.js'
+import { extractLead, PLAN_INTERESTS } from './services/lead-extractor.js'
+import { CallRecorder, RecordingStore, formatTimestampedTranscript } from './services/call-recorder.js'
+import { TurnManager } from './services/turn-manager.js'
+import { TenantRegistry, AuthError, AuthErrorCodes, getAllowedOrigins, isOriginAllowed, getCredential } from './services/auth.js'
+import { CallLimiter } from './services/call-limiter.js'
+import { CallMonitor } from './services/call-monitor.js'
+import { HandoffQueue, isHumanRequest } from './services/handoff-queue.js'
+import { ResumableClient } from './services/resumable-client.js'
+import { createSessionStore } from './services/session-store.js'
+import { ContextManager, createSummarizer } from './services/context-manager.js'
+import { CallerMemory, isValidCallerId, formatCallerMemory } from './services/caller-memory.js'
+import { KnowledgeBase, isValidDocumentName, formatPassages } from './services/knowledge-base.js'
+import { DemoScheduler, BookingError } from './services/demo-scheduler.js'
+import { WebhookDispatcher } from './services/webhooks.js'
+import { TwilioMediaStreamClient, TWILIO_AUDIO_FORMAT, buildStreamTwiML } from './services/twilio.js'
+import { SentenceDetector } from './utils/sentence-detector.js'
+import { TTSQueue } from './utils/tts-queue.js'
+import { resolveAudioFormat, transcodeAudio, getAudioDuration, DEFAULT_OUTPUT_FORMAT } from './utils/audio-format.js'
+import { isValidTimeZone } from './utils/time-zone.js'
+import { metrics, PROMETHEUS_CONTENT_TYPE, turnTranscriptToFirstToken, turnFirstTokenToFirstTTSByte, turnTimeToFirstAudio, turnsTotal, providerErrors } from './services/metrics.js'
+import { logger } from './utils/logger.js'
 
-dotenv.config()
+// Load agent definitions (persona, greeting, voice) - invalid files stop the server here
+const agents = new AgentRegistry()
+try {
+  agents.load()
+} catch (error) {
+  logger.error('Invalid agent definitions', { problems: error.problems || [error.message] })
+  process.exit(1)
+}
+agents.watch()
+
+// Synthesized clips shared by every call (see prewarmAgentAudio)
+const ttsCache = new TTSCache()
+
+// Reference documents retrieved into the prompt: each agent's shared ones (KNOWLEDGE_DIR/<agentId>/)
+// plus each tenant's own (DATA_DIR/knowledge/<tenantId>/<agentId>/)
+const knowledgeBase = new KnowledgeBase()
+
+// Tenants (API keys + call limits) - an invalid TENANTS_FILE stops the server here
+const tenants = new TenantRegistry()
+try {
+  tenants.load()
+} catch (error) {
+  logger.error('Invalid tenants configuration', { error: error.message })
+  process.exit(1)
+}
+if (tenants.disabled) {
+  logger.warn('AUTH_DISABLED=true - every client is accepted as the "default" tenant')
+} else if (tenants.tenants.size === 0) {
+  logger.warn('No tenants configured - every connection will be rejected', { file: tenants.file })
+}
+for (const tenantId of tenants.disabled ? ['default'] : tenants.tenants.keys()) {
+  for (const agent of agents.list()) {
+    knowledgeBase.reindex(tenantId, agent.id).catch(error => {
+      logger.error('Error indexing knowledge', { tenantId, agentId: agent.id, error })
+    })
+  }
+}
+
+// Sales reps and their working hours for demo bookings - an invalid SALES_TEAM_FILE stops the server here
+const demoScheduler = new DemoScheduler()
+try {
+  demoScheduler.load()
+} catch (error) {
+  logger.error('Invalid sales team configuration', { error: error.message })
+  process.exit(1)
+}
+demoScheduler.loadBookings().catch(error => {
+  logger.error('Error loading bookings', { error })
+})
 
-// Load pre-recorded greeting if exists (check for .wav or .mp3)
-let prerecordedGreeting = null
-const greetingPaths = ['./assets/greeting.wav', './assets/greeting.mp3']
-for (const path of greetingPaths) {
-  if (existsSync(path)) {
-    prerecordedGreeting = readFileSync(path).toString('base64')
-    console.log(`✅ Loaded pre-recorded greeting: ${path}`)
-    break
+// Outbound webhooks for call lifecycle events - an invalid WEBHOOKS_FILE stops the server here
+const webhooks = new WebhookDispatcher()
+try {
+  webhooks.load()
+} catch (error) {
+  logger.error('Invalid webhooks configuration', { error: error.message })
+  process.exit(1)
+}
+for (const webhook of webhooks.webhooks) {
+  if (!tenants.get(webhook.tenantId)) {
+    logger.warn('Webhook for an unknown tenant will never fire', { webhookId: webhook.id, tenantId: webhook.tenantId })
   }
 }
 
@@ -25,38 +106,27 @@ const app = express()
 const httpServer = createServer(app)
 
 // Configure CORS for Socket.io and Express
+// Allowed origins come from ALLOWED_ORIGINS
 const corsOptions = {
   origin: function (origin, callback) {
-    const allowedOrigins = [
-      'https://voicecallai.netlify.app',
-      'https://voice-ai-backend-production-7a80.up.railway.app',
-      'http://localhost:5173',
-      'http://localhost:3000'
-    ]
     // Allow requests with no origin (like mobile apps or curl requests)
-    if (!origin) return callback(null, true)
-    if (allowedOrigins.indexOf(origin) !== -1) {
+    if (isOriginAllowed(origin)) {
       callback(null, true)
     } else {
-      console.log('CORS blocked origin:', origin)
+      logger.warn('CORS blocked origin', { origin })
       callback(null, false)
     }
   },
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With'],
   exposedHeaders: ['Content-Length', 'Content-Type'],
   maxAge: 86400 // 24 hours
 }
 
 const io = new Server(httpServer, {
   cors: {
-    origin: [
-      'https://voicecallai.netlify.app',
-      'https://voice-ai-backend-production-7a80.up.railway.app',
-      'http://localhost:5173',
-      'http://localhost:3000'
-    ],
+    origin: getAllowedOrigins(),
     methods: ['GET', 'POST'],
     credentials: true
   },
@@ -69,6 +139,15 @@ const io = new Server(httpServer, {
 
 const PORT = process.env.PORT || 3001
 
+// Identifies this process in session records and logs when several instances share a store
+const INSTANCE_ID = process.env.INSTANCE_ID || randomUUID().slice(0, 8)
+
+// Cartesia rejects more than 2 concurrent requests per account
+const TTS_MAX_CONCURRENCY = parseInt(process.env.TTS_MAX_CONCURRENCY || '2', 10)
+
+// How long a call waits for its caller to come back with call-resume after a disconnect (0 disables resuming)
+const SESSION_RESUME_GRACE_SEC = parseInt(process.env.SESSION_RESUME_GRACE_SEC || '30', 10)
+
 // Middleware - CORS must be first
 app.use(cors(corsOptions))
 app.options('*', cors(corsOptions)) // Handle preflight
@@ -79,190 +158,2315 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() })
 })
 
-// Store active sessions
-const activeSessions = new Map()
-
-// Socket.io connection handler
-io.on('connection', (socket) => {
-  console.log(`Client connected: ${socket.id}`)
+// Prometheus metrics. Aggregated across tenants, so set METRICS_TOKEN to require
+// `Authorization: Bearer <METRICS_TOKEN>` when the endpoint is reachable from outside.
+app.get('/metrics', (req, res) => {
+  const metricsToken = process.env.METRICS_TOKEN
+  if (metricsToken && req.get('authorization') !== `Bearer ${metricsToken}`) {
+    return res.status(401).json({ error: 'Invalid metrics token' })
+  }
+  res.type(PROMETHEUS_CONTENT_TYPE).send(metrics.render())
+})
 
-  // Initialize services for this session
-  let session
+// Every route below needs an API key or access token; the tenant is set on req.tenant
+// and the credential's role ('client' or 'admin') on req.role
+function requireTenant(req, res, next) {
   try {
-    session = {
-      id: socket.id,
-      conversationHistory: [],
-      deepgram: null,
-      llm: new LLMService(),
-      cartesia: new CartesiaService(),
-      isCallActive: false,
-      lastActivity: Date.now()
-    }
-    activeSessions.set(socket.id, session)
+    Object.assign(req, tenants.resolve(getCredential(req)))
+    next()
   } catch (error) {
-    console.error(`Error initializing session [${socket.id}]:`, error)
-    socket.emit('error', { message: 'Server configuration error. Please contact administrator.' })
-    return
+    if (!(error instanceof AuthError)) return next(error)
+    res.status(error.status).json({ error: error.message, code: error.code })
   }
+}
 
-  // Handle call start
-  socket.on('call-start', async () => {
-    console.log(`Call started: ${socket.id}`)
-    session.isCallActive = true
+// Admin routes: an admin API key or a token minted with one
+function requireAdmin(req, res, next) {
+  requireTenant(req, res, () => {
+    if (req.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin credentials required', code: AuthErrorCodes.AdminRequired })
+    }
+    next()
+  })
+}
 
-    try {
-      // Initialize Deepgram
-      session.deepgram = new DeepgramService()
-
-      // Setup Deepgram transcript handler
-      session.deepgram.onTranscript((text) => {
-        console.log(`Transcript [${socket.id}]:`, text)
-        socket.emit('transcript', { text })
-        handleUserMessage(socket, session, text)
-      })
+// Exchange an API key for a short-lived access token to hand to a browser: { ttlSec?, callerId? }.
+// Tokens minted with an admin key are admin tokens. callerId is the caller whose history
+// the token's calls load (see Returning Callers).
+app.post('/auth/token', requireTenant, (req, res) => {
+  if (getCredential(req)?.includes('.')) {
+    return res.status(403).json({ error: 'Access tokens are minted with an API key', code: AuthErrorCodes.InvalidToken })
+  }
+  const callerId = req.body?.callerId
+  if (callerId !== undefined && !isValidCallerId(callerId)) {
+    return res.status(400).json({ error: 'callerId must be 1-128 letters, digits or + @ . : _ -', code: 'invalid-caller-id' })
+  }
 
-      // Setup Deepgram error handler
-      session.deepgram.onError((error) => {
-        console.error(`Deepgram error [${socket.id}]:`, error)
-        socket.emit('error', { message: 'Speech recognition error' })
-      })
+  try {
+    res.json({ tenantId: req.tenant.id, ...tenants.createAccessToken(req.tenant.id, { ttlSec: req.body?.ttlSec, role: req.role, callerId }) })
+  } catch (error) {
+    logger.error('Error creating access token', { tenantId: req.tenant.id, error })
+    res.status(500).json({ error: 'Access tokens are not configured' })
+  }
+})
 
-      // Start Deepgram connection
-      await session.deepgram.connect()
+// List available agents (the system prompt stays server-side)
+app.get('/agents', requireTenant, (req, res) => {
+  res.json({
+    defaultAgentId: agents.getDefaultId(),
+    agents: agents.list().map(agent => ({
+      id: agent.id,
+      name: agent.name,
+      description: agent.description,
+      language: agent.stt.language,
+      languages: Object.keys(agent.languages),
+      llmProvider: agent.llm.provider || process.env.LLM_PROVIDER || 'openai',
+      ttsProvider: agent.tts.provider || process.env.TTS_PROVIDER || 'cartesia',
+      hasPrerecordedGreeting: Boolean(agent.greeting.audio)
+    }))
+  })
+})
 
-      socket.emit('status', 'Connected - Start speaking!')
+// Finished calls and their lead records
+const callStore = new CallStore()
+const callerMemory = new CallerMemory(callStore)
+// Calls saved before the caller index existed; returning callers are only recognized once it's built
+callStore.indexCallers().catch(error => logger.error('Error indexing calls by caller', { error }))
 
-      // Send initial greeting
-      const greetingText = "Hey there! I'm Tessa from Apex Solutions. I'm here to help you learn about our AI automation platform. What can I help you with today?"
-      session.conversationHistory.push({ role: 'assistant', content: greetingText })
-      socket.emit('ai-response', { text: greetingText })
+// Call recordings and timestamped transcripts (opt-in per call)
+const recordingStore = new RecordingStore()
 
-      // Use pre-recorded greeting if available, otherwise generate with TTS
-      if (prerecordedGreeting) {
-        console.log('🎙️ Using pre-recorded greeting')
-        socket.emit('audio-response', prerecordedGreeting)
-      } else {
-        console.log('🤖 Generating greeting with Cartesia')
-        const greetingAudio = await session.cartesia.textToSpeech(greetingText)
-        socket.emit('audio-response', greetingAudio)
-      }
+// A call record the request's tenant may see (calls from before auth belong to "default")
+async function getTenantCall(req, callId) {
+  const call = await callStore.get(callId)
+  return call && (call.tenantId || 'default') === req.tenant.id ? call : null
+}
 
-    } catch (error) {
-      console.error(`Error starting call [${socket.id}]:`, error)
-      socket.emit('error', { message: 'Failed to start call' })
+async function listTenantCalls(req) {
+  return (await callStore.list()).filter(call => (call.tenantId || 'default') === req.tenant.id)
+}
+
+// List finished calls
+app.get('/calls', requireTenant, async (req, res) => {
+  try {
+    const calls = await Promise.all((await listTenantCalls(req)).map(async call => ({
+      callId: call.callId,
+      agentId: call.agentId,
+      startedAt: call.startedAt,
+      endedAt: call.endedAt,
+      durationMs: call.durationMs,
+      callerId: call.callerId ?? null,
+      leadStatus: call.leadStatus,
+      hasRecording: Boolean(await recordingStore.getManifest(call.callId))
+    })))
+    res.json({ count: calls.length, calls })
+  } catch (error) {
+    logger.error('Error listing calls', { error })
+    res.status(500).json({ error: 'Failed to list calls' })
+  }
+})
+
+// Transcript as JSON (default) or plain text (?format=text).
+// Recorded calls have per-turn timestamps; others fall back to the saved conversation.
+app.get('/calls/:id/transcript', requireTenant, async (req, res) => {
+  try {
+    const call = await getTenantCall(req, req.params.id)
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' })
     }
-  })
+    const manifest = await recordingStore.getManifest(req.params.id)
 
-  // Handle audio stream from client
-  let audioChunkCount = 0
-  socket.on('audio-stream', async (audioData) => {
-    audioChunkCount++
-    if (audioChunkCount === 1) {
-      console.log(`📥 Receiving audio from client [${socket.id}]`)
+    const transcript = manifest
+      ? manifest.transcript
+      : call.transcript.map(message => ({ speaker: message.role === 'user' ? 'caller' : 'agent', text: message.content }))
+    const agentName = agents.get(call.agentId)?.name || 'Agent'
+
+    if (req.query.format === 'text') {
+      const text = manifest
+        ? formatTimestampedTranscript(transcript, agentName)
+        : transcript.map(entry => `${entry.speaker === 'caller' ? 'Caller' : agentName}: ${entry.text}`).join('\n')
+      res.type('text/plain')
+      res.set('Content-Disposition', `attachment; filename="${req.params.id}.txt"`)
+      return res.send(text + '\n')
     }
 
-    if (session.deepgram && session.isCallActive) {
-      try {
-        // Send audio to Deepgram for transcription
-        session.deepgram.send(audioData)
-      } catch (error) {
-        console.error(`Error processing audio [${socket.id}]:`, error)
-      }
-    } else {
-      if (audioChunkCount === 1) {
-        console.warn(`⚠️ Received audio but call not active or Deepgram not ready`)
-      }
+    res.json({ callId: req.params.id, timestamps: Boolean(manifest), transcript })
+  } catch (error) {
+    logger.error('Error reading transcript', { error })
+    res.status(500).json({ error: 'Failed to read transcript' })
+  }
+})
+
+// Recording as WAV - ?mode=mixed (default) or ?mode=two-track (caller left, agent right)
+app.get('/calls/:id/recording', requireTenant, async (req, res) => {
+  const mode = req.query.mode || 'mixed'
+  if (!['mixed', 'two-track'].includes(mode)) {
+    return res.status(400).json({ error: '"mode" must be "mixed" or "two-track"' })
+  }
+
+  try {
+    const call = await getTenantCall(req, req.params.id)
+    const recording = call && await recordingStore.renderWav(req.params.id, { mode })
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' })
     }
-  })
 
-  // Handle call end
-  socket.on('call-end', () => {
-    console.log(`Call ended: ${socket.id}`)
-    session.isCallActive = false
-    session.lastActivity = Date.now()
+    // Caller audio that isn't linear16 (e.g. browser Opus) can't be mixed
+    res.set('X-Inbound-Audio', recording.inboundIncluded ? 'included' : 'omitted')
+    res.set('Content-Disposition', `attachment; filename="${req.params.id}-${mode}.wav"`)
+    res.type('audio/wav').send(recording.wav)
+  } catch (error) {
+    logger.error('Error rendering recording', { error })
+    res.status(500).json({ error: 'Failed to render recording' })
+  }
+})
 
-    if (session.deepgram) {
-      session.deepgram.disconnect()
-      session.deepgram = null
+// Lead summary for one call
+app.get('/calls/:id/summary', requireTenant, async (req, res) => {
+  try {
+    const call = await getTenantCall(req, req.params.id)
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' })
     }
 
-    socket.emit('status', 'Call ended')
-  })
+    // 202 while the extraction pass is still running
+    res.status(call.leadStatus === 'pending' ? 202 : 200).json({
+      callId: call.callId,
+      agentId: call.agentId,
+      startedAt: call.startedAt,
+      endedAt: call.endedAt,
+      durationMs: call.durationMs,
+      leadStatus: call.leadStatus,
+      lead: call.lead,
+      leadError: call.leadError
+    })
+  } catch (error) {
+    logger.error('Error reading call summary', { error })
+    res.status(500).json({ error: 'Failed to read call summary' })
+  }
+})
 
-  // Handle disconnect
-  socket.on('disconnect', () => {
-    console.log(`Client disconnected: ${socket.id}`)
+// Qualified leads - filters: from, to (ISO dates, on call start), planInterest
+app.get('/leads', requireTenant, async (req, res) => {
+  const { from, to, planInterest } = req.query
+  const fromTime = from ? Date.parse(from) : null
+  // A bare date includes that whole day: anything before the start of the next one
+  const toTime = !to ? null : /^\d{4}-\d{2}-\d{2}$/.test(to) ? Date.parse(to) + 24 * 60 * 60 * 1000 - 1 : Date.parse(to)
 
-    if (session.deepgram) {
-      session.deepgram.disconnect()
-    }
+  if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+    return res.status(400).json({ error: '"from" and "to" must be ISO 8601 dates' })
+  }
+  if (planInterest && !PLAN_INTERESTS.includes(planInterest)) {
+    return res.status(400).json({ error: `"planInterest" must be one of ${PLAN_INTERESTS.join(', ')}` })
+  }
 
-    activeSessions.delete(socket.id)
-  })
+  try {
+    const leads = (await listTenantCalls(req))
+      .filter(call => call.lead)
+      .filter(call => fromTime === null || Date.parse(call.startedAt) >= fromTime)
+      .filter(call => toTime === null || Date.parse(call.startedAt) <= toTime)
+      .filter(call => !planInterest || call.lead.planInterest === planInterest)
+      .map(call => ({ callId: call.callId, agentId: call.agentId, startedAt: call.startedAt, ...call.lead }))
+
+    res.json({ count: leads.length, leads })
+  } catch (error) {
+    logger.error('Error listing leads', { error })
+    res.status(500).json({ error: 'Failed to list leads' })
+  }
 })
 
-// Handle user message and generate AI response
-async function handleUserMessage(socket, session, userMessage) {
+// Demo bookings with the sales team. Reps are shared by every tenant; each tenant only
+// sees and cancels its own bookings.
+const AVAILABILITY_MAX_SLOTS = 200
+
+// Open slots - filters: from (ISO date), days, repId, timeZone (wording of `spoken`), limit
+app.get('/availability', requireTenant, async (req, res) => {
+  const { from, days, repId, timeZone, limit } = req.query
+  const fromTime = from ? Date.parse(from) : Date.now()
+  const dayCount = days === undefined ? demoScheduler.demo.horizonDays : Number(days)
+  const slotLimit = limit === undefined ? 20 : Number(limit)
+
+  if (Number.isNaN(fromTime)) {
+    return res.status(400).json({ error: '"from" must be an ISO 8601 date' })
+  }
+  if (!Number.isInteger(dayCount) || dayCount < 1 || dayCount > demoScheduler.demo.horizonDays) {
+    return res.status(400).json({ error: `"days" must be an integer between 1 and ${demoScheduler.demo.horizonDays}` })
+  }
+  if (!Number.isInteger(slotLimit) || slotLimit < 1 || slotLimit > AVAILABILITY_MAX_SLOTS) {
+    return res.status(400).json({ error: `"limit" must be an integer between 1 and ${AVAILABILITY_MAX_SLOTS}` })
+  }
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: '"timeZone" must be an IANA time zone such as "Europe/Paris"' })
+  }
+  if (repId && !demoScheduler.getRep(repId)) {
+    return res.status(404).json({ error: 'Rep not found' })
+  }
+
   try {
-    // Add user message to conversation history
-    session.conversationHistory.push({
-      role: 'user',
-      content: userMessage
+    const zone = timeZone || demoScheduler.timeZone
+    const slots = await demoScheduler.getOpenSlots({ from: new Date(fromTime), days: dayCount, repId, limit: slotLimit })
+    res.json({
+      timeZone: zone,
+      durationMinutes: demoScheduler.demo.durationMinutes,
+      reps: demoScheduler.reps.map(rep => ({ id: rep.id, name: rep.name, timeZone: rep.timeZone })),
+      slots: slots.map(slot => ({ ...slot, spoken: demoScheduler.formatSpoken(slot.start, zone) }))
     })
+  } catch (error) {
+    logger.error('Error listing availability', { error })
+    res.status(500).json({ error: 'Failed to list availability' })
+  }
+})
 
-    // Generate AI response
-    socket.emit('status', 'AI is thinking...')
-    const aiResponse = await session.llm.generateResponse(session.conversationHistory)
+// Book a demo - { start, name, email?, company?, notes?, timeZone?, repId?, sessionId? }.
+// sessionId links the booking to a call in progress (tools do this for bookings made by the AI).
+app.post('/bookings', requireTenant, async (req, res) => {
+  const { start, repId, name, email, company, notes, timeZone, sessionId } = req.body || {}
 
-    // Add AI response to conversation history
-    session.conversationHistory.push({
-      role: 'assistant',
-      content: aiResponse
+  const session = sessionId === undefined ? null : activeSessions.get(sessionId)
+  if (sessionId !== undefined && (!session?.isCallActive || session.tenant.id !== req.tenant.id)) {
+    return res.status(404).json({ error: 'No call in progress with this sessionId' })
+  }
+
+  try {
+    const booking = await demoScheduler.book({
+      tenantId: req.tenant.id,
+      start,
+      repId,
+      attendee: { name, email, company },
+      notes,
+      timeZone,
+      call: session ? { callId: session.callId, sessionId: session.id, agentId: session.agent.id } : {}
     })
+    if (session?.isCallActive && session.callId === booking.callId) {
+      session.bookings.push({ id: booking.id, start: booking.start, repId: booking.rep.id })
+      saveSession(session)
+    }
+    res.status(201).json(booking)
+  } catch (error) {
+    if (error instanceof BookingError) {
+      return res.status(error.status).json({ error: error.message, code: error.code })
+    }
+    logger.error('Error booking demo', { error })
+    res.status(500).json({ error: 'Failed to book demo' })
+  }
+})
 
-    // Send text response
-    socket.emit('ai-response', { text: aiResponse })
+// The tenant's bookings by start time - filters: status (confirmed, cancelled), from (ISO date, on start)
+app.get('/bookings', requireTenant, async (req, res) => {
+  const { status, from } = req.query
+  const fromTime = from ? Date.parse(from) : null
 
-    // Generate and send audio response
-    socket.emit('status', 'AI is speaking...')
-    const audioResponse = await session.cartesia.textToSpeech(aiResponse)
-    socket.emit('audio-response', audioResponse)
+  if (status && !['confirmed', 'cancelled'].includes(status)) {
+    return res.status(400).json({ error: '"status" must be "confirmed" or "cancelled"' })
+  }
+  if (Number.isNaN(fromTime)) {
+    return res.status(400).json({ error: '"from" must be an ISO 8601 date' })
+  }
 
-    socket.emit('status', 'Listening...')
+  try {
+    const bookings = (await demoScheduler.list(req.tenant.id))
+      .filter(booking => !status || booking.status === status)
+      .filter(booking => fromTime === null || Date.parse(booking.start) >= fromTime)
+    res.json({ count: bookings.length, bookings })
+  } catch (error) {
+    logger.error('Error listing bookings', { error })
+    res.status(500).json({ error: 'Failed to list bookings' })
+  }
+})
+
+app.get('/bookings/:id', requireTenant, async (req, res) => {
+  try {
+    const booking = await demoScheduler.get(req.tenant.id, req.params.id)
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' })
+    }
+    res.json(booking)
+  } catch (error) {
+    logger.error('Error reading booking', { error })
+    res.status(500).json({ error: 'Failed to read booking' })
+  }
+})
 
+// Calendar invite; a cancelled booking's invite cancels the event
+app.get('/bookings/:id/invite.ics', requireTenant, async (req, res) => {
+  try {
+    const invite = await demoScheduler.getInvite(req.tenant.id, req.params.id)
+    if (!invite) {
+      return res.status(404).json({ error: 'Booking not found' })
+    }
+    res.set('Content-Disposition', `attachment; filename="demo-${req.params.id}.ics"`)
+    res.type('text/calendar').send(invite)
   } catch (error) {
-    console.error(`Error handling message [${socket.id}]:`, error)
-    socket.emit('error', { message: 'Failed to generate response' })
-    socket.emit('status', 'Error - Please try again')
+    logger.error('Error reading invite', { error })
+    res.status(500).json({ error: 'Failed to read invite' })
   }
+})
+
+// Cancel a booking; it stays listed with status "cancelled"
+app.delete('/bookings/:id', requireTenant, async (req, res) => {
+  try {
+    res.json(await demoScheduler.cancel(req.tenant.id, req.params.id))
+  } catch (error) {
+    if (error instanceof BookingError) {
+      return res.status(error.status).json({ error: error.message, code: error.code })
+    }
+    logger.error('Error cancelling booking', { error })
+    res.status(500).json({ error: 'Failed to cancel booking' })
+  }
+})
+
+// Sessions handled by this instance, with their live objects (sockets, STT, timers)
+const activeSessions = new Map()
+
+// Session snapshots every instance can see (see services/session-store.js). With the Redis
+// store, admin monitoring rooms also span instances.
+const sessionStore = createSessionStore()
+await sessionStore.connect()
+if (sessionStore.shared) {
+  const pubClient = sessionStore.client.duplicate()
+  const subClient = pubClient.duplicate()
+  await Promise.all([pubClient.connect(), subClient.connect()])
+  io.adapter(createAdapter(pubClient, subClient, { key: `${sessionStore.prefix}socket.io` }))
+  // Instances book demos in the same DATA_DIR/bookings, one at a time
+  demoScheduler.share(sessionStore)
 }
+// Per-tenant call limits, counted in the store so they hold across instances
+const callLimiter = new CallLimiter(sessionStore)
+// Records expire unless refreshed; refresh well within their TTL
+const SESSION_RECORD_REFRESH_MS = Math.floor(sessionStore.ttlMs / 4)
+// Resume token -> session, for Socket.io calls in progress on this instance. Tokens aren't
+// shared: the call's live objects are here, so call-resume has to reach this instance.
+const resumableSessions = new Map()
 
-// Cleanup stale sessions every 5 minutes
-setInterval(() => {
-  const now = Date.now()
-  let cleanedCount = 0
+metrics.gauge({
+  name: 'voice_active_sessions',
+  help: 'Connected clients (Socket.io and Twilio media streams)',
+  collect: () => activeSessions.size
+})
+metrics.gauge({
+  name: 'voice_active_calls',
+  help: 'Calls in progress',
+  collect: () => [...activeSessions.values()].filter(session => session.isCallActive).length
+})
+metrics.gauge({
+  name: 'voice_tts_cache_memory_bytes',
+  help: 'Size of the clips in the in-memory TTS cache',
+  collect: () => ttsCache.memoryBytes
+})
+metrics.gauge({
+  name: 'voice_tts_cache_disk_bytes',
+  help: 'Size of the clips in the on-disk TTS cache',
+  collect: () => ttsCache.diskBytes
+})
 
-  activeSessions.forEach((session, socketId) => {
-    // If session is inactive for more than 30 minutes, clean it up
-    if (!session.isCallActive && session.lastActivity && (now - session.lastActivity) > 30 * 60 * 1000) {
-      if (session.deepgram) {
-        session.deepgram.disconnect()
+// Socket.io handshake: allowed origin plus an API key or access token
+// ({ auth: { token } }, Authorization header or ?token=). Rejected clients get
+// a connect_error whose data.code says why. authenticate is tenants.authenticate,
+// or tenants.authenticateAdmin for the /admin namespace.
+function socketAuth(authenticate) {
+  return (socket, next) => {
+    const { headers } = socket.handshake
+    try {
+      if (!isOriginAllowed(headers.origin)) {
+        throw new AuthError(AuthErrorCodes.OriginNotAllowed, `Origin not allowed: ${headers.origin}`, 403)
       }
-      activeSessions.delete(socketId)
-      cleanedCount++
+      const credential = getCredential(socket.handshake, socket.handshake.auth)
+      socket.data.tenant = authenticate.call(tenants, credential)
+      socket.data.callerId = tenants.callerIdFor(credential)
+      next()
+    } catch (error) {
+      logger.warn('Connection rejected', { socketId: socket.id, namespace: socket.nsp.name, code: error.code, error: error.message })
+      const rejection = new Error(error.message)
+      rejection.data = { code: error.code }
+      next(rejection)
     }
-  })
+  }
+}
 
-  if (cleanedCount > 0) {
-    console.log(`🧹 Cleaned up ${cleanedCount} stale sessions`)
+io.use(socketAuth(tenants.authenticate))
+
+// Live monitoring for supervisors (see services/call-monitor.js)
+const adminNamespace = io.of('/admin')
+adminNamespace.use(socketAuth(tenants.authenticateAdmin))
+const callMonitor = new CallMonitor(adminNamespace, {
+  findSession: (id) => findSessionDetails(id)
+})
+
+// Admin API - sessions of the admin's tenant, on every instance
+app.get('/admin/sessions', requireAdmin, async (req, res) => {
+  try {
+    // Our own sessions are described live, the others come from their last saved snapshot
+    const sessions = (await sessionStore.list(req.tenant.id)).map(record => {
+      const session = activeSessions.get(record.id)
+      return session ? describeSession(session) : summarizeRecord(record)
+    })
+    res.json({ count: sessions.length, sessions })
+  } catch (error) {
+    logger.error('Error listing sessions', { error })
+    res.status(500).json({ error: 'Failed to list sessions' })
   }
-}, 5 * 60 * 1000)
+})
 
-// Start server
-httpServer.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`)
-  console.log(`📡 WebSocket server ready`)
-  console.log(`🤖 LLM Provider: ${process.env.LLM_PROVIDER || 'openai'}`)
-  console.log(`🌐 CORS enabled for: https://voicecallai.netlify.app, https://voice-ai-backend-production-7a80.up.railway.app, http://localhost:5173, http://localhost:3000`)
-  console.log(`✅ Server ready to accept connections`)
+app.get('/admin/sessions/:id', requireAdmin, async (req, res) => {
+  try {
+    const session = await findSessionDetails(req.params.id)
+    if (!session || session.tenantId !== req.tenant.id) {
+      return res.status(404).json({ error: 'Session not found' })
+    }
+    res.json(session)
+  } catch (error) {
+    logger.error('Error reading session', { error })
+    res.status(500).json({ error: 'Failed to read session' })
+  }
+})
+
+// Hang up a call: the client gets call-ended with reason 'ended-by-admin'.
+// Calls on other instances are ended by their instance (end-session below).
+app.post('/admin/sessions/:id/end', requireAdmin, async (req, res) => {
+  try {
+    const session = await findSessionDetails(req.params.id)
+    if (!session || session.tenantId !== req.tenant.id) {
+      return res.status(404).json({ error: 'Session not found' })
+    }
+    if (!session.callActive) {
+      return res.status(409).json({ error: 'Session has no active call' })
+    }
+
+    let ended
+    if (activeSessions.has(session.id)) {
+      ended = endCallByAdmin(activeSessions.get(session.id), req.tenant.id)
+    } else {
+      const responses = await io.serverSideEmitWithAck('end-session', { sessionId: session.id, adminTenantId: req.tenant.id })
+      ended = responses.some(response => response?.ended)
+    }
+    if (!ended) {
+      return res.status(409).json({ error: 'Session has no active call' })
+    }
+    res.json({ sessionId: session.id, callId: session.callId, ended: true })
+  } catch (error) {
+    logger.error('Error ending session', { error })
+    res.status(500).json({ error: 'Failed to end session' })
+  }
+})
+
+function endCallByAdmin(session, adminTenantId) {
+  if (!session.isCallActive) return false
+
+  const { callId } = session
+  session.log.info('Call ended by admin', { adminTenantId })
+  endCall(session.client, session, 'ended-by-admin')
+  session.client.emit('call-ended', { callId, reason: 'ended-by-admin' })
+  return true
+}
+
+// Requests from other instances (Redis adapter), for sessions this instance handles
+io.on('end-session', ({ sessionId, adminTenantId } = {}, ack = () => {}) => {
+  const session = activeSessions.get(sessionId)
+  ack({ ended: Boolean(session) && endCallByAdmin(session, adminTenantId) })
+})
+
+io.on('session-expired', ({ sessionId } = {}) => {
+  const session = activeSessions.get(sessionId)
+  if (session) {
+    expireSession(session)
+  }
+})
+
+// Admin view of a session with its details: live when it's ours, otherwise the stored snapshot
+async function findSessionDetails(id) {
+  const session = activeSessions.get(id)
+  if (session) {
+    return describeSession(session, { details: true })
+  }
+  return sessionStore.get(id)
+}
+
+// The describeSession() summary of a stored record
+function summarizeRecord(record) {
+  const { recording, state, handoff, callerId, contextSummary, knowledgeSources, languageChanges, bookings, history, lastActivity, detachedAt, ...summary } = record
+  return summary
+}
+
+// Admin API - TTS cache sizes and hit rate (shared by every tenant's calls)
+app.get('/admin/tts-cache', requireAdmin, (req, res) => {
+  res.json(ttsCache.stats())
+})
+
+// Admin API - an agent's knowledge documents as the tenant sees them. Uploads are the raw
+// document (Content-Type text/markdown or text/plain), only ever go to the tenant's own
+// documents and reindex them right away.
+const KNOWLEDGE_MAX_DOCUMENT_SIZE = process.env.KNOWLEDGE_MAX_DOCUMENT_SIZE || '1mb'
+
+function requireKnowledgeAgent(req, res, next) {
+  if (!agents.get(req.params.agentId)) {
+    return res.status(404).json({ error: 'Agent not found' })
+  }
+  next()
+}
+
+app.get('/admin/agents/:agentId/knowledge', requireAdmin, requireKnowledgeAgent, async (req, res) => {
+  try {
+    res.json({ agentId: req.params.agentId, ...await knowledgeBase.list(req.tenant.id, req.params.agentId) })
+  } catch (error) {
+    logger.error('Error listing knowledge', { agentId: req.params.agentId, error })
+    res.status(500).json({ error: 'Failed to list knowledge documents' })
+  }
+})
+
+app.put('/admin/agents/:agentId/knowledge/:name', requireAdmin, requireKnowledgeAgent, express.text({ type: 'text/*', limit: KNOWLEDGE_MAX_DOCUMENT_SIZE }), async (req, res) => {
+  const { agentId, name } = req.params
+  if (!isValidDocumentName(name)) {
+    return res.status(400).json({ error: 'Document names are letters, digits, "-", "_" or "." ending in .md, .markdown or .txt' })
+  }
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    return res.status(400).json({ error: 'Send the document as a text/markdown or text/plain body' })
+  }
+
+  try {
+    const { created, ...index } = await knowledgeBase.saveDocument(req.tenant.id, agentId, name, req.body)
+    logger.info('Knowledge document saved', { tenantId: req.tenant.id, agentId, document: name, created })
+    res.status(created ? 201 : 200).json({ agentId, document: name, ...index })
+  } catch (error) {
+    logger.error('Error saving knowledge document', { agentId, document: name, error })
+    res.status(500).json({ error: 'Failed to save document' })
+  }
+})
+
+app.delete('/admin/agents/:agentId/knowledge/:name', requireAdmin, requireKnowledgeAgent, async (req, res) => {
+  const { agentId, name } = req.params
+  if (!isValidDocumentName(name)) {
+    return res.status(404).json({ error: 'Document not found' })
+  }
+
+  try {
+    if (!await knowledgeBase.deleteDocument(req.tenant.id, agentId, name)) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
+    logger.info('Knowledge document deleted', { tenantId: req.tenant.id, agentId, document: name })
+    res.json({ agentId, document: name, deleted: true })
+  } catch (error) {
+    logger.error('Error deleting knowledge document', { agentId, document: name, error })
+    res.status(500).json({ error: 'Failed to delete document' })
+  }
+})
+
+// Pick up documents changed on disk
+app.post('/admin/agents/:agentId/knowledge/reindex', requireAdmin, requireKnowledgeAgent, async (req, res) => {
+  try {
+    res.json({ agentId: req.params.agentId, ...await knowledgeBase.reindex(req.tenant.id, req.params.agentId) })
+  } catch (error) {
+    logger.error('Error indexing knowledge', { agentId: req.params.agentId, error })
+    res.status(500).json({ error: 'Failed to reindex documents' })
+  }
+})
+
+// Admin API - the tenant's webhook subscriptions (from WEBHOOKS_FILE), a signed test
+// delivery and the deliveries that failed for good
+function requireWebhook(req, res, next) {
+  req.webhook = webhooks.get(req.tenant.id, req.params.id)
+  if (!req.webhook) {
+    return res.status(404).json({ error: 'Webhook not found' })
+  }
+  next()
+}
+
+app.get('/webhooks', requireAdmin, (req, res) => {
+  res.json({ webhooks: webhooks.list(req.tenant.id) })
+})
+
+app.post('/webhooks/:id/test', requireAdmin, requireWebhook, async (req, res) => {
+  try {
+    res.json({ webhookId: req.webhook.id, ...await webhooks.test(req.webhook) })
+  } catch (error) {
+    logger.error('Error testing webhook', { webhookId: req.webhook.id, error })
+    res.status(500).json({ error: 'Failed to send test webhook' })
+  }
+})
+
+app.get('/webhooks/:id/dead-letters', requireAdmin, requireWebhook, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500)
+  try {
+    res.json({ webhookId: req.webhook.id, deadLetters: await webhooks.listDeadLetters(req.tenant.id, { webhookId: req.webhook.id, limit }) })
+  } catch (error) {
+    logger.error('Error listing webhook dead letters', { webhookId: req.webhook.id, error })
+    res.status(500).json({ error: 'Failed to list dead letters' })
+  }
+})
+
+// Live agents taking over calls from the AI: the queue of calls waiting for a human is
+// broadcast to the tenant's agents, who accept a call, reply through the agent's TTS voice
+// and hand it back. Agents connect with an admin credential and { auth: { name } }.
+// The queue lives in this process: agents only see and take calls on their own instance.
+const humanAgentNamespace = io.of('/human-agents')
+humanAgentNamespace.use(socketAuth(tenants.authenticateAdmin))
+const handoffQueue = new HandoffQueue()
+
+handoffQueue.on('change', (tenantId) => {
+  humanAgentNamespace.local.to(`tenant:${tenantId}`).emit('queue', { handoffs: handoffQueue.list(tenantId) })
+})
+
+humanAgentNamespace.on('connection', (socket) => {
+  const { tenant } = socket.data
+  const humanAgent = { socketId: socket.id, name: String(socket.handshake.auth?.name || 'Agent').slice(0, 100) }
+  const log = logger.child({ component: 'human-agents', socketId: socket.id, tenantId: tenant.id })
+  log.info('Human agent connected', { name: humanAgent.name })
+
+  socket.join(`tenant:${tenant.id}`)
+  socket.emit('queue', { handoffs: handoffQueue.list(tenant.id) })
+
+  // Take a waiting call; the ack carries the session with its full conversation so far
+  socket.on('accept', (data, ack) => {
+    const reply = replyTo(ack)
+    const sessionId = data?.sessionId
+    const session = activeSessions.get(sessionId)
+    if (!session || session.tenant.id !== tenant.id || !session.handoff) {
+      return reply({ ok: false, error: 'Session not found' })
+    }
+    if (!handoffQueue.accept(sessionId, humanAgent)) {
+      return reply({ ok: false, error: 'Call already accepted' })
+    }
+
+    stopHold(session)
+    // Cut a hold message short, but let the AI finish telling the caller they're being transferred
+    if (session.activeTurn && !session.activeTurn.addsToHistory) {
+      interruptTurn(session.client, session, { reason: 'handoff-accepted' })
+    }
+    socket.join(handoffRoom(session))
+    session.log.info('Handoff accepted', { humanAgent: humanAgent.name })
+    session.client.emit('handoff', { status: 'connected', humanAgent: humanAgent.name })
+    callMonitor.publish(session, 'handoff', { status: 'connected', humanAgent: humanAgent.name })
+    saveSession(session)
+    reply({ ok: true, session: describeSession(session, { details: true }) })
+  })
+
+  // Speak a reply to the caller in the agent's voice
+  socket.on('say', (data, ack) => {
+    const reply = replyTo(ack)
+    const text = data?.text
+    const session = getConnectedSession(socket, data?.sessionId)
+    if (!session) {
+      return reply({ ok: false, error: 'Not connected to this call' })
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      return reply({ ok: false, error: 'text is required' })
+    }
+    queueSpeech(session.client, session, text.trim(), { source: 'human' })
+    reply({ ok: true })
+  })
+
+  // Hand the call back to the AI, which answers the caller's next turn
+  socket.on('release', (data, ack) => {
+    const reply = replyTo(ack)
+    const session = getConnectedSession(socket, data?.sessionId)
+    if (!session) {
+      return reply({ ok: false, error: 'Not connected to this call' })
+    }
+    socket.leave(handoffRoom(session))
+    endHandoff(session)
+    session.log.info('Call handed back to the AI', { humanAgent: humanAgent.name })
+    session.client.emit('handoff', { status: 'released' })
+    callMonitor.publish(session, 'handoff', { status: 'released', humanAgent: humanAgent.name })
+    reply({ ok: true })
+  })
+
+  // Calls this agent had accepted go back to the queue, and their callers back on hold
+  socket.on('disconnect', () => {
+    log.info('Human agent disconnected', { name: humanAgent.name })
+    for (const handoff of handoffQueue.acceptedBy(socket.id)) {
+      const session = activeSessions.get(handoff.sessionId)
+      handoffQueue.requeue(handoff.sessionId)
+      if (session?.isCallActive) {
+        session.log.info('Human agent left, call back in the queue', { humanAgent: humanAgent.name })
+        session.client.emit('handoff', { status: 'pending', reason: handoff.reason })
+        callMonitor.publish(session, 'handoff', { status: 'pending', reason: handoff.reason, source: handoff.source })
+        queueSpeech(session.client, session, getLocalized(session).handoff.holdMessage, { source: 'hold' })
+        waitForHuman(session.client, session)
+        saveSession(session)
+      }
+    }
+  })
+})
+
+// Acks are optional and chosen by the client: anything but a function is ignored
+function replyTo(ack) {
+  return typeof ack === 'function' ? ack : () => {}
+}
+
+// The session this human agent has accepted
+function getConnectedSession(socket, sessionId) {
+  const session = activeSessions.get(sessionId)
+  return session?.handoff?.humanAgent?.socketId === socket.id ? session : null
+}
+
+// Socket.io connection handler. The session talks to the socket through a ResumableClient,
+// so call-resume can move a call in progress over to this socket.
+io.on('connection', (socket) => {
+  let session = createSession(new ResumableClient(socket), socket.data.tenant)
+  session.log.info('Client connected')
+  addSession(session)
+
+  // Handle call start - options: { agentId, record, audio: { input, output }, callerId, language }.
+  // The caller is the one the access token was minted for; the client's callerId only counts without auth.
+  socket.on('call-start', (options = {}) => {
+    const callerId = tenants.disabled ? options?.callerId : socket.data.callerId ?? undefined
+    startCall(session.client, session, { agentId: options?.agentId, record: options?.record, audio: options?.audio, callerId, language: options?.language })
+  })
+
+  // Reattach a call after a reconnect - data: { resumeToken } from call-started
+  socket.on('call-resume', async (data = {}) => {
+    const resumed = await resumeCall(socket, session, data?.resumeToken)
+    if (resumed) {
+      session = resumed
+    }
+  })
+
+  // Handle audio stream from client
+  socket.on('audio-stream', (audioData) => {
+    handleCallerAudio(session.client, session, audioData)
+  })
+
+  // Client-side interruption (e.g. its own VAD or a stop button).
+  // playedSequence is the last audio-chunk sequence the client actually played.
+  socket.on('interrupt', (data) => {
+    interruptTurn(session.client, session, { reason: 'client', turnId: data?.turnId, playedSequence: data?.playedSequence })
+  })
+
+  // Caller asks for a live agent (e.g. a "talk to a person" button) - data: { reason }
+  socket.on('request-human', (data = {}) => {
+    if (!session.isCallActive || !session.agent.handoff.enabled) {
+      socket.emit('error', { message: 'Human handoff is not available' })
+      return
+    }
+    interruptTurn(session.client, session, { reason: 'handoff' })
+    startHandoff(session.client, session, { reason: data?.reason || 'Requested by the caller', source: 'caller' })
+  })
+
+  // Handle call end
+  socket.on('call-end', () => {
+    session.log.info('Call ended by client')
+    endCall(session.client, session, 'call-end')
+    socket.emit('status', 'Call ended')
+  })
+
+  // Handle disconnect. A call in progress waits SESSION_RESUME_GRACE_SEC for call-resume.
+  socket.on('disconnect', (reason) => {
+    // The call was resumed on another socket meanwhile
+    if (session.client.socket !== socket) return
+
+    session.log.info('Client disconnected', { reason })
+    session.client.detach()
+    if (session.isCallActive && session.resumeToken && SESSION_RESUME_GRACE_SEC > 0) {
+      awaitResume(session)
+    } else {
+      endCall(session.client, session, 'disconnect')
+      removeSession(session)
+    }
+  })
+})
+
+function addSession(session) {
+  activeSessions.set(session.id, session)
+  saveSession(session)
+}
+
+function removeSession(session) {
+  activeSessions.delete(session.id)
+  sessionStore.delete(session.id).catch(error => {
+    session.log.error('Error removing session from the store', { error })
+  })
+}
+
+// Publish the session's current state to the store (fire and forget)
+function saveSession(session) {
+  if (!activeSessions.has(session.id)) return
+  sessionStore.save(toSessionRecord(session)).catch(error => {
+    session.log.error('Error saving session', { error })
+  })
+}
+
+function toSessionRecord(session) {
+  return {
+    ...describeSession(session, { details: true }),
+    instanceId: INSTANCE_ID,
+    lastActivity: session.lastActivity,
+    detachedAt: session.client.detachedAt ?? null
+  }
+}
+
+// End what's left of a session the sweep found stale
+function expireSession(session) {
+  clearTimeout(session.resumeTimer)
+  endCall(session.client, session, 'disconnect')
+  if (session.stt) {
+    session.stt.disconnect()
+  }
+  activeSessions.delete(session.id)
+}
+
+// Keep the call going without a client: the turn in progress finishes into the client's
+// buffer, the STT stream is closed and the call ends if nobody resumes it in time
+function awaitResume(session) {
+  session.log.info('Waiting for the caller to resume', { graceSec: SESSION_RESUME_GRACE_SEC })
+  // The provider is kept for call-resume to reopen, so a replay script carries on where it was
+  if (session.stt) {
+    session.stt.disconnect()
+    session.sttClosed = true
+  }
+
+  clearTimeout(session.resumeTimer)
+  session.resumeTimer = setTimeout(() => {
+    session.log.info('Call not resumed in time', { graceSec: SESSION_RESUME_GRACE_SEC })
+    endCall(session.client, session, 'disconnect')
+    removeSession(session)
+  }, SESSION_RESUME_GRACE_SEC * 1000)
+  saveSession(session)
+}
+
+// Move the call behind resumeToken onto this socket. current is the session the socket
+// got on connect; it is dropped in favour of the resumed one, which is returned.
+async function resumeCall(socket, current, resumeToken) {
+  const session = resumableSessions.get(resumeToken)
+  if (!session || session.tenant.id !== socket.data.tenant.id || !session.isCallActive) {
+    current.log.warn('Call resume rejected')
+    socket.emit('error', { code: 'invalid-resume-token', message: 'No call to resume: the token is unknown or has expired' })
+    return null
+  }
+  if (session === current) {
+    socket.emit('call-resumed', { callId: session.callId, agentId: session.agent.id, sessionId: session.id, replayed: 0 })
+    return null
+  }
+  if (current.isCallActive) {
+    socket.emit('error', { code: 'call-in-progress', message: 'End the current call before resuming another one' })
+    return null
+  }
+
+  // The old connection may not have noticed it's gone yet (half-open mobile socket)
+  const previous = session.client.socket
+  session.client.detach()
+  previous?.disconnect(true)
+  clearTimeout(session.resumeTimer)
+  session.resumeTimer = null
+  removeSession(current)
+
+  // call-resumed first, then everything the caller missed, in order
+  socket.emit('call-resumed', { callId: session.callId, agentId: session.agent.id, sessionId: session.id, replayed: session.client.buffer.length })
+  const { replayed, dropped } = session.client.attach(socket)
+  session.lastActivity = Date.now()
+  session.log.info('Call resumed', { socketId: socket.id, replayed, dropped })
+  callMonitor.publish(session, 'call-resumed', { callId: session.callId, replayed })
+  saveSession(session)
+
+  if (!session.stt || session.sttClosed) {
+    try {
+      if (session.sttClosed) {
+        session.sttClosed = false
+        await openSTTStream(session)
+      } else {
+        await connectSTT(session.client, session)
+      }
+    } catch (error) {
+      session.log.error('Error reconnecting STT', { error })
+      session.client.emit('error', { message: 'Speech recognition error' })
+    }
+  }
+  return session
+}
+
+// Twilio Media Streams: phone calls connect here through the TwiML below
+const TWILIO_STREAM_PATH = '/twilio/media-stream'
+const twilioServer = new WebSocketServer({ noServer: true })
+
+// Only take over our own path: ws rejects upgrades it doesn't handle, which would break Socket.io
+httpServer.on('upgrade', (req, socket, head) => {
+  if (new URL(req.url, 'http://localhost').pathname === TWILIO_STREAM_PATH) {
+    twilioServer.handleUpgrade(req, socket, head, (ws) => twilioServer.emit('connection', ws, req))
+  }
+})
+
+// TwiML webhook - set as the phone number's "A call comes in" URL, with ?token=<API key>.
+// ?agentId= picks the agent, ?record=true|false overrides RECORD_CALLS.
+// The stream gets a short-lived access token for the tenant instead of the API key.
+app.post('/twilio/voice', express.urlencoded({ extended: false }), requireTenant, (req, res) => {
+  let token
+  if (!tenants.disabled) {
+    try {
+      token = tenants.createAccessToken(req.tenant.id, { ttlSec: 60, callerId: isValidCallerId(req.body?.From) ? req.body.From : undefined }).token
+    } catch (error) {
+      logger.error('Cannot answer phone call', { tenantId: req.tenant.id, error })
+      return res.status(500).json({ error: 'Access tokens are not configured' })
+    }
+  }
+
+  const baseUrl = process.env.PUBLIC_URL || `${req.get('x-forwarded-proto') || req.protocol}://${req.get('host')}`
+  const streamUrl = baseUrl.replace(/^http/, 'ws').replace(/\/$/, '') + TWILIO_STREAM_PATH
+
+  res.type('text/xml').send(buildStreamTwiML({
+    streamUrl,
+    // The caller's number identifies returning callers. It is signed into the token; without
+    // auth there is no token, and the stream takes it as a parameter.
+    parameters: { agentId: req.query.agentId, record: req.query.record, language: req.query.language, callerId: token ? undefined : req.body?.From, token }
+  }))
+})
+
+twilioServer.on('connection', (ws) => {
+  let client = null
+  let session = null
+
+  ws.on('message', (message) => {
+    let data
+    try {
+      data = JSON.parse(message.toString())
+    } catch {
+      logger.warn('Ignoring non-JSON Twilio message')
+      return
+    }
+
+    switch (data.event) {
+      case 'connected':
+        logger.info('Twilio media stream connected', { protocol: data.protocol, version: data.version })
+        break
+
+      case 'start': {
+        const { streamSid, callSid, customParameters = {} } = data.start
+        let tenant
+        let callerId
+        try {
+          tenant = tenants.authenticate(customParameters.token)
+          callerId = tenants.disabled ? customParameters.callerId : tenants.callerIdFor(customParameters.token) ?? undefined
+        } catch (error) {
+          logger.warn('Phone call rejected', { streamSid, callSid, code: error.code, error: error.message })
+          ws.close(1008, error.code)
+          return
+        }
+
+        client = new TwilioMediaStreamClient(ws, { streamSid, callSid })
+        session = createSession(client, tenant)
+        addSession(session)
+        session.log.info('Phone call started', { callSid })
+
+        startCall(client, session, {
+          agentId: customParameters.agentId,
+          record: customParameters.record === undefined ? undefined : customParameters.record === 'true',
+          audio: TWILIO_AUDIO_FORMAT,
+          callerId,
+          language: customParameters.language
+        })
+        break
+      }
+
+      case 'media':
+        // Inbound track only; μ-law goes to the STT provider as-is
+        if (session && data.media?.track !== 'outbound') {
+          handleCallerAudio(client, session, Buffer.from(data.media.payload, 'base64'))
+        }
+        break
+
+      case 'mark':
+        client?.markPlayed(data.mark?.name)
+        break
+
+      case 'stop':
+        if (session) {
+          session.log.info('Phone call ended', { callSid: client.callSid })
+          endCall(client, session, 'call-end')
+        }
+        break
+    }
+  })
+
+  ws.on('close', () => {
+    if (session) {
+      endCall(client, session, 'disconnect')
+      removeSession(session)
+    }
+  })
+
+  ws.on('error', (error) => {
+    (session?.log || logger).error('Twilio media stream error', { error })
+  })
+})
+
+// client is the Socket.io socket or TwilioMediaStreamClient the session talks to
+function createSession(client, tenant) {
+  const { id } = client
+  // Services are created on call start, once we know which agent is answering
+  return {
+    id,
+    client,
+    transport: client instanceof TwilioMediaStreamClient ? 'twilio' : 'socket.io',
+    connectedAt: new Date(),
+    tenant,
+    log: logger.child({ sessionId: id, tenantId: tenant?.id }),
+    maxDurationTimer: null,
+    agent: null,
+    callId: null,
+    callStartedAt: null,
+    demoRequests: [],
+    // Demos booked on the call (tools/book-demo.js, POST /bookings with sessionId): { id, start, repId }
+    bookings: [],
+    // Knowledge passages each response was given: { turnId, at, query, sources }
+    knowledgeSources: [],
+    callerId: null,
+    // Token budget and rolling summary of what goes to the LLM (services/context-manager.js)
+    context: null,
+    // Masks slow responses with a short phrase (services/filler-controller.js), null when disabled
+    fillers: null,
+    // The call's language (services/language.js), what the STT stream listens for ('multi'
+    // while detecting) and the last language it reported; switches: { language, previous, at }
+    language: null,
+    sttLanguage: null,
+    reportedLanguage: null,
+    languageChanges: [],
+    recorder: null,
+    turns: null,
+    // Serializes user turns: each one starts after the previous has fully finished
+    turnQueue: Promise.resolve(),
+    conversationHistory: [],
+    stt: null,
+    llm: null,
+    tts: null,
+    isCallActive: false,
+    turnCount: 0,
+    activeTurn: null,
+    audioFormat: null,
+    // Socket.io calls: the token call-resume takes, and the grace timer while disconnected
+    resumeToken: null,
+    resumeTimer: null,
+    // Human takeover: the queue entry while waiting for / talking to a live agent
+    handoff: null,
+    handoffRequest: null,
+    holdTimer: null,
+    handoffTimer: null,
+    audioChunkCount: 0,
+    lastActivity: Date.now()
+  }
+}
+
+// Admin view of a session. details adds the conversation and turn state.
+function describeSession(session, { details = false } = {}) {
+  const summary = {
+    id: session.id,
+    transport: session.transport,
+    tenantId: session.tenant.id,
+    connectedAt: session.connectedAt.toISOString(),
+    // false while a Socket.io client is gone and the call waits for call-resume
+    clientConnected: session.client.attached !== false,
+    callActive: session.isCallActive,
+    callId: session.isCallActive ? session.callId : null,
+    agentId: session.isCallActive ? session.agent.id : null,
+    language: session.isCallActive ? session.language.current : null,
+    callStartedAt: session.isCallActive ? session.callStartedAt.toISOString() : null,
+    durationMs: session.isCallActive ? Date.now() - session.callStartedAt : null,
+    turns: session.turnCount,
+    providers: {
+      stt: session.stt?.name || null,
+      llm: session.llm ? { provider: session.llm.provider, model: session.llm.model } : null,
+      tts: session.tts ? { active: session.tts.activeProviderName(), primary: session.tts.primaryName, fallback: session.tts.fallbackName } : null
+    }
+  }
+  if (!details) return summary
+
+  const turn = session.activeTurn
+  return {
+    ...summary,
+    recording: Boolean(session.recorder),
+    state: {
+      // The AI is generating or its audio is still playing
+      speaking: Boolean(turn && !turn.interrupted && (!turn.done || turn.playhead > Date.now())),
+      activeTurnId: turn?.id ?? null,
+      callerSpeaking: Boolean(session.turns?.startedAt),
+      pendingCallerText: session.turns?.fragments.join(' ') || ''
+    },
+    handoff: session.handoff,
+    callerId: session.isCallActive ? session.callerId : null,
+    contextSummary: session.isCallActive ? session.context.summary : null,
+    knowledgeSources: session.isCallActive ? session.knowledgeSources : [],
+    languageChanges: session.isCallActive ? session.languageChanges : [],
+    bookings: session.isCallActive ? session.bookings : [],
+    history: session.isCallActive ? session.conversationHistory : []
+  }
+}
+
+// Every line logged for a session carries its id, and the call id while a call is active
+function createSessionLogger(session, { inCall = true } = {}) {
+  return logger.child({ sessionId: session.id, tenantId: session.tenant?.id, callId: inCall ? session.callId : undefined })
+}
+
+// Start a call for a client - a Socket.io socket or anything with the same id/emit shape
+// (TwilioMediaStreamClient). audio is the client's format descriptor (utils/audio-format.js).
+// callerId (phone number, CRM id...) loads what we know from the caller's previous calls.
+// language is one of the agent's languages, or 'auto' to detect it from the caller's first
+// turn (the default for agents with several languages).
+async function startCall(socket, session, { agentId, record, audio, callerId, language } = {}) {
+  const agent = agents.get(agentId)
+  if (!agent) {
+    session.log.warn('Unknown agent requested', { agentId })
+    socket.emit('error', { message: `Unknown agent: ${agentId}` })
+    return
+  }
+
+  const audioFormat = resolveAudioFormat(audio)
+  if (audioFormat.errors.length > 0) {
+    session.log.warn('Unsupported audio format', { errors: audioFormat.errors })
+    socket.emit('error', {
+      code: 'unsupported-audio-format',
+      message: `Unsupported audio format: ${audioFormat.errors.join('; ')}`,
+      errors: audioFormat.errors
+    })
+    return
+  }
+
+  if (callerId !== undefined && !isValidCallerId(callerId)) {
+    session.log.warn('Invalid caller id')
+    socket.emit('error', { code: 'invalid-caller-id', message: 'callerId must be 1-128 letters, digits or + @ . : _ -' })
+    return
+  }
+
+  const languages = Object.keys(agent.languages)
+  if (language !== undefined && language !== 'auto' && !agent.languages[language]) {
+    session.log.warn('Unsupported language requested', { language })
+    socket.emit('error', { code: 'unsupported-language', message: `Agent ${agent.id} speaks ${languages.join(', ')}; use one of them or "auto"`, languages })
+    return
+  }
+  const detectLanguage = language === 'auto' || (language === undefined && languages.length > 1)
+  const callLanguage = detectLanguage ? agent.stt.language : language ?? agent.stt.language
+
+  // A returning caller's previous calls; the call goes ahead without them if the lookup fails
+  let memory = null
+  if (callerId) {
+    try {
+      memory = await callerMemory.recall(session.tenant.id, callerId)
+    } catch (error) {
+      session.log.error('Error loading caller memory', { error })
+    }
+  }
+
+  // A second call-start replaces the call in progress
+  if (session.isCallActive) {
+    endCall(socket, session, 'new-call')
+  }
+
+  try {
+    session.agent = agent
+    session.conversationHistory = []
+    session.callerId = callerId ?? null
+    session.language = new LanguageTracker({ languages, current: callLanguage, detected: !detectLanguage })
+    session.languageChanges = []
+    session.sttLanguage = null
+    session.reportedLanguage = null
+    session.llm = new LLMService({
+      provider: agent.llm.provider,
+      model: agent.llm.model,
+      systemPrompt: agent.systemPrompt,
+      tools: getTools(agent.tools)
+    })
+    session.context = new ContextManager({
+      budgetTokens: agent.llm.contextBudgetTokens,
+      summarize: createSummarizer({ provider: agent.llm.provider, model: agent.llm.model, agentName: agent.name }),
+      background: memory ? formatCallerMemory(memory) : '',
+      log: session.log
+    })
+    session.tts = new TTSService({
+      provider: agent.tts.provider,
+      voices: agent.languages[callLanguage].voices,
+      language: callLanguage,
+      outputFormat: audioFormat.output,
+      cache: ttsCache,
+      fixedPhrases: getAllFixedPhrases(agent),
+      log: session.log
+    })
+    session.fillers = agent.filler.enabled ? new FillerController({ phrases: agent.languages[callLanguage].fillers, delayMs: agent.filler.delayMs }) : null
+  } catch (error) {
+    session.log.error('Error initializing session', { agentId: agent.id, error })
+    socket.emit('error', { message: 'Server configuration error. Please contact administrator.' })
+    return
+  }
+
+  try {
+    await callLimiter.acquire(session.tenant, session.id)
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      session.log.error('Error checking call limits', { error })
+      socket.emit('error', { message: 'Could not start the call. Please try again.' })
+      return
+    }
+    session.log.warn('Call rejected', { code: error.code, error: error.message })
+    socket.emit('error', { code: error.code, message: error.message })
+    socket.emit('call-ended', { callId: null, reason: error.code })
+    return
+  }
+  // The client went away while the slot was being reserved
+  if (!activeSessions.has(session.id)) {
+    releaseCallSlot(session)
+    return
+  }
+
+  session.isCallActive = true
+  session.callId = randomUUID()
+  session.callStartedAt = new Date()
+  session.demoRequests = []
+  session.bookings = []
+  session.knowledgeSources = []
+  session.audioFormat = audioFormat
+  session.log = createSessionLogger(session)
+  session.context.log = session.log
+  session.log.info('Call started', { agentId: agent.id, language: detectLanguage ? 'auto' : callLanguage, audio: { input: audioFormat.input, output: audioFormat.output }, returningCaller: Boolean(memory) })
+
+  // Socket.io clients can take the call over from a new socket after a network drop
+  if (socket instanceof ResumableClient) {
+    session.resumeToken = randomBytes(24).toString('base64url')
+    resumableSessions.set(session.resumeToken, session)
+  }
+  socket.emit('call-started', {
+    callId: session.callId,
+    agentId: agent.id,
+    audio: { input: audioFormat.input, output: audioFormat.output },
+    // The language the call starts in; with detectLanguage, language-changed follows once it's known
+    language: callLanguage,
+    detectLanguage,
+    resumeToken: session.resumeToken ?? undefined,
+    returningCaller: callerId ? Boolean(memory) : undefined
+  })
+  callMonitor.publish(session, 'call-started', { callId: session.callId, agentId: agent.id })
+  webhooks.publish(session, 'call.started', {
+    transport: session.transport,
+    callerId: session.callerId,
+    language: callLanguage,
+    startedAt: session.callStartedAt.toISOString()
+  })
+  saveSession(session)
+
+  // Hang up when the tenant's maximum call duration is reached
+  const { maxCallDurationSec } = session.tenant.limits
+  session.maxDurationTimer = setTimeout(() => {
+    session.log.info('Maximum call duration reached', { maxCallDurationSec })
+    const callId = session.callId
+    emitCallError(socket, session, { code: AuthErrorCodes.MaxCallDuration, message: `Maximum call duration reached (${maxCallDurationSec}s)` })
+    endCall(socket, session, 'max-duration')
+    socket.emit('call-ended', { callId, reason: AuthErrorCodes.MaxCallDuration })
+  }, maxCallDurationSec * 1000)
+
+  try {
+    // Opt-in recording: per call with { record: true }, or for every call with RECORD_CALLS=true
+    if (record ?? process.env.RECORD_CALLS === 'true') {
+      session.recorder = new CallRecorder({ callId: session.callId, agentId: agent.id, inboundFormat: audioFormat.input })
+      await session.recorder.start().catch(error => {
+        session.log.error('Recording disabled for this call', { error })
+        session.recorder = null
+      })
+    }
+
+    // Final fragments are merged into one user turn once the caller stops talking
+    session.turns = new TurnManager({ silenceMs: agent.stt.endOfTurnSilenceMs })
+    session.turns.on('turn', ({ text, startedAt }) => {
+      session.log.info('User turn', { text })
+      socket.emit('transcript', { text })
+      callMonitor.publish(session, 'transcript', { text })
+      session.recorder?.recordTranscript({ speaker: 'caller', text, startsAt: startedAt ?? Date.now() })
+
+      // Detected, or switched mid-call: everything said from here on is in that language
+      const previous = session.language.current
+      const switched = session.language.observe(text, session.reportedLanguage)
+      if (switched) {
+        switchLanguage(socket, session, { language: switched, previous })
+      }
+
+      if (session.handoff) {
+        // A live agent has (or is about to have) the call: the caller's turn is for them, not the AI
+        interruptTurn(socket, session, { reason: 'new-turn' })
+        session.conversationHistory.push({ role: 'user', content: text })
+        notifyHumanAgent(session, 'transcript', { text })
+        saveSession(session)
+      } else if (agent.handoff.enabled && isHumanRequest(text)) {
+        interruptTurn(socket, session, { reason: 'new-turn' })
+        session.conversationHistory.push({ role: 'user', content: text })
+        startHandoff(socket, session, { reason: text, source: 'caller' })
+      } else {
+        queueUserMessage(socket, session, text)
+      }
+    })
+
+    await connectSTT(socket, session)
+
+    socket.emit('status', 'Connected - Start speaking!')
+
+    // Send initial greeting
+    const greetingText = getLocalized(session).greeting
+    session.conversationHistory.push({ role: 'assistant', content: greetingText })
+    socket.emit('ai-response', { text: greetingText })
+    callMonitor.publish(session, 'ai-response', { text: greetingText, greeting: true })
+    saveSession(session)
+
+    // Usually cached: the pre-recorded or prewarmed greeting (see prewarmAgentAudio)
+    const greeting = await session.tts.synthesize(greetingText)
+    session.log.info('Greeting ready', { provider: greeting.provider, cached: Boolean(greeting.cached) })
+    socket.emit('audio-response', greeting.audio)
+
+    if (session.recorder) {
+      const greetingDuration = getAudioDuration(Buffer.from(greeting.audio, 'base64'), greeting.format)
+      session.recorder.recordOutbound({ audio: greeting.audio, format: greeting.format, text: greetingText, kind: 'greeting' })
+      session.recorder.recordTranscript({ speaker: 'agent', text: greetingText, endsAt: Date.now() + greetingDuration })
+    }
+
+  } catch (error) {
+    session.log.error('Error starting call', { error })
+    emitCallError(socket, session, { code: 'call-start-failed', message: 'Failed to start call' })
+  }
+}
+
+// Open the call's speech-to-text stream (Deepgram, or replay for offline runs) and feed
+// its transcripts to the turn manager. Called on call start and again on call-resume.
+async function connectSTT(socket, session) {
+  session.stt = createSTTProvider()
+  session.stt.log = session.log.child({ component: session.stt.name })
+
+  session.stt.on(STTEvents.FinalTranscript, ({ text, language }) => {
+    session.log.debug('Transcript fragment', { text, language })
+    session.reportedLanguage = language ?? session.reportedLanguage
+    session.turns.addFinal(text)
+  })
+
+  session.stt.on(STTEvents.InterimTranscript, ({ text }) => {
+    const turnSoFar = session.turns.addInterim(text)
+    socket.emit('transcript-interim', { text: turnSoFar })
+    callMonitor.publish(session, 'transcript-interim', { text: turnSoFar })
+    notifyHumanAgent(session, 'transcript-interim', { text: turnSoFar })
+  })
+
+  session.stt.on(STTEvents.UtteranceEnd, () => {
+    session.turns.utteranceEnd()
+  })
+
+  // Caller started talking - stop the AI if it is still speaking (barge-in).
+  // Phone clients know exactly which chunks have played; others fall back to the estimate.
+  session.stt.on(STTEvents.SpeechStarted, () => {
+    session.turns.speechStarted()
+    const turnId = session.activeTurn?.id
+    interruptTurn(socket, session, { reason: 'speech-started', playedSequence: socket.playedSequence?.(turnId) })
+  })
+
+  session.stt.on(STTEvents.Error, (error) => {
+    session.log.error('STT error', { error })
+    providerErrors.inc({ type: 'stt', provider: session.stt?.name })
+    emitCallError(socket, session, { code: 'stt-error', message: 'Speech recognition error' })
+  })
+
+  await openSTTStream(session)
+}
+
+// (Re)open the STT stream in the call's language. Until auto-detection has settled it, a
+// multilingual agent listens in 'multi' mode, which also follows later switches on its own.
+async function openSTTStream(session) {
+  const { agent, audioFormat, language } = session
+  if (session.sttLanguage !== 'multi') {
+    session.sttLanguage = !language.detected && language.languages.length > 1 ? 'multi' : language.current
+  }
+
+  // Raw input is described to the STT provider; containerized input is detected from the stream
+  const inputFormat = audioFormat.input?.sampleRate ? audioFormat.input : null
+  await session.stt.connect({
+    language: session.sttLanguage,
+    model: session.sttLanguage === 'multi' ? agent.stt.model : agent.languages[language.current].sttModel,
+    interimResults: true,
+    utteranceEndMs: session.turns.silenceMs,
+    inputFormat
+  }).catch(error => {
+    providerErrors.inc({ type: 'stt', provider: session.stt.name })
+    throw error
+  })
+}
+
+// What the agent says in the call's current language: greeting, fillers, handoff messages...
+function getLocalized(session) {
+  return session.agent.languages[session.language.current]
+}
+
+// The caller's language changed (or detection settled on a language other than the default):
+// voices and fillers follow right away, the STT stream reconnects unless it is multilingual
+function switchLanguage(socket, session, { language, previous }) {
+  const localized = getLocalized(session)
+  session.tts.setLanguage(language, localized.voices)
+  if (session.fillers) {
+    session.fillers.phrases = localized.fillers
+  }
+
+  session.languageChanges.push({ language, previous, at: new Date().toISOString() })
+  session.log.info('Language changed', { language, previous })
+  socket.emit('language-changed', { language, previous })
+  callMonitor.publish(session, 'language-changed', { language, previous })
+  notifyHumanAgent(session, 'language-changed', { language, previous })
+  saveSession(session)
+
+  if (session.stt && session.sttLanguage !== 'multi') {
+    session.stt.disconnect()
+    openSTTStream(session).catch(error => {
+      session.log.error('Error reconnecting STT in the new language', { language, error })
+      emitCallError(socket, session, { code: 'stt-error', message: 'Speech recognition error' })
+    })
+  }
+}
+
+// Formats the pre-recorded greeting is cached in: what clients get by default, and phone calls
+const GREETING_SEED_FORMATS = [DEFAULT_OUTPUT_FORMAT, TWILIO_AUDIO_FORMAT.output]
+
+// Phrases an agent always says the same way in a language: greeting, tool acknowledgements,
+// handoff messages, fillers and, in its default language, its tts.prewarm list (closing lines...)
+function getFixedPhrases(agent, language = agent.stt.language) {
+  const localized = agent.languages[language]
+  const phrases = [
+    localized.greeting,
+    ...(localized.toolAcknowledgement ? [localized.toolAcknowledgement] : [DEFAULT_TOOL_ACKNOWLEDGEMENT, ...agent.tools.map(name => getTool(name)?.acknowledgement)]),
+    ...(agent.handoff.enabled ? Object.values(localized.handoff) : []),
+    ...(agent.filler.enabled ? localized.fillers : []),
+    ...(language === agent.stt.language ? agent.tts.prewarm : [])
+  ]
+  return [...new Set(phrases.filter(Boolean))]
+}
+
+// The fixed phrases of every language the agent speaks: the clips the TTS cache keeps on disk
+function getAllFixedPhrases(agent) {
+  return Object.keys(agent.languages).flatMap(language => getFixedPhrases(agent, language))
+}
+
+// Fill the TTS cache with an agent's fixed phrases, in each of its languages, in the default
+// output format. A pre-recorded greeting is seeded instead of synthesized: WAV recordings are
+// converted to each GREETING_SEED_FORMATS format, MP3 ones (which we can't convert) stand in
+// for the default format as they are. Phrases already cached are skipped.
+async function prewarmAgentAudio(agent) {
+  const log = logger.child({ component: 'tts-prewarm', agentId: agent.id })
+  const counts = { seeded: 0, synthesized: 0, cached: 0, failed: 0 }
+
+  const createTTS = (outputFormat, language = agent.stt.language) => new TTSService({
+    provider: agent.tts.provider,
+    voices: agent.languages[language].voices,
+    language,
+    outputFormat,
+    cache: ttsCache,
+    fixedPhrases: getAllFixedPhrases(agent),
+    log
+  })
+  let tts
+  try {
+    tts = createTTS(DEFAULT_OUTPUT_FORMAT)
+  } catch (error) {
+    log.warn('Skipping TTS prewarm, provider unavailable', { error: error.message })
+    return
+  }
+
+  if (agent.greeting.audio) {
+    const recording = Buffer.from(agent.greeting.audio, 'base64')
+    for (const format of GREETING_SEED_FORMATS) {
+      const transcoded = transcodeAudio(recording, format)
+      if (transcoded) {
+        await createTTS(format).seed(agent.greeting.text, { audio: transcoded.toString('base64'), format })
+        counts.seeded++
+      } else if (format === DEFAULT_OUTPUT_FORMAT) {
+        await tts.seed(agent.greeting.text, { audio: agent.greeting.audio, format: { container: 'mp3' } })
+        counts.seeded++
+      }
+    }
+  }
+
+  for (const language of Object.keys(agent.languages)) {
+    const languageTTS = createTTS(DEFAULT_OUTPUT_FORMAT, language)
+    for (const phrase of getFixedPhrases(agent, language)) {
+      if (agent.greeting.audio && language === agent.stt.language && phrase === agent.greeting.text) continue
+      if (await languageTTS.isCached(phrase)) {
+        counts.cached++
+        continue
+      }
+      try {
+        await languageTTS.synthesize(phrase)
+        counts.synthesized++
+      } catch (error) {
+        counts.failed++
+        log.warn('Error prewarming phrase', { language, phrase, error: error.message })
+      }
+    }
+  }
+
+  log.info('TTS cache prewarmed', counts)
+}
+
+// Forward a chunk of caller audio to the recorder and the STT provider
+function handleCallerAudio(socket, session, audioData) {
+  session.audioChunkCount++
+  if (session.audioChunkCount === 1) {
+    session.log.info('Receiving audio from client')
+  }
+
+  if (session.stt && session.isCallActive) {
+    session.recorder?.recordInbound(audioData)
+    try {
+      // Send audio to the STT provider for transcription
+      session.stt.send(audioData)
+    } catch (error) {
+      session.log.error('Error processing audio', { error })
+    }
+  } else {
+    if (session.audioChunkCount === 1) {
+      session.log.warn('Received audio but call not active or STT not ready')
+    }
+  }
+}
+
+// Stop the current turn, save the call and close the STT stream
+function endCall(socket, session, reason) {
+  interruptTurn(socket, session, { reason })
+
+  // The caller's last words still belong in the transcript even though nobody answers them
+  if (session.turns) {
+    const startedAt = session.turns.startedAt ?? Date.now()
+    const pending = session.turns.takePending()
+    if (pending) {
+      session.conversationHistory.push({ role: 'user', content: pending })
+      session.recorder?.recordTranscript({ speaker: 'caller', text: pending, startsAt: startedAt })
+    }
+    session.turns.close()
+    session.turns = null
+  }
+
+  finishCall(session, reason)
+  session.lastActivity = Date.now()
+
+  if (session.stt) {
+    session.stt.disconnect()
+    session.stt = null
+    session.sttClosed = false
+  }
+}
+
+function releaseCallSlot(session) {
+  callLimiter.release(session.tenant, session.id).catch(error => {
+    session.log.error('Error releasing call slot', { error })
+  })
+}
+
+// Mark the call inactive, persist its transcript and run lead extraction in the background
+function finishCall(session, reason) {
+  if (!session.isCallActive || !session.callId) return
+  session.isCallActive = false
+  releaseCallSlot(session)
+  clearTimeout(session.maxDurationTimer)
+  if (session.resumeToken) {
+    resumableSessions.delete(session.resumeToken)
+    session.resumeToken = null
+  }
+
+  const endedAt = new Date()
+  const record = {
+    callId: session.callId,
+    sessionId: session.id,
+    tenantId: session.tenant.id,
+    agentId: session.agent.id,
+    callerId: session.callerId,
+    startedAt: session.callStartedAt.toISOString(),
+    endedAt: endedAt.toISOString(),
+    durationMs: endedAt - session.callStartedAt,
+    transcript: [...session.conversationHistory],
+    demoRequests: session.demoRequests,
+    bookings: session.bookings,
+    knowledgeSources: session.knowledgeSources,
+    language: session.language.current,
+    languageChanges: session.languageChanges,
+    leadStatus: 'pending',
+    lead: null
+  }
+
+  if (session.recorder) {
+    record.recorded = true
+    session.recorder.stop().catch(error => {
+      session.log.error('Error saving recording', { error })
+    })
+    session.recorder = null
+  }
+
+  session.log.info('Call finished', { reason, durationMs: record.durationMs, turns: session.turnCount })
+  callMonitor.publish(session, 'call-ended', { callId: record.callId, reason })
+  webhooks.publish(session, 'call.ended', {
+    reason,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+    durationMs: record.durationMs,
+    transcript: record.transcript,
+    demoRequests: record.demoRequests,
+    bookings: record.bookings,
+    language: record.language
+  })
+  saveSession(session)
+  if (session.handoff) {
+    notifyHumanAgent(session, 'call-ended', { callId: record.callId, reason })
+    humanAgentNamespace.socketsLeave(handoffRoom(session))
+    endHandoff(session)
+  }
+  session.handoffRequest = null
+  const log = session.log
+  saveCallAndExtractLead(record, session.agent, log).catch(error => {
+    log.error('Error saving call', { error })
+  })
+  session.log = createSessionLogger(session, { inCall: false })
+}
+
+// Put the call in the human-agent queue. The caller hears the hold message (unless the AI
+// just told them it's transferring them), a shorter one every holdRepeatSec, and is handed
+// back to the AI with unavailableMessage if nobody accepts within maxWaitSec.
+function startHandoff(socket, session, { reason, source }) {
+  if (!session.isCallActive || session.handoff) return
+
+  session.handoff = handoffQueue.request(session, { reason, source })
+  session.log.info('Handoff requested', { reason, source })
+  socket.emit('handoff', { status: 'pending', reason })
+  callMonitor.publish(session, 'handoff', { status: 'pending', reason, source })
+  webhooks.publish(session, 'handoff.requested', { reason, source })
+  saveSession(session)
+
+  if (source !== 'llm') {
+    queueSpeech(socket, session, getLocalized(session).handoff.holdMessage, { source: 'hold' })
+  }
+  waitForHuman(socket, session)
+}
+
+function waitForHuman(socket, session) {
+  const { holdRepeatSec, maxWaitSec } = session.agent.handoff
+  stopHold(session)
+
+  session.holdTimer = setInterval(() => {
+    queueSpeech(socket, session, getLocalized(session).handoff.holdRepeatMessage, { source: 'hold' })
+  }, holdRepeatSec * 1000)
+
+  session.handoffTimer = setTimeout(() => {
+    session.log.info('No human agent accepted the call', { maxWaitSec })
+    endHandoff(session)
+    socket.emit('handoff', { status: 'unavailable' })
+    callMonitor.publish(session, 'handoff', { status: 'unavailable' })
+    // Kept in the history so the AI knows what the caller was told
+    queueSpeech(socket, session, getLocalized(session).handoff.unavailableMessage, { source: 'handoff' })
+  }, maxWaitSec * 1000)
+}
+
+function stopHold(session) {
+  clearInterval(session.holdTimer)
+  clearTimeout(session.handoffTimer)
+  session.holdTimer = null
+  session.handoffTimer = null
+}
+
+// Leave the queue; the AI answers the caller's turns again
+function endHandoff(session) {
+  stopHold(session)
+  handoffQueue.remove(session.id)
+  session.handoff = null
+  saveSession(session)
+}
+
+function handoffRoom(session) {
+  return `session:${session.id}`
+}
+
+// Send an event to the human agent connected to the call, if any
+function notifyHumanAgent(session, event, data = {}) {
+  if (session.handoff?.status !== 'connected') return
+  humanAgentNamespace.to(handoffRoom(session)).emit(event, { sessionId: session.id, ...data })
+}
+
+async function saveCallAndExtractLead(record, agent, log = logger) {
+  await callStore.save(record)
+
+  if (!record.transcript.some(message => message.role === 'user')) {
+    await callStore.update(record.callId, { leadStatus: 'skipped' })
+    return
+  }
+
+  try {
+    const lead = await extractLead(record.transcript, {
+      provider: agent.llm.provider,
+      model: agent.llm.model,
+      agentName: agent.name,
+      demoRequested: record.demoRequests.length > 0 || record.bookings.length > 0,
+      log
+    })
+    await callStore.update(record.callId, { leadStatus: 'complete', lead })
+    log.info('Lead extracted', { summary: lead.summary })
+  } catch (error) {
+    log.error('Lead extraction failed', { error })
+    await callStore.update(record.callId, { leadStatus: 'failed', leadError: error.message })
+  }
+}
+
+// Queue a user turn behind the one in progress. The current response is interrupted
+// right away, but the new turn only starts once the old one has fully wound down
+// (aborted tool calls, TTS requests...), so two responses never share the history.
+// Latency is measured from here: waiting for the previous turn is part of what the caller hears.
+function queueUserMessage(socket, session, userMessage) {
+  const transcriptAt = Date.now()
+  interruptTurn(socket, session, { reason: 'new-turn' })
+  session.turnQueue = session.turnQueue
+    .then(() => {
+      if (session.isCallActive) {
+        return handleUserMessage(socket, session, userMessage, { transcriptAt })
+      }
+    })
+    .catch(error => {
+      session.log.error('Error in queued turn', { error })
+    })
+}
+
+// Handle user message: stream LLM tokens, cut them into sentences and
+// synthesize each sentence as soon as it is complete
+async function handleUserMessage(socket, session, userMessage, { transcriptAt = Date.now() } = {}) {
+  // A new user turn always supersedes whatever the AI is still saying
+  interruptTurn(socket, session, { reason: 'new-turn' })
+
+  const turn = createTurn(session, {
+    userText: userMessage,
+    // Epoch ms of the pipeline milestones, for the latency metrics
+    latency: { transcriptAt, firstTokenAt: null, firstTTSAt: null, firstAudioAt: null }
+  })
+  const log = session.log.child({ turnId: turn.id })
+  const { latency } = turn
+  const agentId = session.agent.id
+
+  const { signal } = turn.controller
+  const detector = new SentenceDetector()
+  let fullResponse = ''
+
+  const synthesize = async (text) => {
+    const clip = await session.tts.synthesize(text, { signal })
+    if (!latency.firstTTSAt) {
+      latency.firstTTSAt = Date.now()
+      // A tool acknowledgement can be spoken before the model's first token
+      if (latency.firstTokenAt) {
+        turnFirstTokenToFirstTTSByte.observe({ agent: agentId, tts_provider: clip.provider }, (latency.firstTTSAt - latency.firstTokenAt) / 1000)
+      }
+    }
+    return clip
+  }
+
+  // Nothing to hear yet a while after the caller stopped talking: play a filler
+  const cancelFiller = session.fillers?.schedule(transcriptAt, (phrase) => {
+    playFiller(socket, session, turn, phrase, log)
+  }) ?? (() => {})
+
+  const ttsQueue = createTurnAudio(socket, session, turn, log, {
+    synthesize,
+    onFirstAudio: () => {
+      cancelFiller()
+      latency.firstAudioAt = Date.now()
+      turnTimeToFirstAudio.observe({ agent: agentId }, (latency.firstAudioAt - latency.transcriptAt) / 1000)
+    }
+  })
+
+  const queueSentence = (sentence) => {
+    if (signal.aborted) return
+    log.debug('Sentence complete', { sentence })
+    socket.emit('ai-response', { text: sentence, partial: true })
+    callMonitor.publish(session, 'ai-response', { text: sentence, partial: true, turnId: turn.id })
+    ttsQueue.push(sentence)
+  }
+
+  // Text the model produced since the last tool call - if it said nothing, we fill the gap
+  let textSinceToolCall = ''
+
+  const onToolCall = async (call) => {
+    // Speak whatever the model said before deciding to call the tool
+    const pending = detector.getRemainder()
+    if (pending) {
+      queueSentence(pending)
+    }
+
+    if (!textSinceToolCall.trim() && !signal.aborted) {
+      // The acknowledgement fills the gap instead, as part of the response (history, ai-response)
+      cancelFiller()
+      const acknowledgement = getLocalized(session).toolAcknowledgement || getTool(call.name)?.acknowledgement || DEFAULT_TOOL_ACKNOWLEDGEMENT
+      if (fullResponse && !/\s$/.test(fullResponse)) {
+        fullResponse += ' '
+      }
+      fullResponse += acknowledgement
+      queueSentence(acknowledgement)
+    }
+    if (fullResponse && !/\s$/.test(fullResponse)) {
+      fullResponse += ' '
+    }
+
+    log.info('Tool call', { tool: call.name, args: call.args })
+    socket.emit('tool-call', { turnId: turn.id, id: call.id, name: call.name, args: call.args })
+
+    const result = await executeTool(call, { session, signal, log, scheduler: demoScheduler })
+    textSinceToolCall = ''
+
+    socket.emit('tool-result', { turnId: turn.id, id: call.id, name: call.name, result })
+    return result
+  }
+
+  try {
+    // Add user message to conversation history
+    session.conversationHistory.push({
+      role: 'user',
+      content: userMessage
+    })
+
+    socket.emit('status', 'AI is thinking...')
+
+    const { messages, instructions } = session.context.select(session.conversationHistory)
+    const knowledge = await retrieveKnowledge(session, turn, log)
+    // The prompt is in the agent's default language; say so whenever the call might not be
+    const language = session.language.languages.length > 1 ? formatLanguageInstruction(session.language.current) : null
+    for await (const token of session.llm.streamResponse(messages, { signal, onToolCall, instructions: [instructions, knowledge, language].filter(Boolean).join('\n\n') })) {
+      if (!latency.firstTokenAt) {
+        latency.firstTokenAt = Date.now()
+        turnTranscriptToFirstToken.observe({ agent: agentId, llm_provider: session.llm.provider }, (latency.firstTokenAt - latency.transcriptAt) / 1000)
+      }
+      fullResponse += token
+      textSinceToolCall += token
+      detector.addChunk(token).forEach(queueSentence)
+    }
+
+    // Flush whatever the model ended on without punctuation
+    const remainder = detector.getRemainder()
+    if (remainder) {
+      queueSentence(remainder)
+    }
+
+    fullResponse = fullResponse.trim()
+    if (!signal.aborted) {
+      log.info('Response complete', { text: fullResponse })
+      socket.emit('ai-response', { text: fullResponse, complete: true, sources: turn.sources })
+      callMonitor.publish(session, 'ai-response', { text: fullResponse, complete: true, turnId: turn.id, sources: turn.sources })
+    }
+
+    const { chunks } = await ttsQueue.drain()
+    if (turn.interrupted) return
+
+    socket.emit('audio-complete', { turnId: turn.id, chunks })
+
+    // Add AI response to conversation history once the turn has finished
+    turn.historyEntry = { role: 'assistant', content: fullResponse }
+    session.conversationHistory.push(turn.historyEntry)
+    turn.transcriptEntry = session.recorder?.recordTranscript({
+      speaker: 'agent',
+      text: fullResponse,
+      startsAt: turn.spoken[0]?.startsAt,
+      endsAt: Math.max(turn.playhead, Date.now()),
+      turnId: turn.id
+    })
+
+    socket.emit('status', 'Listening...')
+
+  } catch (error) {
+    // Aborted by interruptTurn, which already updated the history
+    if (turn.interrupted) return
+
+    turn.failed = true
+    log.error('Error handling message', { error })
+    providerErrors.inc({ type: 'llm', provider: session.llm.provider })
+    emitCallError(socket, session, { code: 'llm-error', message: 'Failed to generate response' })
+    socket.emit('status', 'Error - Please try again')
+  } finally {
+    // A failed or interrupted turn never gets the audio that would cut the filler
+    cancelFiller()
+    stopFiller(socket, session, turn)
+    turn.done = true
+    finishTurnMetrics(session, turn, log)
+    saveSession(session)
+
+    // Fold old turns into the summary between turns, off the response path
+    session.context.compact(session.conversationHistory).catch(error => {
+      log.error('Error summarizing the conversation', { error })
+    })
+
+    // transfer_to_human ran during this turn: queue the call once the reply is out
+    if (session.handoffRequest) {
+      const request = session.handoffRequest
+      session.handoffRequest = null
+      startHandoff(socket, session, request)
+    }
+  }
+}
+
+// Knowledge passages for the caller's latest turn, as instructions for the model. The
+// previous user message is part of the query so follow-ups ("and how much is it?") keep
+// their topic. The sources are kept on the turn and in session.knowledgeSources.
+async function retrieveKnowledge(session, turn, log) {
+  const { knowledge } = session.agent
+  if (!knowledge.enabled) return ''
+
+  const query = session.conversationHistory
+    .filter(message => message.role === 'user')
+    .slice(-2)
+    .map(message => message.content)
+    .join(' ')
+
+  let passages
+  try {
+    passages = await knowledgeBase.search(session.tenant.id, session.agent.id, query, { topK: knowledge.topK })
+  } catch (error) {
+    // Answer without the knowledge base rather than not at all
+    log.error('Error searching knowledge', { error })
+    return ''
+  }
+  if (passages.length === 0) return ''
+
+  turn.sources = passages.map(({ document, section, score }) => ({ document, section, score }))
+  session.knowledgeSources.push({ turnId: turn.id, at: new Date().toISOString(), query, sources: turn.sources })
+  log.debug('Knowledge retrieved', { sources: turn.sources })
+  return formatPassages(passages)
+}
+
+function createTurn(session, fields = {}) {
+  const turn = {
+    id: ++session.turnCount,
+    controller: new AbortController(),
+    spoken: [],
+    playhead: 0,
+    done: false,
+    interrupted: false,
+    historyEntry: null,
+    // Knowledge passages the response was given (see retrieveKnowledge)
+    sources: undefined,
+    // The filler played while the response was slow to start: { text, endsAt }
+    filler: null,
+    // Hold messages are spoken to the caller but kept out of the conversation history
+    addsToHistory: true,
+    ...fields
+  }
+  session.activeTurn = turn
+  return turn
+}
+
+// TTS queue for a turn: sentences are synthesized in parallel, sent to the client in order
+// and placed on the playback timeline interruptTurn uses to work out what the caller heard
+function createTurnAudio(socket, session, turn, log, { synthesize, onFirstAudio } = {}) {
+  const { signal } = turn.controller
+  let isSpeaking = false
+
+  const ttsQueue = new TTSQueue(synthesize || ((text) => session.tts.synthesize(text, { signal })), {
+    concurrency: TTS_MAX_CONCURRENCY,
+    onAudio: ({ sequence, text, clip }) => {
+      if (signal.aborted) return
+
+      if (!isSpeaking) {
+        isSpeaking = true
+        socket.emit('status', 'AI is speaking...')
+        stopFiller(socket, session, turn)
+        onFirstAudio?.()
+      }
+
+      // Estimate when the client plays this clip so an interruption knows what was heard
+      const startsAt = Math.max(Date.now(), turn.playhead)
+      turn.playhead = startsAt + getAudioDuration(Buffer.from(clip.audio, 'base64'), clip.format)
+      turn.spoken.push({ sequence, text, startsAt, endsAt: turn.playhead })
+      session.recorder?.recordOutbound({ audio: clip.audio, format: clip.format, text, kind: 'response', turnId: turn.id, startsAt })
+
+      log.debug('Audio ready', { sequence, text, provider: clip.provider })
+      socket.emit('audio-chunk', { turnId: turn.id, sequence, text, audio: clip.audio, format: clip.format, provider: clip.provider })
+    },
+    onError: ({ sequence, text, error }) => {
+      if (signal.aborted) return
+      log.error('TTS error', { sequence, text, error })
+    }
+  })
+  turn.ttsQueue = ttsQueue
+  return ttsQueue
+}
+
+// Play a filler phrase while the turn's response is slow to start. It goes out as
+// filler-audio, outside the turn's audio-chunk sequence, so it is never part of what the
+// caller "heard" of the response or of the conversation history.
+async function playFiller(socket, session, turn, phrase, log) {
+  const { signal } = turn.controller
+  let clip
+  try {
+    clip = await session.tts.synthesize(phrase, { signal })
+  } catch (error) {
+    if (!signal.aborted) {
+      log.warn('Error synthesizing filler', { error })
+    }
+    return
+  }
+  // The response may have started while the filler was synthesized
+  if (signal.aborted || turn.done || turn.spoken.length > 0) return
+
+  const startsAt = Date.now()
+  turn.filler = { text: phrase, endsAt: startsAt + getAudioDuration(Buffer.from(clip.audio, 'base64'), clip.format) }
+  session.recorder?.recordOutbound({ audio: clip.audio, format: clip.format, text: phrase, kind: 'filler', turnId: turn.id, startsAt })
+
+  log.info('Filler played', { text: phrase, cached: Boolean(clip.cached) })
+  socket.emit('filler-audio', { turnId: turn.id, text: phrase, audio: clip.audio, format: clip.format, provider: clip.provider })
+  callMonitor.publish(session, 'filler', { turnId: turn.id, text: phrase })
+}
+
+// The response's audio is here (or the turn ended without any): cut the filler if it is still playing
+function stopFiller(socket, session, turn) {
+  const now = Date.now()
+  if (!turn.filler || turn.filler.endsAt <= now) return
+
+  turn.filler.endsAt = now
+  session.recorder?.markInterrupted(now)
+  socket.emit('filler-stop', { turnId: turn.id })
+}
+
+// Speak fixed text in the agent's voice as a turn of its own, behind the turn in progress:
+// hold messages (source 'hold', kept out of the history), a live agent's replies ('human')
+// and the message telling the caller nobody is available ('handoff')
+function queueSpeech(socket, session, text, { source }) {
+  session.turnQueue = session.turnQueue
+    .then(() => {
+      // A hold message still queued when an agent accepts the call is no longer true
+      const stale = source === 'hold' && session.handoff?.status !== 'pending'
+      if (session.isCallActive && !stale) {
+        return speakText(socket, session, text, { source })
+      }
+    })
+    .catch(error => {
+      session.log.error('Error in queued speech', { error })
+    })
+}
+
+async function speakText(socket, session, text, { source }) {
+  const turn = createTurn(session, { addsToHistory: source !== 'hold' })
+  const log = session.log.child({ turnId: turn.id, source })
+  const ttsQueue = createTurnAudio(socket, session, turn, log)
+
+  try {
+    socket.emit('ai-response', { text, complete: true, source })
+    callMonitor.publish(session, 'ai-response', { text, complete: true, source, turnId: turn.id })
+
+    const detector = new SentenceDetector()
+    detector.addChunk(text).forEach(sentence => ttsQueue.push(sentence))
+    const remainder = detector.getRemainder()
+    if (remainder) {
+      ttsQueue.push(remainder)
+    }
+
+    const { chunks } = await ttsQueue.drain()
+    if (turn.interrupted) return
+
+    socket.emit('audio-complete', { turnId: turn.id, chunks })
+    if (turn.addsToHistory) {
+      turn.historyEntry = { role: 'assistant', content: text }
+      session.conversationHistory.push(turn.historyEntry)
+    }
+    turn.transcriptEntry = session.recorder?.recordTranscript({
+      speaker: 'agent',
+      text,
+      startsAt: turn.spoken[0]?.startsAt,
+      endsAt: Math.max(turn.playhead, Date.now()),
+      turnId: turn.id
+    })
+  } catch (error) {
+    if (turn.interrupted) return
+    log.error('Error speaking text', { error })
+  } finally {
+    turn.done = true
+    saveSession(session)
+  }
+}
+
+// Count the turn, log its latency breakdown (milliseconds; null for stages it never reached)
+// and send it to turn.completed webhooks
+function finishTurnMetrics(session, turn, log) {
+  const outcome = turn.interrupted ? 'interrupted' : turn.failed ? 'failed' : 'completed'
+  turnsTotal.inc({ agent: session.agent.id, outcome })
+
+  const { transcriptAt, firstTokenAt, firstTTSAt, firstAudioAt } = turn.latency
+  const since = (from, to) => (from && to ? to - from : null)
+  const latency = {
+    transcriptToFirstTokenMs: since(transcriptAt, firstTokenAt),
+    firstTokenToFirstTTSByteMs: since(firstTokenAt, firstTTSAt),
+    timeToFirstAudioMs: since(transcriptAt, firstAudioAt)
+  }
+  log.info('Turn finished', { outcome, ...latency })
+
+  webhooks.publish(session, 'turn.completed', {
+    turnId: turn.id,
+    outcome,
+    userText: turn.userText,
+    // What the caller heard when interrupted
+    responseText: turn.historyEntry?.content ?? null,
+    latency
+  })
+}
+
+// Errors during a call go to the client and to error webhooks
+function emitCallError(socket, session, { code, message }) {
+  socket.emit('error', { code, message })
+  webhooks.publish(session, 'error', { code, message })
+}
+
+// Cancel the AI's current turn: abort in-flight LLM/TTS requests, tell the client to stop
+// playback and keep only what the caller actually heard in the conversation history.
+// Returns true if there was something to interrupt.
+function interruptTurn(socket, session, { reason, turnId, playedSequence } = {}) {
+  const turn = session.activeTurn
+  if (!turn || turn.interrupted) return false
+  if (turnId !== undefined && turnId !== turn.id) return false
+
+  const now = Date.now()
+  const hasClientPosition = Number.isInteger(playedSequence)
+  // A finished turn is only cut while its audio is still playing: up to the last chunk the
+  // client reports played (Twilio marks), or else the estimated playhead
+  const lastSequence = turn.spoken.at(-1)?.sequence
+  const stillPlaying = !turn.done || (hasClientPosition ? lastSequence !== undefined && playedSequence < lastSequence : turn.playhead > now)
+  if (!stillPlaying) return false
+
+  turn.interrupted = true
+  turn.controller.abort()
+  turn.ttsQueue?.cancel()
+
+  const heardText = getHeardText(turn, now, hasClientPosition ? playedSequence : undefined)
+
+  // A finished turn already has its entry; an in-flight one gets it now so it precedes the next user turn
+  if (!turn.addsToHistory) {
+    // Nothing to trim
+  } else if (!turn.historyEntry) {
+    turn.historyEntry = { role: 'assistant', content: heardText }
+    if (heardText) {
+      session.conversationHistory.push(turn.historyEntry)
+    }
+  } else if (heardText) {
+    turn.historyEntry.content = heardText
+  } else {
+    const index = session.conversationHistory.lastIndexOf(turn.historyEntry)
+    if (index !== -1) {
+      session.conversationHistory.splice(index, 1)
+    }
+  }
+
+  if (session.recorder) {
+    session.recorder.markInterrupted(now)
+    if (turn.transcriptEntry) {
+      Object.assign(turn.transcriptEntry, { text: heardText, endMs: session.recorder.offset(now), interrupted: true })
+    } else {
+      session.recorder.recordTranscript({ speaker: 'agent', text: heardText, startsAt: turn.spoken[0]?.startsAt, endsAt: now, turnId: turn.id, interrupted: true })
+    }
+  }
+
+  session.log.info('Turn interrupted', { turnId: turn.id, reason, heardText })
+  socket.emit('stop-audio', { turnId: turn.id, reason })
+  callMonitor.publish(session, 'turn-interrupted', { turnId: turn.id, reason, heardText })
+  return true
+}
+
+// Text of the sentences the caller heard before an interruption. With a client-reported
+// position we trust it; otherwise we use the estimated playback timeline, cutting the
+// sentence that was playing at the words spoken so far.
+function getHeardText(turn, now, playedSequence) {
+  if (playedSequence !== undefined) {
+    return turn.spoken
+      .filter(clip => clip.sequence <= playedSequence)
+      .map(clip => clip.text)
+      .join(' ')
+  }
+
+  const heard = []
+  for (const clip of turn.spoken) {
+    if (clip.startsAt > now) break
+
+    if (clip.endsAt <= now) {
+      heard.push(clip.text)
+    } else {
+      const words = clip.text.split(/\s+/)
+      const progress = (now - clip.startsAt) / (clip.endsAt - clip.startsAt)
+      const wordCount = Math.floor(words.length * progress)
+      if (wordCount > 0) {
+        heard.push(words.slice(0, wordCount).join(' ') + '...')
+      }
+    }
+  }
+  return heard.join(' ')
+}
+
+// Keep this instance's session records and call slots from expiring in the store
+setInterval(() => {
+  activeSessions.forEach(session => {
+    saveSession(session)
+    if (session.isCallActive) {
+      callLimiter.refresh(session.tenant, session.id).catch(error => {
+        session.log.error('Error refreshing call slot', { error })
+      })
+    }
+  })
+}, SESSION_RECORD_REFRESH_MS)
+
+// Cleanup stale sessions every 5 minutes. Instances share the store, so one sweeps for all
+// (whoever takes the lock) and each session's own instance lets go of it.
+const SESSION_SWEEP_INTERVAL_MS = 5 * 60 * 1000
+
+setInterval(() => {
+  sweepStaleSessions().catch(error => logger.error('Error sweeping stale sessions', { error }))
+}, SESSION_SWEEP_INTERVAL_MS)
+
+async function sweepStaleSessions() {
+  // The lock lapses before the next round, whichever instance takes it then
+  if (!await sessionStore.acquireLock('session-sweep', SESSION_SWEEP_INTERVAL_MS - 30 * 1000)) return
+
+  const now = Date.now()
+  let cleanedCount = 0
+
+  for (const record of await sessionStore.list()) {
+    // Disconnected calls belong to their resume window; end them here only if its timer was missed
+    const stale = record.detachedAt
+      ? now - record.detachedAt > SESSION_RESUME_GRACE_SEC * 1000
+      // If session is inactive for more than 30 minutes, clean it up
+      : !record.callActive && record.lastActivity && (now - record.lastActivity) > 30 * 60 * 1000
+    if (!stale) continue
+
+    await sessionStore.delete(record.id)
+    const session = activeSessions.get(record.id)
+    if (session) {
+      expireSession(session)
+    } else if (sessionStore.shared) {
+      io.serverSideEmit('session-expired', { sessionId: record.id })
+    }
+    cleanedCount++
+  }
+
+  if (cleanedCount > 0) {
+    logger.info('Cleaned up stale sessions', { count: cleanedCount })
+  }
+}
+
+// Purge old recordings on startup and hourly when RECORDING_RETENTION_DAYS is set
+const recordingRetentionDays = parseFloat(process.env.RECORDING_RETENTION_DAYS || '0')
+if (recordingRetentionDays > 0) {
+  const purgeRecordings = () => {
+    recordingStore.purgeOlderThan(recordingRetentionDays)
+      .then(count => {
+        if (count > 0) {
+          logger.info('Purged old recordings', { count, retentionDays: recordingRetentionDays })
+        }
+      })
+      .catch(error => logger.error('Error purging recordings', { error }))
+  }
+  purgeRecordings()
+  setInterval(purgeRecordings, 60 * 60 * 1000)
+}
+
+// Cache each agent's fixed phrases on startup, and the new ones after an agent reload.
+// One agent at a time: providers limit concurrent requests.
+let ttsPrewarm = Promise.resolve()
+const queuePrewarm = (list) => {
+  for (const agent of list) {
+    ttsPrewarm = ttsPrewarm
+      .then(() => prewarmAgentAudio(agent))
+      .catch(error => logger.error('Error prewarming TTS cache', { agentId: agent.id, error }))
+  }
+}
+agents.on('loaded', queuePrewarm)
+queuePrewarm(agents.list())
+
+// Start server
+httpServer.listen(PORT, () => {
+  logger.info('Server ready to accept connections', {
+    port: PORT,
+    twilioStreamPath: TWILIO_STREAM_PATH,
+    llmProvider: process.env.LLM_PROVIDER || 'openai',
+    sttProvider: process.env.STT_PROVIDER || 'deepgram',
+    ttsProvider: process.env.TTS_PROVIDER || 'cartesia',
+    ttsFallbackProvider: process.env.TTS_FALLBACK_PROVIDER,
+    allowedOrigins: getAllowedOrigins(),
+    auth: tenants.disabled ? 'disabled' : `${tenants.tenants.size} tenant(s)`,
+    instanceId: INSTANCE_ID,
+    sessionStore: sessionStore.name
+  })
 })
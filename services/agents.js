@@ -0,0 +1,409 @@
+import { EventEmitter } from 'events'
+import { readFileSync, readdirSync, existsSync, watch } from 'fs'
+import path from 'path'
+import { hasTTSProvider } from './tts.js'
+import { hasTool } from './tools.js'
+import { logger } from '../utils/logger.js'
+
+const log = logger.child({ component: 'agents' })
+
+const LLM_PROVIDERS = ['openai', 'gemini']
+const GREETING_AUDIO_EXTENSIONS = ['.wav', '.mp3']
+const MAX_PREWARM_PHRASES = 50
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]+)*$/
+const HANDOFF_MESSAGES = ['holdMessage', 'holdRepeatMessage', 'unavailableMessage']
+
+// What the caller hears while waiting for a live agent (see services/handoff-queue.js)
+const DEFAULT_HANDOFF = {
+  enabled: true,
+  holdMessage: "Sure, I'm connecting you with someone from our team. Please hold for a moment.",
+  holdRepeatMessage: 'Thanks for holding, someone from our team will be with you shortly.',
+  holdRepeatSec: 20,
+  maxWaitSec: 180,
+  unavailableMessage: "I'm sorry, nobody from the team is available right now. I'm happy to keep helping you in the meantime."
+}
+
+// Played when a response is slow to start (see services/filler-controller.js)
+const DEFAULT_FILLER = {
+  enabled: true,
+  phrases: ['Let me check that for you.', 'One moment.', 'Hmm, let me think about that.', 'Good question, just a second.']
+}
+
+// Passages retrieved from the agent's documents on each turn (see services/knowledge-base.js)
+const DEFAULT_KNOWLEDGE = {
+  enabled: true,
+  topK: 3
+}
+
+export class AgentConfigError extends Error {
+  /**
+   * @param {string[]} problems - One message per invalid field, prefixed with the file name
+   */
+  constructor(problems) {
+    super(`Invalid agent definitions:\n  - ${problems.join('\n  - ')}`)
+    this.name = 'AgentConfigError'
+    this.problems = problems
+  }
+}
+
+/**
+ * Agent Registry
+ * Loads assistant definitions (persona, greeting, voice, LLM and STT settings)
+ * from JSON files in AGENTS_DIR so new assistants don't need code changes.
+ * Emits `loaded` (agents) after every successful load or reload.
+ */
+export class AgentRegistry extends EventEmitter {
+  constructor(directory = process.env.AGENTS_DIR || './agents') {
+    super()
+    this.directory = directory
+    this.agents = new Map()
+    this.defaultAgentId = process.env.DEFAULT_AGENT_ID || null
+    this.watcher = null
+  }
+
+  /**
+   * Read and validate every definition. Nothing is replaced unless all files are valid.
+   * @throws {AgentConfigError} listing every problem found
+   */
+  load() {
+    if (!existsSync(this.directory)) {
+      throw new AgentConfigError([`agents directory not found: ${this.directory}`])
+    }
+
+    const files = readdirSync(this.directory).filter(file => file.endsWith('.json')).sort()
+    const agents = new Map()
+    const problems = []
+
+    for (const file of files) {
+      const filePath = path.join(this.directory, file)
+      let definition
+      try {
+        definition = JSON.parse(readFileSync(filePath, 'utf8'))
+      } catch (error) {
+        problems.push(`${file}: ${error.message}`)
+        continue
+      }
+
+      const { agent, errors } = validateAgent(definition, file)
+      if (errors.length > 0) {
+        problems.push(...errors.map(error => `${file}: ${error}`))
+      } else if (agents.has(agent.id)) {
+        problems.push(`${file}: duplicate agent id "${agent.id}"`)
+      } else {
+        agents.set(agent.id, agent)
+      }
+    }
+
+    if (problems.length === 0 && agents.size === 0) {
+      problems.push(`no agent definitions (*.json) in ${this.directory}`)
+    }
+    if (problems.length === 0 && this.defaultAgentId && !agents.has(this.defaultAgentId)) {
+      problems.push(`DEFAULT_AGENT_ID "${this.defaultAgentId}" does not match any agent`)
+    }
+    if (problems.length > 0) {
+      throw new AgentConfigError(problems)
+    }
+
+    this.agents = agents
+    log.info('Agents loaded', { agents: [...agents.keys()] })
+    this.emit('loaded', this.list())
+    return this.list()
+  }
+
+  /**
+   * Reload from disk, keeping the current agents if the new files are invalid
+   * @returns {boolean} true if the reload was applied
+   */
+  reload() {
+    try {
+      this.load()
+      return true
+    } catch (error) {
+      log.error('Agent reload rejected, keeping previous definitions', { problems: error.problems || [error.message] })
+      return false
+    }
+  }
+
+  /**
+   * Reload automatically when files in the agents directory change
+   */
+  watch() {
+    let reloadTimer = null
+    this.watcher = watch(this.directory, () => {
+      // Editors write files in several steps; wait for them to settle
+      clearTimeout(reloadTimer)
+      reloadTimer = setTimeout(() => this.reload(), 300)
+    })
+    return this.watcher
+  }
+
+  get(id) {
+    return this.agents.get(id || this.getDefaultId()) || null
+  }
+
+  getDefaultId() {
+    return this.defaultAgentId || this.agents.keys().next().value
+  }
+
+  list() {
+    return [...this.agents.values()]
+  }
+}
+
+/**
+ * Validate a parsed definition and normalize it
+ * @param {Object} definition - Parsed JSON
+ * @param {string} file - File name; the id defaults to it without the extension
+ * @returns {{agent: Object|null, errors: string[]}}
+ */
+export function validateAgent(definition, file) {
+  const errors = []
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return { agent: null, errors: ['definition must be a JSON object'] }
+  }
+
+  const id = definition.id ?? path.basename(file, path.extname(file))
+  if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/.test(id)) {
+    errors.push('"id" must be lowercase letters, digits, "-" or "_"')
+  }
+
+  if (typeof definition.name !== 'string' || definition.name.trim() === '') {
+    errors.push('"name" is required')
+  }
+
+  // Long prompts read better in JSON as an array of lines
+  const systemPrompt = Array.isArray(definition.systemPrompt)
+    ? definition.systemPrompt.join('\n')
+    : definition.systemPrompt
+  if (typeof systemPrompt !== 'string' || systemPrompt.trim() === '') {
+    errors.push('"systemPrompt" must be a non-empty string or array of lines')
+  }
+
+  const greeting = definition.greeting || {}
+  if (typeof greeting.text !== 'string' || greeting.text.trim() === '') {
+    errors.push('"greeting.text" is required (it is added to the conversation history)')
+  }
+
+  let greetingAudio = null
+  if (greeting.audioFile !== undefined) {
+    const extension = path.extname(String(greeting.audioFile)).toLowerCase()
+    if (!GREETING_AUDIO_EXTENSIONS.includes(extension)) {
+      errors.push(`"greeting.audioFile" must be one of ${GREETING_AUDIO_EXTENSIONS.join(', ')}`)
+    } else if (!existsSync(greeting.audioFile)) {
+      errors.push(`"greeting.audioFile" not found: ${greeting.audioFile}`)
+    } else {
+      greetingAudio = readFileSync(greeting.audioFile).toString('base64')
+    }
+  }
+
+  const llm = definition.llm || {}
+  if (llm.provider !== undefined && !LLM_PROVIDERS.includes(llm.provider)) {
+    errors.push(`"llm.provider" must be one of ${LLM_PROVIDERS.join(', ')}`)
+  }
+  if (llm.model !== undefined && (typeof llm.model !== 'string' || llm.model === '')) {
+    errors.push('"llm.model" must be a string')
+  }
+  if (llm.contextBudgetTokens !== undefined && (!Number.isInteger(llm.contextBudgetTokens) || llm.contextBudgetTokens < 500 || llm.contextBudgetTokens > 100000)) {
+    errors.push('"llm.contextBudgetTokens" must be an integer between 500 and 100000')
+  }
+
+  const tts = definition.tts || {}
+  if (tts.provider !== undefined && !hasTTSProvider(tts.provider)) {
+    errors.push(`"tts.provider" "${tts.provider}" is not a registered TTS provider`)
+  }
+  const voices = tts.voices || {}
+  if (typeof voices !== 'object' || Array.isArray(voices)) {
+    errors.push('"tts.voices" must map provider names to voice IDs')
+  } else {
+    for (const [provider, voice] of Object.entries(voices)) {
+      if (!hasTTSProvider(provider)) {
+        errors.push(`"tts.voices.${provider}" is not a registered TTS provider`)
+      } else if (typeof voice !== 'string' || voice === '') {
+        errors.push(`"tts.voices.${provider}" must be a voice ID string`)
+      }
+    }
+  }
+
+  const prewarm = tts.prewarm || []
+  if (!Array.isArray(prewarm) || prewarm.length > MAX_PREWARM_PHRASES || prewarm.some(phrase => typeof phrase !== 'string' || phrase.trim() === '')) {
+    errors.push(`"tts.prewarm" must be an array of at most ${MAX_PREWARM_PHRASES} non-empty strings`)
+  }
+
+  const tools = definition.tools || []
+  if (!Array.isArray(tools)) {
+    errors.push('"tools" must be an array of tool names')
+  } else {
+    for (const name of tools) {
+      if (!hasTool(name)) {
+        errors.push(`"tools" references unknown tool "${name}"`)
+      }
+    }
+  }
+
+  const stt = definition.stt || {}
+  if (stt.language !== undefined && (typeof stt.language !== 'string' || !LANGUAGE_CODE_PATTERN.test(stt.language))) {
+    errors.push('"stt.language" must be a language code such as "en" or "en-US"')
+  }
+  if (stt.model !== undefined && (typeof stt.model !== 'string' || stt.model === '')) {
+    errors.push('"stt.model" must be a string')
+  }
+  if (stt.endOfTurnSilenceMs !== undefined && (!Number.isInteger(stt.endOfTurnSilenceMs) || stt.endOfTurnSilenceMs < 200 || stt.endOfTurnSilenceMs > 10000)) {
+    errors.push('"stt.endOfTurnSilenceMs" must be an integer between 200 and 10000')
+  }
+
+  if (definition.handoff !== undefined && (typeof definition.handoff !== 'object' || Array.isArray(definition.handoff))) {
+    errors.push('"handoff" must be an object')
+  }
+  const handoff = { ...DEFAULT_HANDOFF, ...definition.handoff }
+  if (typeof handoff.enabled !== 'boolean') {
+    errors.push('"handoff.enabled" must be true or false')
+  }
+  for (const field of HANDOFF_MESSAGES) {
+    if (typeof handoff[field] !== 'string' || handoff[field].trim() === '') {
+      errors.push(`"handoff.${field}" must be a non-empty string`)
+    }
+  }
+  if (!Number.isInteger(handoff.holdRepeatSec) || handoff.holdRepeatSec < 5 || handoff.holdRepeatSec > 300) {
+    errors.push('"handoff.holdRepeatSec" must be an integer between 5 and 300')
+  }
+  if (!Number.isInteger(handoff.maxWaitSec) || handoff.maxWaitSec < 10 || handoff.maxWaitSec > 3600) {
+    errors.push('"handoff.maxWaitSec" must be an integer between 10 and 3600')
+  }
+
+  if (definition.filler !== undefined && (typeof definition.filler !== 'object' || Array.isArray(definition.filler))) {
+    errors.push('"filler" must be an object')
+  }
+  const filler = { ...DEFAULT_FILLER, ...definition.filler }
+  if (typeof filler.enabled !== 'boolean') {
+    errors.push('"filler.enabled" must be true or false')
+  }
+  if (filler.delayMs !== undefined && (!Number.isInteger(filler.delayMs) || filler.delayMs < 300 || filler.delayMs > 10000)) {
+    errors.push('"filler.delayMs" must be an integer between 300 and 10000')
+  }
+  if (!Array.isArray(filler.phrases) || filler.phrases.length === 0 || filler.phrases.some(phrase => typeof phrase !== 'string' || phrase.trim() === '')) {
+    errors.push('"filler.phrases" must be a non-empty array of non-empty strings')
+  }
+
+  if (definition.knowledge !== undefined && (typeof definition.knowledge !== 'object' || Array.isArray(definition.knowledge))) {
+    errors.push('"knowledge" must be an object')
+  }
+  const knowledge = { ...DEFAULT_KNOWLEDGE, ...definition.knowledge }
+  if (typeof knowledge.enabled !== 'boolean') {
+    errors.push('"knowledge.enabled" must be true or false')
+  }
+  if (!Number.isInteger(knowledge.topK) || knowledge.topK < 1 || knowledge.topK > 10) {
+    errors.push('"knowledge.topK" must be an integer between 1 and 10')
+  }
+
+  const defaultLanguage = stt.language || 'en'
+  const languages = {
+    [defaultLanguage]: {
+      greeting: greeting.text,
+      voices,
+      sttModel: stt.model,
+      fillers: filler.phrases,
+      handoff: Object.fromEntries(HANDOFF_MESSAGES.map(field => [field, handoff[field]])),
+      toolAcknowledgement: null
+    }
+  }
+  const extraLanguages = definition.languages || {}
+  if (typeof extraLanguages !== 'object' || Array.isArray(extraLanguages)) {
+    errors.push('"languages" must map language codes to their greeting, voices...')
+  } else {
+    for (const [code, language] of Object.entries(extraLanguages)) {
+      const { localized, errors: languageErrors } = validateLanguage(code, language, languages[defaultLanguage], defaultLanguage)
+      errors.push(...languageErrors)
+      languages[code] = localized
+    }
+  }
+
+  if (errors.length > 0) {
+    return { agent: null, errors }
+  }
+
+  return {
+    agent: {
+      id,
+      name: definition.name,
+      description: definition.description || '',
+      systemPrompt,
+      greeting: { text: greeting.text, audioFile: greeting.audioFile || null, audio: greetingAudio },
+      llm: { provider: llm.provider, model: llm.model, contextBudgetTokens: llm.contextBudgetTokens },
+      tts: { provider: tts.provider, voices, prewarm },
+      tools,
+      stt: { language: defaultLanguage, model: stt.model, endOfTurnSilenceMs: stt.endOfTurnSilenceMs },
+      // Language code -> what changes with it; the default language (stt.language) comes first
+      languages,
+      handoff,
+      filler,
+      knowledge
+    },
+    errors
+  }
+}
+
+/**
+ * Validate one entry of "languages". Whatever it doesn't set is taken from the default language.
+ * @param {string} code
+ * @param {Object} language
+ * @param {Object} fallback - The default language's entry
+ * @param {string} defaultLanguage
+ * @returns {{localized: Object, errors: string[]}}
+ */
+function validateLanguage(code, language, fallback, defaultLanguage) {
+  const errors = []
+  const field = (name) => `"languages.${code}${name ? `.${name}` : ''}"`
+
+  if (!LANGUAGE_CODE_PATTERN.test(code)) {
+    errors.push(`${field()} is not a language code such as "es" or "fr-CA"`)
+  } else if (code === defaultLanguage) {
+    errors.push(`${field()} is the default language; set it up with "stt.language", "greeting" and "tts"`)
+  }
+  if (!language || typeof language !== 'object' || Array.isArray(language)) {
+    return { localized: null, errors: [...errors, `${field()} must be an object`] }
+  }
+
+  if (typeof language.greeting !== 'string' || language.greeting.trim() === '') {
+    errors.push(`${field('greeting')} is required`)
+  }
+  const voices = language.voices || {}
+  if (typeof voices !== 'object' || Array.isArray(voices)) {
+    errors.push(`${field('voices')} must map provider names to voice IDs`)
+  } else {
+    for (const [provider, voice] of Object.entries(voices)) {
+      if (!hasTTSProvider(provider)) {
+        errors.push(`${field(`voices.${provider}`)} is not a registered TTS provider`)
+      } else if (typeof voice !== 'string' || voice === '') {
+        errors.push(`${field(`voices.${provider}`)} must be a voice ID string`)
+      }
+    }
+  }
+  if (language.sttModel !== undefined && (typeof language.sttModel !== 'string' || language.sttModel === '')) {
+    errors.push(`${field('sttModel')} must be a string`)
+  }
+  if (language.fillers !== undefined && (!Array.isArray(language.fillers) || language.fillers.length === 0 || language.fillers.some(phrase => typeof phrase !== 'string' || phrase.trim() === ''))) {
+    errors.push(`${field('fillers')} must be a non-empty array of non-empty strings`)
+  }
+  const handoff = language.handoff || {}
+  for (const message of HANDOFF_MESSAGES) {
+    if (handoff[message] !== undefined && (typeof handoff[message] !== 'string' || handoff[message].trim() === '')) {
+      errors.push(`${field(`handoff.${message}`)} must be a non-empty string`)
+    }
+  }
+  if (language.toolAcknowledgement !== undefined && (typeof language.toolAcknowledgement !== 'string' || language.toolAcknowledgement.trim() === '')) {
+    errors.push(`${field('toolAcknowledgement')} must be a non-empty string`)
+  }
+
+  return {
+    localized: {
+      greeting: language.greeting,
+      voices: { ...fallback.voices, ...voices },
+      sttModel: language.sttModel ?? fallback.sttModel,
+      fillers: language.fillers ?? fallback.fillers,
+      handoff: { ...fallback.handoff, ...handoff },
+      toolAcknowledgement: language.toolAcknowledgement ?? null
+    },
+    errors
+  }
+}
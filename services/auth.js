@@ -0,0 +1,265 @@
+import { createHash, createHmac, timingSafeEqual } from 'crypto'
+import { readFileSync, existsSync } from 'fs'
+
+// Used when ALLOWED_ORIGINS is not set
+const DEFAULT_ALLOWED_ORIGINS = [
+  'https://voicecallai.netlify.app',
+  'https://voice-ai-backend-production-7a80.up.railway.app',
+  'http://localhost:5173',
+  'http://localhost:3000'
+]
+
+export const DEFAULT_TENANT_LIMITS = {
+  maxConcurrentCalls: 5,
+  callsPerMinute: 10,
+  maxCallDurationSec: 1800
+}
+
+const DEFAULT_TOKEN_TTL_SEC = 15 * 60
+const MAX_TOKEN_TTL_SEC = 24 * 60 * 60
+
+/**
+ * Reason codes sent to rejected clients (Socket.io connect_error `data.code`,
+ * `error` event `code`, REST `{ code }`)
+ */
+export const AuthErrorCodes = {
+  MissingToken: 'missing-token',
+  InvalidToken: 'invalid-token',
+  TokenExpired: 'token-expired',
+  UnknownTenant: 'unknown-tenant',
+  OriginNotAllowed: 'origin-not-allowed',
+  AdminRequired: 'admin-required',
+  ConcurrentCallLimit: 'concurrent-call-limit',
+  CallRateLimit: 'call-rate-limit',
+  MaxCallDuration: 'max-call-duration'
+}
+
+export class AuthError extends Error {
+  /**
+   * @param {string} code - One of AuthErrorCodes
+   * @param {string} message
+   * @param {number} [status] - HTTP status for REST responses
+   */
+  constructor(code, message, status = 401) {
+    super(message)
+    this.name = 'AuthError'
+    this.code = code
+    this.status = status
+  }
+}
+
+/**
+ * Origins allowed for CORS and Socket.io, from ALLOWED_ORIGINS (comma separated)
+ */
+export function getAllowedOrigins() {
+  const configured = (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+  return configured.length > 0 ? configured : DEFAULT_ALLOWED_ORIGINS
+}
+
+/**
+ * Requests without an Origin header (curl, server-to-server, mobile apps) are allowed;
+ * they still need a token.
+ */
+export function isOriginAllowed(origin) {
+  return !origin || getAllowedOrigins().includes(origin)
+}
+
+/**
+ * Tenant Registry
+ * Tenants come from TENANTS_FILE (JSON). Each has API keys and call limits:
+ *
+ *   { "tenants": [{ "id": "acme", "name": "Acme", "apiKeys": ["..."], "adminApiKeys": ["..."],
+ *                   "limits": { "maxConcurrentCalls": 5, "callsPerMinute": 10, "maxCallDurationSec": 1800 } }] }
+ *
+ * Admin keys (and tokens minted with them) can also use the admin API and monitor the
+ * tenant's live calls.
+ * API keys authenticate server-to-server calls; browsers get a short-lived HMAC token
+ * minted with AUTH_TOKEN_SECRET (see createAccessToken) so the key never reaches them.
+ * AUTH_DISABLED=true skips all of this and puts every client in a "default" tenant.
+ */
+export class TenantRegistry {
+  constructor({
+    file = process.env.TENANTS_FILE || './tenants.json',
+    tokenSecret = process.env.AUTH_TOKEN_SECRET || null,
+    disabled = process.env.AUTH_DISABLED === 'true'
+  } = {}) {
+    this.file = file
+    this.tokenSecret = tokenSecret
+    this.disabled = disabled
+    this.tenants = new Map()
+    // sha256(api key) -> { tenantId, role }, so lookups don't compare raw keys
+    this.apiKeyHashes = new Map()
+  }
+
+  load() {
+    const tenants = new Map()
+    const apiKeyHashes = new Map()
+
+    if (this.disabled) {
+      tenants.set('default', { id: 'default', name: 'Default', limits: { ...DEFAULT_TENANT_LIMITS } })
+    } else if (existsSync(this.file)) {
+      const config = JSON.parse(readFileSync(this.file, 'utf8'))
+      for (const definition of config.tenants || []) {
+        if (typeof definition.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/.test(definition.id)) {
+          throw new Error(`${this.file}: tenant id "${definition.id}" must be lowercase letters, digits, "-" or "_"`)
+        }
+        const limits = { ...DEFAULT_TENANT_LIMITS, ...definition.limits }
+        for (const [name, value] of Object.entries(limits)) {
+          if (!Number.isInteger(value) || value <= 0) {
+            throw new Error(`${this.file}: tenant "${definition.id}" limit "${name}" must be a positive integer`)
+          }
+        }
+
+        tenants.set(definition.id, { id: definition.id, name: definition.name || definition.id, limits })
+        const keys = [
+          ...(definition.apiKeys || []).map(apiKey => ({ apiKey, role: 'client' })),
+          ...(definition.adminApiKeys || []).map(apiKey => ({ apiKey, role: 'admin' }))
+        ]
+        for (const { apiKey, role } of keys) {
+          // Access tokens are told apart by their "."
+          if (typeof apiKey !== 'string' || apiKey.length < 16 || apiKey.includes('.')) {
+            throw new Error(`${this.file}: tenant "${definition.id}" API keys must be strings of 16+ characters without "."`)
+          }
+          apiKeyHashes.set(hashApiKey(apiKey), { tenantId: definition.id, role })
+        }
+      }
+    }
+
+    this.tenants = tenants
+    this.apiKeyHashes = apiKeyHashes
+    return [...tenants.values()]
+  }
+
+  get(id) {
+    return this.tenants.get(id) || null
+  }
+
+  /**
+   * Resolve a credential (API key or access token) to its tenant
+   * @param {string} [credential]
+   * @returns {Object} Tenant
+   * @throws {AuthError}
+   */
+  authenticate(credential) {
+    return this.resolve(credential).tenant
+  }
+
+  /**
+   * Like authenticate, but only admin keys and admin tokens are accepted
+   * @throws {AuthError} admin-required (403) for a valid non-admin credential
+   */
+  authenticateAdmin(credential) {
+    const { tenant, role } = this.resolve(credential)
+    if (role !== 'admin') {
+      throw new AuthError(AuthErrorCodes.AdminRequired, 'Admin credentials required', 403)
+    }
+    return tenant
+  }
+
+  /**
+   * @returns {{tenant: Object, role: 'client'|'admin'}}
+   * @throws {AuthError}
+   */
+  resolve(credential) {
+    if (this.disabled) {
+      return { tenant: this.get('default'), role: 'admin' }
+    }
+    if (!credential) {
+      throw new AuthError(AuthErrorCodes.MissingToken, 'An API key or access token is required')
+    }
+
+    const { tenantId, role = 'client' } = credential.includes('.')
+      ? this.verifyAccessToken(credential)
+      : this.apiKeyHashes.get(hashApiKey(credential)) || {}
+
+    const tenant = tenantId && this.get(tenantId)
+    if (!tenant) {
+      throw new AuthError(
+        tenantId ? AuthErrorCodes.UnknownTenant : AuthErrorCodes.InvalidToken,
+        tenantId ? `Tenant "${tenantId}" no longer exists` : 'Invalid API key'
+      )
+    }
+    return { tenant, role }
+  }
+
+  /**
+   * Mint a short-lived token: base64url(payload).base64url(HMAC-SHA256(payload))
+   * @param {string} tenantId
+   * @param {Object} [options]
+   * @param {number} [options.ttlSec] - Lifetime, capped at 24 hours
+   * @param {string} [options.role] - 'admin' for tokens minted with an admin key
+   * @param {string} [options.callerId] - The caller the token's calls are for (see callerIdFor)
+   * @returns {{token: string, expiresAt: string}}
+   */
+  createAccessToken(tenantId, { ttlSec = DEFAULT_TOKEN_TTL_SEC, role = 'client', callerId } = {}) {
+    if (!this.tokenSecret) {
+      throw new Error('AUTH_TOKEN_SECRET is not set')
+    }
+
+    const exp = Math.floor(Date.now() / 1000) + Math.min(Math.max(1, ttlSec), MAX_TOKEN_TTL_SEC)
+    const claims = role === 'admin' ? { tenantId, role, exp } : { tenantId, exp }
+    if (callerId) {
+      claims.callerId = callerId
+    }
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url')
+    return { token: `${payload}.${this.sign(payload)}`, expiresAt: new Date(exp * 1000).toISOString() }
+  }
+
+  /**
+   * The caller a credential vouches for: only access tokens minted with a callerId carry one,
+   * so clients can't claim someone else's history
+   * @param {string} [credential] - A credential authenticate() accepted
+   * @returns {string|null}
+   */
+  callerIdFor(credential) {
+    if (this.disabled || !credential?.includes('.')) return null
+    return this.verifyAccessToken(credential).callerId ?? null
+  }
+
+  /**
+   * @returns {{tenantId: string, role?: string, callerId?: string, exp: number}}
+   * @throws {AuthError}
+   */
+  verifyAccessToken(token) {
+    const [payload, signature] = token.split('.')
+    if (!this.tokenSecret || !payload || !signature) {
+      throw new AuthError(AuthErrorCodes.InvalidToken, 'Invalid access token')
+    }
+
+    const expected = Buffer.from(this.sign(payload))
+    const actual = Buffer.from(signature)
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+      throw new AuthError(AuthErrorCodes.InvalidToken, 'Invalid access token signature')
+    }
+
+    let claims
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+    } catch {
+      throw new AuthError(AuthErrorCodes.InvalidToken, 'Invalid access token payload')
+    }
+    if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= Date.now()) {
+      throw new AuthError(AuthErrorCodes.TokenExpired, 'Access token has expired')
+    }
+    return claims
+  }
+
+  sign(payload) {
+    return createHmac('sha256', this.tokenSecret).update(payload).digest('base64url')
+  }
+}
+
+function hashApiKey(apiKey) {
+  return createHash('sha256').update(String(apiKey)).digest('hex')
+}
+
+/**
+ * Credential from a request: `Authorization: Bearer <token>`, `X-API-Key`, or `?token=`
+ * (for clients that can't set headers, e.g. Twilio webhooks)
+ * @param {{headers: Object, query?: Object}} request - Express request or Socket.io handshake
+ * @param {Object} [auth] - Socket.io handshake `auth` payload
+ */
+export function getCredential({ headers = {}, query = {} }, auth = {}) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '')
+  return auth.token || bearer?.[1] || headers['x-api-key'] || query.token || null
+}
@@ -0,0 +1,82 @@
+import { mkdir, readFile, readdir, rename, writeFile } from 'fs/promises'
+import path from 'path'
+import { logger } from '../utils/logger.js'
+
+const log = logger.child({ component: 'booking-store' })
+
+const BOOKING_ID_PATTERN = /^[A-Za-z0-9_-]+$/
+
+async function writeAtomically(file, content) {
+  const temporary = `${file}.${process.pid}.tmp`
+  await writeFile(temporary, content)
+  await rename(temporary, file)
+}
+
+/**
+ * Booking Store
+ * One JSON record per demo booking under DATA_DIR/bookings, with its calendar invite
+ * next to it (<id>.ics).
+ */
+export class BookingStore {
+  constructor(directory = path.join(process.env.DATA_DIR || './data', 'bookings')) {
+    this.directory = directory
+  }
+
+  filePath(id, extension = 'json') {
+    if (!BOOKING_ID_PATTERN.test(id || '')) {
+      throw new Error(`Invalid booking id: ${id}`)
+    }
+    return path.join(this.directory, `${id}.${extension}`)
+  }
+
+  /**
+   * Write a booking and its invite (atomically, so readers never see half-written files)
+   * @param {{id: string}} booking
+   * @param {string} invite - .ics content
+   */
+  async save(booking, invite) {
+    await mkdir(this.directory, { recursive: true })
+    await writeAtomically(this.filePath(booking.id, 'ics'), invite)
+    await writeAtomically(this.filePath(booking.id), JSON.stringify(booking, null, 2))
+    return booking
+  }
+
+  /**
+   * @returns {Promise<string|null>} The .ics file, null when the booking is unknown
+   */
+  async getInvite(id) {
+    if (!BOOKING_ID_PATTERN.test(id || '')) {
+      return null
+    }
+
+    try {
+      return await readFile(this.filePath(id, 'ics'), 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  /**
+   * Every booking, in no particular order
+   */
+  async list() {
+    let files
+    try {
+      files = await readdir(this.directory)
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+
+    const bookings = []
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        bookings.push(JSON.parse(await readFile(path.join(this.directory, file), 'utf8')))
+      } catch (error) {
+        log.error('Skipping unreadable booking', { file, error })
+      }
+    }
+    return bookings
+  }
+}
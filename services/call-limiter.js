@@ -0,0 +1,55 @@
+import { randomUUID } from 'crypto'
+import { AuthError, AuthErrorCodes } from './auth.js'
+
+const MINUTE_MS = 60 * 1000
+
+/**
+ * Call Limiter
+ * Enforces each tenant's concurrent call and calls-per-minute limits (see TenantRegistry).
+ * Calls in progress and recent starts are reservations in the session store, so with the
+ * Redis store the limits hold across every instance. A call's slot expires with its session
+ * record unless refresh() keeps it, which frees the slots of an instance that died.
+ */
+export class CallLimiter {
+  /**
+   * @param {Object} store - A session store (services/session-store.js)
+   */
+  constructor(store) {
+    this.store = store
+  }
+
+  /**
+   * Reserve a call slot for the tenant
+   * @param {Object} tenant
+   * @param {string} sessionId - The session placing the call
+   * @throws {AuthError} when a limit is reached (status 429)
+   */
+  async acquire(tenant, sessionId) {
+    const { maxConcurrentCalls, callsPerMinute } = tenant.limits
+
+    const slot = await this.store.reserve(`calls:${tenant.id}`, sessionId, { limit: maxConcurrentCalls, ttlMs: this.store.ttlMs })
+    if (!slot) {
+      throw new AuthError(AuthErrorCodes.ConcurrentCallLimit, `Concurrent call limit reached (${maxConcurrentCalls})`, 429)
+    }
+
+    const start = await this.store.reserve(`call-starts:${tenant.id}`, randomUUID(), { limit: callsPerMinute, ttlMs: MINUTE_MS })
+    if (!start) {
+      await this.release(tenant, sessionId)
+      throw new AuthError(AuthErrorCodes.CallRateLimit, `Call rate limit reached (${callsPerMinute} per minute)`, 429)
+    }
+  }
+
+  /**
+   * Keep the slot of a call in progress from expiring
+   */
+  async refresh(tenant, sessionId) {
+    await this.store.extend(`calls:${tenant.id}`, sessionId, this.store.ttlMs)
+  }
+
+  /**
+   * Free the slot taken by acquire()
+   */
+  async release(tenant, sessionId) {
+    await this.store.release(`calls:${tenant.id}`, sessionId)
+  }
+}
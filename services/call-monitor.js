@@ -0,0 +1,84 @@
+import { logger } from '../utils/logger.js'
+
+const log = logger.child({ component: 'call-monitor' })
+
+/**
+ * Call Monitor
+ * Live view of calls on the `/admin` Socket.io namespace. Supervisors connect with an admin
+ * credential, `watch` a session of their own tenant and from then on receive what happens
+ * on it as it happens. Rooms go through the Socket.io adapter, so with the Redis adapter a
+ * supervisor can watch a call handled by another instance.
+ *
+ * Client → server:
+ * - `watch`: `{ sessionId }`, ack `{ ok: true, session }` (the current snapshot) or `{ ok: false, error }`
+ * - `unwatch`: `{ sessionId }`
+ *
+ * Server → client, every payload with `sessionId` and `at` (ISO time):
+ * - `call-started`: `{ callId, agentId }`
+ * - `transcript-interim` / `transcript`: `{ text }` - the caller's turn in progress / complete
+ * - `ai-response`: `{ text, partial?, complete?, source?, turnId? }`
+ * - `turn-interrupted`: `{ turnId, reason, heardText }`
+ * - `handoff`: `{ status, reason?, source?, humanAgent? }` - human takeover progress
+ * - `call-resumed`: `{ callId, replayed }` - the caller reconnected
+ * - `call-ended`: `{ callId, reason }`
+ */
+export class CallMonitor {
+  /**
+   * @param {import('socket.io').Namespace} namespace - The /admin namespace (authenticated by the caller)
+   * @param {Object} options
+   * @param {(id: string) => Promise<Object|null>} options.findSession - Snapshot of a session
+   *   (on any instance) with its tenantId, sent on watch
+   */
+  constructor(namespace, { findSession }) {
+    this.namespace = namespace
+    this.findSession = findSession
+
+    namespace.on('connection', (socket) => this.handleConnection(socket))
+  }
+
+  handleConnection(socket) {
+    const { tenant } = socket.data
+    log.info('Supervisor connected', { socketId: socket.id, tenantId: tenant.id })
+
+    // Payloads and acks come from the client: a null payload or a non-function ack must not throw
+    socket.on('watch', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {}
+      const sessionId = data?.sessionId
+      let session
+      try {
+        session = await this.findSession(sessionId)
+      } catch (error) {
+        log.error('Error looking up session', { sessionId, error })
+        return reply({ ok: false, error: 'Session lookup failed' })
+      }
+      // Other tenants' sessions look the same as missing ones
+      if (!session || session.tenantId !== tenant.id) {
+        return reply({ ok: false, error: 'Session not found' })
+      }
+      socket.join(roomFor(sessionId))
+      reply({ ok: true, session })
+    })
+
+    socket.on('unwatch', (data) => {
+      socket.leave(roomFor(data?.sessionId))
+    })
+
+    socket.on('disconnect', () => {
+      log.info('Supervisor disconnected', { socketId: socket.id, tenantId: tenant.id })
+    })
+  }
+
+  /**
+   * Send an event to everyone watching the session
+   * @param {Object} session
+   * @param {string} event
+   * @param {Object} [data]
+   */
+  publish(session, event, data = {}) {
+    this.namespace.to(roomFor(session.id)).emit(event, { sessionId: session.id, ...data, at: new Date().toISOString() })
+  }
+}
+
+function roomFor(sessionId) {
+  return `session:${sessionId}`
+}
@@ -0,0 +1,322 @@
+import { createWriteStream } from 'fs'
+import { mkdir, readFile, readdir, rm, stat, writeFile } from 'fs/promises'
+import path from 'path'
+import { parseWav, encodeWav } from '../utils/wav.js'
+import { pcm16ToSamples, samplesToPcm16, resample, mixInto, clampToInt16, interleaveStereo, decodeMulaw } from '../utils/audio.js'
+import { decodeAudio, getAudioDuration } from '../utils/audio-format.js'
+import { logger } from '../utils/logger.js'
+
+const log = logger.child({ component: 'call-recorder' })
+
+const CALL_ID_PATTERN = /^[A-Za-z0-9_-]+$/
+
+export function recordingsDirectory() {
+  return path.join(process.env.DATA_DIR || './data', 'recordings')
+}
+
+/**
+ * Call Recorder
+ * Captures one call to DATA_DIR/recordings/<callId>/:
+ * - inbound.raw: caller audio exactly as received, with per-chunk arrival times in the manifest
+ * - outbound-<n>.<ext>: every clip sent to the caller (greeting and TTS), with its playback start
+ * - manifest.json: timings plus the transcript with per-turn timestamps and speaker labels
+ * All times in the manifest are milliseconds from the start of the call.
+ */
+export class CallRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} options.callId
+   * @param {string} options.agentId
+   * @param {{encoding: string, sampleRate: number, channels: number}} [options.inboundFormat]
+   *   Caller audio format; only linear16 and mulaw can be mixed into the WAV recording
+   */
+  constructor({ callId, agentId, inboundFormat, directory = recordingsDirectory() }) {
+    this.callId = callId
+    this.agentId = agentId
+    this.directory = path.join(directory, callId)
+    this.inboundFormat = inboundFormat || {
+      encoding: process.env.RECORDING_INBOUND_ENCODING || 'linear16',
+      sampleRate: parseInt(process.env.RECORDING_INBOUND_SAMPLE_RATE || '16000', 10),
+      channels: 1
+    }
+
+    this.startedAt = Date.now()
+    this.inboundStream = null
+    this.inboundBytes = 0
+    this.inboundChunks = []
+    this.outbound = []
+    this.transcript = []
+    this.pendingWrites = []
+    this.stopped = false
+  }
+
+  async start() {
+    await mkdir(this.directory, { recursive: true })
+    this.inboundStream = createWriteStream(path.join(this.directory, 'inbound.raw'))
+    this.inboundStream.on('error', (error) => {
+      log.error('Recorder inbound write failed', { callId: this.callId, error })
+    })
+  }
+
+  /**
+   * Milliseconds since the call started
+   * @param {number} [at] - Epoch ms, defaults to now
+   */
+  offset(at = Date.now()) {
+    return Math.max(0, at - this.startedAt)
+  }
+
+  /**
+   * Append a chunk of caller audio
+   * @param {Buffer|ArrayBuffer|Uint8Array} chunk
+   */
+  recordInbound(chunk) {
+    if (this.stopped || !this.inboundStream) return
+
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)
+    this.inboundChunks.push({ atMs: this.offset(), byteOffset: this.inboundBytes, length: buffer.length })
+    this.inboundBytes += buffer.length
+    this.inboundStream.write(buffer)
+  }
+
+  /**
+   * Save a clip sent to the caller
+   * @param {Object} clip
+   * @param {string} clip.audio - Base64 audio
+   * @param {Object} [clip.format] - { container, encoding, sampleRate }
+   * @param {string} clip.text - What the clip says
+   * @param {string} clip.kind - 'greeting', 'response', ...
+   * @param {number} [clip.turnId]
+   * @param {number} [clip.startsAt] - Epoch ms when playback starts (defaults to now)
+   */
+  recordOutbound({ audio, format, text, kind, turnId = null, startsAt = Date.now() }) {
+    if (this.stopped) return
+
+    const buffer = Buffer.from(audio, 'base64')
+    const extension = parseWav(buffer) ? 'wav' : (format?.container || 'mp3')
+    const file = `outbound-${this.outbound.length + 1}.${extension}`
+    const startMs = this.offset(startsAt)
+    const durationMs = getAudioDuration(buffer, format) || null
+
+    this.outbound.push({
+      file,
+      kind,
+      turnId,
+      text,
+      format: format || null,
+      startMs,
+      endMs: durationMs === null ? null : startMs + durationMs,
+      // PCM and μ-law clips go into the mixed recording; MP3 can't be decoded here
+      mixable: durationMs !== null
+    })
+    this.track(writeFile(path.join(this.directory, file), buffer))
+  }
+
+  /**
+   * Add a transcript line
+   * @param {{speaker: 'caller'|'agent', text: string, startsAt?: number, endsAt?: number, turnId?: number, interrupted?: boolean}} entry
+   *   startsAt/endsAt are epoch ms
+   * @returns {Object|null} The entry, which can be updated until stop() (e.g. when a turn is cut short)
+   */
+  recordTranscript({ speaker, text, startsAt = Date.now(), endsAt = startsAt, turnId = null, interrupted = false }) {
+    if (this.stopped || !text) return null
+
+    const entry = {
+      speaker,
+      text,
+      startMs: this.offset(startsAt),
+      endMs: this.offset(endsAt),
+      turnId,
+      interrupted
+    }
+    this.transcript.push(entry)
+    return entry
+  }
+
+  /**
+   * The caller cut the agent off: clips stop playing at this point
+   * @param {number} [at] - Epoch ms of the interruption
+   */
+  markInterrupted(at = Date.now()) {
+    const atMs = this.offset(at)
+    for (const clip of this.outbound) {
+      if (clip.startMs >= atMs) {
+        clip.cutAtMs = clip.startMs
+      } else if (clip.endMs === null || clip.endMs > atMs) {
+        clip.cutAtMs = atMs
+      }
+    }
+  }
+
+  track(promise) {
+    const write = promise.catch(error => {
+      log.error('Recorder write failed', { callId: this.callId, error })
+    })
+    this.pendingWrites.push(write)
+  }
+
+  /**
+   * Finish the recording and write the manifest
+   */
+  async stop() {
+    if (this.stopped) return
+    this.stopped = true
+
+    if (this.inboundStream) {
+      await new Promise(resolve => this.inboundStream.end(resolve))
+    }
+    await Promise.all(this.pendingWrites)
+
+    const manifest = {
+      callId: this.callId,
+      agentId: this.agentId,
+      startedAt: new Date(this.startedAt).toISOString(),
+      endedAt: new Date().toISOString(),
+      durationMs: this.offset(),
+      inbound: { ...this.inboundFormat, file: 'inbound.raw', bytes: this.inboundBytes, chunks: this.inboundChunks },
+      outbound: this.outbound,
+      transcript: [...this.transcript].sort((a, b) => a.startMs - b.startMs)
+    }
+    await writeFile(path.join(this.directory, 'manifest.json'), JSON.stringify(manifest, null, 2))
+    log.info('Recording saved', { callId: this.callId, clips: this.outbound.length, inboundBytes: this.inboundBytes })
+  }
+}
+
+/**
+ * Read side of recordings: manifests, transcripts, rendered WAV files and retention
+ */
+export class RecordingStore {
+  constructor(directory = recordingsDirectory()) {
+    this.directory = directory
+  }
+
+  callDirectory(callId) {
+    if (!CALL_ID_PATTERN.test(callId || '')) {
+      return null
+    }
+    return path.join(this.directory, callId)
+  }
+
+  /**
+   * @returns {Promise<Object|null>} null if the call has no finished recording
+   */
+  async getManifest(callId) {
+    const directory = this.callDirectory(callId)
+    if (!directory) return null
+
+    try {
+      return JSON.parse(await readFile(path.join(directory, 'manifest.json'), 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  /**
+   * Render the call as a WAV file
+   * @param {string} callId
+   * @param {Object} [options]
+   * @param {'mixed'|'two-track'} [options.mode='mixed'] - two-track: caller left, agent right
+   * @param {number} [options.sampleRate=16000]
+   * @returns {Promise<{wav: Buffer, inboundIncluded: boolean}|null>}
+   */
+  async renderWav(callId, { mode = 'mixed', sampleRate = 16000 } = {}) {
+    const manifest = await this.getManifest(callId)
+    if (!manifest) return null
+
+    const directory = this.callDirectory(callId)
+    const toIndex = (ms) => Math.round((ms / 1000) * sampleRate)
+    const length = toIndex(manifest.durationMs) + 1
+
+    // Caller track: chunks play back-to-back, but never before they arrived
+    const caller = new Int32Array(length)
+    const { inbound } = manifest
+    const inboundIncluded = ['linear16', 'mulaw'].includes(inbound.encoding) && inbound.bytes > 0
+    if (inboundIncluded) {
+      const raw = await readFile(path.join(directory, inbound.file))
+      let nextIndex = 0
+      for (const chunk of inbound.chunks) {
+        const pcm = raw.subarray(chunk.byteOffset, chunk.byteOffset + chunk.length)
+        const decoded = inbound.encoding === 'mulaw' ? decodeMulaw(pcm) : pcm16ToSamples(pcm, inbound.channels)
+        const samples = resample(decoded, inbound.sampleRate, sampleRate)
+        const offset = Math.max(toIndex(chunk.atMs), nextIndex)
+        mixInto(caller, samples, offset)
+        nextIndex = offset + samples.length
+      }
+    }
+
+    // Agent track: each clip at its playback start, cut short where the caller interrupted
+    const agent = new Int32Array(length)
+    for (const clip of manifest.outbound.filter(clip => clip.mixable)) {
+      const decoded = decodeAudio(await readFile(path.join(directory, clip.file)), clip.format)
+      if (!decoded) continue
+
+      let samples = resample(decoded.samples, decoded.sampleRate, sampleRate)
+      if (clip.cutAtMs !== undefined) {
+        samples = samples.subarray(0, Math.max(0, toIndex(clip.cutAtMs - clip.startMs)))
+      }
+      mixInto(agent, samples, toIndex(clip.startMs))
+    }
+
+    let output
+    let channels = 1
+    if (mode === 'two-track') {
+      output = interleaveStereo(clampToInt16(caller), clampToInt16(agent))
+      channels = 2
+    } else {
+      for (let i = 0; i < length; i++) {
+        agent[i] += caller[i]
+      }
+      output = clampToInt16(agent)
+    }
+
+    return { wav: encodeWav(samplesToPcm16(output), { sampleRate, channels }), inboundIncluded }
+  }
+
+  /**
+   * Delete recordings older than the retention window
+   * @param {number} days - Recordings whose call started more than this many days ago are removed
+   * @returns {Promise<number>} Number of recordings deleted
+   */
+  async purgeOlderThan(days) {
+    let entries
+    try {
+      entries = await readdir(this.directory)
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0
+      throw error
+    }
+
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000
+    let purged = 0
+
+    for (const callId of entries) {
+      const directory = this.callDirectory(callId)
+      if (!directory) continue
+
+      // Unfinished recordings have no manifest yet; fall back to the directory time
+      const manifest = await this.getManifest(callId).catch(() => null)
+      const startedAt = manifest ? Date.parse(manifest.startedAt) : (await stat(directory)).mtimeMs
+      if (startedAt < cutoff) {
+        await rm(directory, { recursive: true, force: true })
+        purged++
+      }
+    }
+
+    return purged
+  }
+}
+
+/**
+ * Plain-text transcript: one "[mm:ss.s] Speaker: text" line per turn
+ */
+export function formatTimestampedTranscript(transcript, agentName = 'Agent') {
+  return transcript
+    .map(entry => {
+      const seconds = entry.startMs / 1000
+      const stamp = `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${(seconds % 60).toFixed(1).padStart(4, '0')}`
+      const speaker = entry.speaker === 'caller' ? 'Caller' : agentName
+      return `[${stamp}] ${speaker}: ${entry.text}${entry.interrupted ? ' [interrupted]' : ''}`
+    })
+    .join('\n')
+}
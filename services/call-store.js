@@ -0,0 +1,172 @@
+import { createHash } from 'crypto'
+import { mkdir, readFile, readdir, rename, stat, writeFile } from 'fs/promises'
+import path from 'path'
+import { logger } from '../utils/logger.js'
+
+const log = logger.child({ component: 'call-store' })
+
+const CALL_ID_PATTERN = /^[A-Za-z0-9_-]+$/
+
+// Call ids kept in a caller's index, newest first
+const MAX_INDEXED_CALLS = 20
+
+/**
+ * Call Store
+ * Persists one JSON record per call under DATA_DIR/calls so call data outlives the process.
+ * Calls with a callerId are also indexed by tenant and caller (`calls/callers/<hash>.json`:
+ * how many calls, the latest ids), so a returning caller's history doesn't need a full scan.
+ */
+export class CallStore {
+  constructor(directory = path.join(process.env.DATA_DIR || './data', 'calls')) {
+    this.directory = directory
+    this.callersDirectory = path.join(directory, 'callers')
+    // Index writes run one at a time (see indexCall)
+    this.indexQueue = Promise.resolve()
+  }
+
+  filePath(callId) {
+    if (!CALL_ID_PATTERN.test(callId || '')) {
+      throw new Error(`Invalid call id: ${callId}`)
+    }
+    return path.join(this.directory, `${callId}.json`)
+  }
+
+  /**
+   * Write a call record (atomically, so readers never see a half-written file)
+   * @param {{callId: string}} record
+   */
+  async save(record) {
+    await mkdir(this.directory, { recursive: true })
+    const file = this.filePath(record.callId)
+    const temporary = `${file}.${process.pid}.tmp`
+    await writeFile(temporary, JSON.stringify(record, null, 2))
+    await rename(temporary, file)
+    if (record.callerId) {
+      await this.indexCall(record)
+    }
+    return record
+  }
+
+  /**
+   * Merge fields into an existing record
+   */
+  async update(callId, fields) {
+    const record = await this.get(callId)
+    if (!record) {
+      throw new Error(`Call not found: ${callId}`)
+    }
+    return this.save({ ...record, ...fields })
+  }
+
+  /**
+   * @returns {Promise<Object|null>} null when the call is unknown
+   */
+  async get(callId) {
+    if (!CALL_ID_PATTERN.test(callId || '')) {
+      return null
+    }
+
+    try {
+      return JSON.parse(await readFile(this.filePath(callId), 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  /**
+   * All call records, newest first
+   */
+  async list() {
+    let files
+    try {
+      files = await readdir(this.directory)
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+
+    const records = []
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        records.push(JSON.parse(await readFile(path.join(this.directory, file), 'utf8')))
+      } catch (error) {
+        log.error('Skipping unreadable call record', { file, error })
+      }
+    }
+
+    return records.sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''))
+  }
+
+  /**
+   * The caller's latest calls, newest first
+   * @param {string} tenantId
+   * @param {string} callerId
+   * @returns {Promise<{calls: number, records: Object[]}>} calls counts them all, records has up to 20
+   */
+  async listByCaller(tenantId, callerId) {
+    const index = await this.readIndex(this.indexPath(tenantId, callerId))
+    const records = await Promise.all(index.callIds.map(callId => this.get(callId)))
+    return {
+      calls: index.calls,
+      records: records
+        .filter(record => record && (record.tenantId || 'default') === tenantId && record.callerId === callerId)
+        .sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''))
+    }
+  }
+
+  /**
+   * Index the calls saved before there was an index; does nothing once that is done
+   */
+  async indexCallers() {
+    const marker = path.join(this.callersDirectory, '.indexed')
+    try {
+      await stat(marker)
+      return
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+
+    // Oldest first, so each caller's newest call ends up first
+    const calls = (await this.list()).filter(call => call.callerId).reverse()
+    for (const call of calls) {
+      await this.indexCall(call)
+    }
+    await mkdir(this.callersDirectory, { recursive: true })
+    await writeFile(marker, new Date().toISOString())
+    log.info('Indexed calls by caller', { calls: calls.length })
+  }
+
+  indexPath(tenantId, callerId) {
+    const hash = createHash('sha256').update(`${tenantId}\n${callerId}`).digest('hex')
+    return path.join(this.callersDirectory, `${hash}.json`)
+  }
+
+  async readIndex(file) {
+    try {
+      return JSON.parse(await readFile(file, 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') return { calls: 0, callIds: [] }
+      throw error
+    }
+  }
+
+  // Put the call first in its caller's index (once: save() runs again on every update)
+  indexCall(record) {
+    const file = this.indexPath(record.tenantId || 'default', record.callerId)
+    const run = this.indexQueue.then(async () => {
+      const index = await this.readIndex(file)
+      if (index.callIds.includes(record.callId)) return
+
+      await mkdir(this.callersDirectory, { recursive: true })
+      const temporary = `${file}.${process.pid}.tmp`
+      await writeFile(temporary, JSON.stringify({
+        calls: index.calls + 1,
+        callIds: [record.callId, ...index.callIds].slice(0, MAX_INDEXED_CALLS)
+      }))
+      await rename(temporary, file)
+    })
+    this.indexQueue = run.catch(() => {})
+    return run
+  }
+}
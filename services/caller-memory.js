@@ -0,0 +1,87 @@
+import { logger } from '../utils/logger.js'
+
+const log = logger.child({ component: 'caller-memory' })
+
+// Previous calls whose summaries are handed to the model
+const MAX_SUMMARIES = 3
+
+// Lead fields carried over from earlier calls, newest value first
+const FACT_FIELDS = ['callerName', 'company', 'teamSize', 'useCase', 'planInterest']
+
+const CALLER_ID_PATTERN = /^[\w+@.:-]{1,128}$/
+
+/**
+ * Is this a caller identifier we accept on call-start (phone number, email, CRM id...)?
+ * @param {*} callerId
+ */
+export function isValidCallerId(callerId) {
+  return typeof callerId === 'string' && CALLER_ID_PATTERN.test(callerId)
+}
+
+/**
+ * Caller Memory
+ * What we learned about a caller on their previous calls, read from the call records
+ * (the extracted leads) of the same tenant with the same callerId - the latest ones the
+ * call store's caller index points to.
+ */
+export class CallerMemory {
+  /**
+   * @param {import('./call-store.js').CallStore} callStore
+   */
+  constructor(callStore) {
+    this.callStore = callStore
+  }
+
+  /**
+   * @param {string} tenantId
+   * @param {string} callerId
+   * @returns {Promise<Object|null>} null for a first-time caller:
+   *   `{ callerId, previousCalls, lastCallAt, callerName, company, teamSize, useCase, planInterest, demoRequested, summaries }`
+   */
+  async recall(tenantId, callerId) {
+    // Newest first
+    const { calls: callCount, records: calls } = await this.callStore.listByCaller(tenantId, callerId)
+    if (calls.length === 0) return null
+
+    const leads = calls.map(call => call.lead).filter(Boolean)
+    const memory = {
+      callerId,
+      previousCalls: callCount,
+      lastCallAt: calls[0].startedAt,
+      demoRequested: leads.some(lead => lead.demoRequested),
+      summaries: calls
+        .filter(call => call.lead?.summary)
+        .slice(0, MAX_SUMMARIES)
+        .map(call => ({ at: call.startedAt, summary: call.lead.summary }))
+    }
+    for (const field of FACT_FIELDS) {
+      memory[field] = leads.find(lead => lead[field] !== null && lead[field] !== undefined)?.[field] ?? null
+    }
+
+    log.debug('Caller recognized', { tenantId, previousCalls: memory.previousCalls })
+    return memory
+  }
+}
+
+/**
+ * Caller memory as instructions for the model
+ * @param {Object} memory - From CallerMemory.recall()
+ */
+export function formatCallerMemory(memory) {
+  const facts = [
+    memory.callerName && `Name: ${memory.callerName}`,
+    memory.company && `Company: ${memory.company}`,
+    memory.teamSize && `Team size: ${memory.teamSize}`,
+    memory.useCase && `Wants to: ${memory.useCase}`,
+    memory.planInterest && `Interested in the ${memory.planInterest} plan`,
+    memory.demoRequested && 'Already asked for a demo'
+  ].filter(Boolean)
+
+  const lines = [
+    `This is a returning caller: ${memory.previousCalls} previous call(s), the last on ${memory.lastCallAt.slice(0, 10)}.`,
+    ...(facts.length > 0 ? ['What they told us before:', ...facts.map(fact => `- ${fact}`)] : []),
+    ...(memory.summaries.length > 0 ? ['Earlier calls, newest first:', ...memory.summaries.map(({ at, summary }) => `- ${at.slice(0, 10)}: ${summary}`)] : []),
+    'Pick up where the last conversation ended: use their name, don\'t ask again for what you already know, and check whether anything changed.'
+  ]
+  return lines.join('\n')
+}
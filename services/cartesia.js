@@ -1,7 +1,11 @@
 import fetch from 'node-fetch'
+import { TTSProvider } from './tts-provider.js'
+import { baseLanguage } from './language.js'
 
-export class CartesiaService {
+export class CartesiaService extends TTSProvider {
   constructor() {
+    super('cartesia', { container: 'wav', encoding: 'pcm_s16le', sampleRate: 16000 })
+
     this.apiKey = process.env.CARTESIA_API_KEY
     if (!this.apiKey) {
       throw new Error('CARTESIA_API_KEY is not set')
@@ -9,12 +13,19 @@ export class CartesiaService {
 
     this.apiUrl = 'https://api.cartesia.ai/tts/bytes'
     this.voiceId = process.env.CARTESIA_VOICE_ID || 'e07c00bc-4134-4eae-9ea4-1a55fb45746b'
+    this.model = 'sonic-turbo'
   }
 
-  async textToSpeech(text) {
+  /**
+   * @param {string} text - Text to speak
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request when the caller interrupts
+   * @param {string} [options.voice] - Cartesia voice ID overriding CARTESIA_VOICE_ID
+   * @param {Object} [options.format] - Output format; Cartesia produces every supported one natively
+   * @param {string} [options.language] - Pronunciation language (sonic-turbo is multilingual)
+   */
+  async textToSpeech(text, { signal, voice, format = this.outputFormat, language = 'en' } = {}) {
     try {
-      console.log('Generating speech with Cartesia...')
-
       const response = await fetch(this.apiUrl, {
         method: 'POST',
         headers: {
@@ -23,24 +34,23 @@ export class CartesiaService {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
-          model_id: 'sonic-turbo',
+          model_id: this.model,
           transcript: text,
+          language: baseLanguage(language),
           voice: {
             mode: 'id',
-            id: this.voiceId
+            id: voice || this.voiceId
           },
           output_format: {
-            container: 'wav',
-            encoding: 'pcm_s16le',
-            sample_rate: 16000
+            container: format.container,
+            encoding: format.encoding,
+            sample_rate: format.sampleRate
           }
-        })
+        }),
+        signal
       })
 
-      if (!response.ok) {
-        const errorText = await response.text()
-        throw new Error(`Cartesia API error (${response.status}): ${errorText}`)
-      }
+      await this.assertOk(response)
 
       // Get audio as buffer
       const audioBuffer = await response.arrayBuffer()
@@ -48,11 +58,14 @@ export class CartesiaService {
       // Convert to base64 for transmission
       const base64Audio = Buffer.from(audioBuffer).toString('base64')
 
-      console.log(`✅ Cartesia audio generated: ${text.substring(0, 50)}...`)
+      this.log.debug('Audio generated', { text: text.substring(0, 50) })
       return base64Audio
 
     } catch (error) {
-      console.error('Cartesia error:', error.message)
+      if (error.name === 'AbortError') {
+        throw error
+      }
+      this.log.error('Cartesia error', { error })
       throw error
     }
   }
@@ -0,0 +1,149 @@
+import { LLMService } from './llm.js'
+import { formatTranscript } from './lead-extractor.js'
+import { logger } from '../utils/logger.js'
+
+const moduleLog = logger.child({ component: 'context-manager' })
+
+// Default token budget for the history sent to the LLM (summary included)
+export const DEFAULT_CONTEXT_BUDGET_TOKENS = parseInt(process.env.CONTEXT_BUDGET_TOKENS || '4000', 10)
+
+// Messages never folded into the summary: the model always sees the latest exchanges verbatim
+const KEEP_RECENT_MESSAGES = 6
+
+// Once over budget, fold until the verbatim part is under this share of it,
+// so we summarize every few turns rather than on every turn
+const COMPACT_TARGET_RATIO = 0.5
+
+const SUMMARY_PROMPT = `You maintain the running summary of a phone call between a caller and a voice assistant.
+You get the current summary (possibly empty) and the next part of the transcript. Return the updated summary.
+
+Rules:
+- Keep every fact the caller stated: name, company, team size, needs, objections, plans or prices discussed, commitments made
+- Keep what the assistant promised or already answered, so it doesn't repeat itself
+- Plain text, at most 150 words, no preamble`
+
+/**
+ * Rough token count (about 4 characters per token for English), plus per-message overhead
+ * @param {string} text
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4) + 4
+}
+
+/**
+ * Context Manager
+ * Keeps what goes to the LLM within a token budget while the full conversationHistory
+ * stays intact for the transcript and lead extraction. Messages beyond the budget are
+ * folded, oldest first, into a rolling summary that is sent as part of the system prompt.
+ * Summarizing takes an LLM call, so compact() runs after a turn; until it catches up,
+ * select() drops the oldest messages that don't fit.
+ */
+export class ContextManager {
+  /**
+   * @param {Object} options
+   * @param {number} [options.budgetTokens]
+   * @param {(summary: string, messages: Object[]) => Promise<string>} options.summarize - Returns the
+   *   summary updated with messages
+   * @param {string} [options.background] - Always sent with the summary (e.g. the caller's previous calls)
+   * @param {import('../utils/logger.js').Logger} [options.log]
+   */
+  constructor({ budgetTokens = DEFAULT_CONTEXT_BUDGET_TOKENS, summarize, background = '', log = moduleLog }) {
+    this.budgetTokens = budgetTokens
+    this.summarize = summarize
+    this.background = background
+    this.log = log
+    this.summary = ''
+    // Messages at the start of the history the summary covers
+    this.summarizedCount = 0
+    this.compacting = null
+  }
+
+  /**
+   * What to send for the next response
+   * @param {{role: string, content: string}[]} history - The full conversation history
+   * @returns {{messages: Object[], instructions: string}}
+   */
+  select(history) {
+    const recent = history.slice(this.summarizedCount)
+    let available = this.budgetTokens - (this.summary ? estimateTokens(this.summary) : 0)
+
+    // Newest first until the budget runs out; the caller's latest turn always goes
+    let start = recent.length
+    while (start > 0) {
+      const tokens = estimateTokens(recent[start - 1].content)
+      if (tokens > available && start < recent.length) break
+      available -= tokens
+      start--
+    }
+    if (start > 0) {
+      this.log.debug('Context over budget, dropping messages until summarized', { dropped: start })
+    }
+
+    return { messages: recent.slice(start), instructions: this.getInstructions() }
+  }
+
+  getInstructions() {
+    const parts = []
+    if (this.background) {
+      parts.push(this.background)
+    }
+    if (this.summary) {
+      parts.push(`Summary of the earlier part of this call (the messages below continue from it):\n${this.summary}`)
+    }
+    return parts.join('\n\n')
+  }
+
+  /**
+   * Fold older messages into the summary if the unsummarized history is over budget.
+   * Runs one summarization at a time; calls made meanwhile wait for it.
+   * @param {{role: string, content: string}[]} history
+   */
+  async compact(history) {
+    if (this.compacting) {
+      return this.compacting
+    }
+
+    this.compacting = this.fold(history).finally(() => {
+      this.compacting = null
+    })
+    return this.compacting
+  }
+
+  async fold(history) {
+    const recent = history.slice(this.summarizedCount)
+    const tokens = recent.reduce((sum, message) => sum + estimateTokens(message.content), 0) +
+      (this.summary ? estimateTokens(this.summary) : 0)
+    if (tokens <= this.budgetTokens) return
+
+    // Oldest messages out until the rest fits the target, keeping the latest ones verbatim
+    const target = this.budgetTokens * COMPACT_TARGET_RATIO
+    let remaining = tokens
+    let count = 0
+    while (count < recent.length - KEEP_RECENT_MESSAGES && remaining > target) {
+      remaining -= estimateTokens(recent[count].content)
+      count++
+    }
+    if (count === 0) return
+
+    const folded = recent.slice(0, count)
+    this.summary = (await this.summarize(this.summary, folded)).trim()
+    this.summarizedCount += count
+    this.log.info('Conversation summarized', { folded: count, summarizedCount: this.summarizedCount, summaryTokens: estimateTokens(this.summary) })
+  }
+}
+
+/**
+ * A summarize() for ContextManager backed by the agent's LLM
+ * @param {Object} [options]
+ * @param {string} [options.provider]
+ * @param {string} [options.model]
+ * @param {string} [options.agentName] - Label for the assistant's lines
+ */
+export function createSummarizer({ provider, model, agentName } = {}) {
+  const llm = new LLMService({ provider, model, systemPrompt: SUMMARY_PROMPT })
+
+  return async (summary, messages) => {
+    const input = `Current summary:\n${summary || '(none yet)'}\n\nTranscript:\n${formatTranscript(messages, agentName)}`
+    return llm.generateResponse([{ role: 'user', content: input }])
+  }
+}
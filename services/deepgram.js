@@ -1,7 +1,10 @@
 import { createClient, LiveTranscriptionEvents } from '@deepgram/sdk'
+import { STTProvider, STTEvents } from './stt-provider.js'
 
-export class DeepgramService {
+export class DeepgramService extends STTProvider {
   constructor() {
+    super('deepgram')
+
     this.apiKey = process.env.DEEPGRAM_API_KEY
     if (!this.apiKey) {
       throw new Error('DEEPGRAM_API_KEY is not set')
@@ -9,58 +12,75 @@ export class DeepgramService {
 
     this.client = createClient(this.apiKey)
     this.connection = null
-    this.transcriptCallback = null
-    this.errorCallback = null
     this.audioSent = false
   }
 
-  async connect() {
+  async connect({ language = 'en', model = 'nova-3', interimResults = false, utteranceEndMs = null, inputFormat = null } = {}) {
     try {
-      console.log('Connecting to Deepgram...')
+      this.log.info('Connecting to Deepgram', { language, model })
+
+      // Raw audio (e.g. phone μ-law) must be described; containerized audio is auto-detected
+      const formatOptions = inputFormat
+        ? { encoding: inputFormat.encoding, sample_rate: inputFormat.sampleRate, channels: inputFormat.channels || 1 }
+        : {}
 
-      // Create live transcription connection - let Deepgram auto-detect format
       this.connection = this.client.listen.live({
-        model: 'nova-3',
-        language: 'en',
+        model,
+        language,
         punctuate: true,
         smart_format: true,
         vad_events: true,
-        interim_results: false
+        interim_results: interimResults,
+        // Deepgram only reports utterance ends alongside interim results, and from 1000 ms up
+        ...(interimResults && utteranceEndMs ? { utterance_end_ms: Math.max(1000, utteranceEndMs) } : {}),
+        ...formatOptions
       })
 
       // Setup event handlers
       this.connection.on(LiveTranscriptionEvents.Open, () => {
-        console.log('✅ Deepgram connection opened successfully')
+        this.log.debug('Deepgram connection opened')
       })
 
       this.connection.on(LiveTranscriptionEvents.Transcript, (data) => {
         try {
           const transcript = data.channel?.alternatives?.[0]?.transcript
 
-          if (transcript && transcript.trim() !== '' && data.is_final) {
-            console.log('Transcript received:', transcript)
-            if (this.transcriptCallback) {
-              this.transcriptCallback(transcript)
-            }
+          if (!transcript || transcript.trim() === '') {
+            return
+          }
+
+          if (data.is_final) {
+            const language = getDominantLanguage(data.channel.alternatives[0])
+            this.log.debug('Transcript received', { transcript, language })
+            this.emit(STTEvents.FinalTranscript, { text: transcript, language })
+          } else {
+            this.emit(STTEvents.InterimTranscript, { text: transcript })
           }
         } catch (error) {
-          console.error('Error processing transcript:', error)
+          this.log.error('Error processing transcript', { error })
         }
       })
 
+      // VAD event - fires as soon as the caller starts talking, before any transcript
+      this.connection.on(LiveTranscriptionEvents.SpeechStarted, () => {
+        this.emit(STTEvents.SpeechStarted)
+      })
+
+      this.connection.on(LiveTranscriptionEvents.UtteranceEnd, () => {
+        this.emit(STTEvents.UtteranceEnd)
+      })
+
       this.connection.on(LiveTranscriptionEvents.Error, (error) => {
-        console.error('❌ Deepgram WebSocket error:', error)
-        if (this.errorCallback) {
-          this.errorCallback(error)
-        }
+        this.log.error('Deepgram WebSocket error', { error })
+        this.emitError(error)
       })
 
       this.connection.on(LiveTranscriptionEvents.Close, () => {
-        console.log('Deepgram connection closed')
+        this.log.info('Deepgram connection closed')
       })
 
       this.connection.on(LiveTranscriptionEvents.Metadata, (metadata) => {
-        console.log('Deepgram metadata:', metadata)
+        this.log.debug('Deepgram metadata', { metadata })
       })
 
       // Wait for connection to be ready with timeout
@@ -83,17 +103,15 @@ export class DeepgramService {
         )
       ])
 
-      console.log('✅ Deepgram connection established successfully')
+      this.log.info('Deepgram connection established')
 
     } catch (error) {
-      console.error('❌ Failed to connect to Deepgram:', error)
-
-      if (error.message && error.message.includes('400')) {
-        console.error('Deepgram 400 Error - Possible causes:')
-        console.error('1. Model "nova-3" not available on your plan')
-        console.error('2. Invalid parameters for your tier')
-        console.error('3. API key permissions issue')
-      }
+      this.log.error('Failed to connect to Deepgram', {
+        error,
+        ...(error.message?.includes('400') && {
+          hint: `Deepgram 400: model "${model}" not available on your plan or for language "${language}", invalid parameters for your tier, or API key permissions`
+        })
+      })
 
       throw new Error(`Deepgram connection failed: ${error.message || 'Unknown error'}`)
     }
@@ -105,34 +123,41 @@ export class DeepgramService {
         this.connection.send(audioData)
         // Log first time audio is sent
         if (!this.audioSent) {
-          console.log('📤 Started sending audio to Deepgram')
+          this.log.debug('Started sending audio to Deepgram')
           this.audioSent = true
         }
       } else {
-        console.warn('Deepgram connection not ready, state:', this.connection?.getReadyState())
+        this.log.warn('Deepgram connection not ready', { readyState: this.connection?.getReadyState() })
       }
     } catch (error) {
-      console.error('Error sending audio to Deepgram:', error)
+      this.log.error('Error sending audio to Deepgram', { error })
     }
   }
 
   disconnect() {
     try {
       if (this.connection) {
-        console.log('Disconnecting from Deepgram...')
+        this.log.debug('Disconnecting from Deepgram')
         this.connection.finish()
         this.connection = null
       }
     } catch (error) {
-      console.error('Error disconnecting from Deepgram:', error)
+      this.log.error('Error disconnecting from Deepgram', { error })
     }
   }
+}
 
-  onTranscript(callback) {
-    this.transcriptCallback = callback
+/**
+ * Language most words of a multilingual (language: 'multi') result were in, undefined otherwise
+ * @param {Object} alternative - channel.alternatives[0]
+ */
+function getDominantLanguage(alternative) {
+  const counts = new Map()
+  for (const { language } of alternative.words || []) {
+    if (language) counts.set(language, (counts.get(language) || 0) + 1)
   }
-
-  onError(callback) {
-    this.errorCallback = callback
+  if (counts.size === 0) {
+    return alternative.languages?.[0]
   }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0]
 }
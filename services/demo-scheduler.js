@@ -0,0 +1,468 @@
+import { readFileSync, existsSync } from 'fs'
+import { randomUUID } from 'crypto'
+import { BookingStore } from './booking-store.js'
+import { buildInvite } from '../utils/ics.js'
+import { isValidTimeZone, getZonedParts, zonedTimeToDate, addDays, formatSpokenTime } from '../utils/time-zone.js'
+import { logger } from '../utils/logger.js'
+
+const log = logger.child({ component: 'demo-scheduler' })
+
+const MINUTE = 60 * 1000
+// Shared booking lock (see share()): held for one check-and-write, waited for this long at most
+const BOOKING_LOCK_TTL_MS = 10 * 1000
+const BOOKING_LOCK_WAIT_MS = 5 * 1000
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']
+const HOURS_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+export const DEFAULT_DEMO_SETTINGS = {
+  title: 'Product demo',
+  durationMinutes: 30,
+  // Slots start every slotMinutes from the beginning of each working-hours range
+  slotMinutes: 30,
+  minNoticeMinutes: 120,
+  horizonDays: 14
+}
+
+/**
+ * Reason codes of rejected booking requests (REST `{ code }`, tool results)
+ */
+export const BookingErrorCodes = {
+  InvalidBooking: 'invalid-booking',
+  SlotUnavailable: 'slot-unavailable',
+  NotFound: 'booking-not-found'
+}
+
+export class BookingError extends Error {
+  /**
+   * @param {string} code - One of BookingErrorCodes
+   * @param {string} message
+   * @param {number} [status] - HTTP status for REST responses
+   */
+  constructor(code, message, status = 400) {
+    super(message)
+    this.name = 'BookingError'
+    this.code = code
+    this.status = status
+  }
+}
+
+/**
+ * Demo Scheduler
+ * Books product demos with the sales team. Reps and their working hours come from
+ * SALES_TEAM_FILE (JSON):
+ *
+ *   { "timeZone": "America/New_York", "demo": { "durationMinutes": 30, "minNoticeMinutes": 120 },
+ *     "reps": [{ "id": "jordan", "name": "Jordan Lee", "email": "jordan@example.com",
+ *                "timeZone": "America/New_York", "workingHours": { "mon": ["09:00-12:00", "13:00-17:00"] } }] }
+ *
+ * A slot is open when at least one rep works through all of it and has no booking that
+ * overlaps it. Bookings are checked and written one at a time, so two callers can't get
+ * the same rep at the same time - across instances too once share() is called.
+ */
+export class DemoScheduler {
+  constructor({
+    file = process.env.SALES_TEAM_FILE || './sales-team.json',
+    store = new BookingStore()
+  } = {}) {
+    this.file = file
+    this.store = store
+    this.timeZone = 'UTC'
+    this.demo = { ...DEFAULT_DEMO_SETTINGS }
+    this.reps = []
+    // Booking id -> booking, every tenant's (reps are shared)
+    this.bookings = new Map()
+    this.loading = null
+    this.queue = Promise.resolve()
+    // A shared session store (see share()), or null for one instance
+    this.locks = null
+  }
+
+  /**
+   * Run alongside other instances that book in the same DATA_DIR: bookings are read from
+   * disk on every use, and each booking or cancellation holds the store's `bookings` lock
+   * @param {Object} store - A shared session store (services/session-store.js)
+   */
+  share(store) {
+    this.locks = store
+  }
+
+  /**
+   * Read and validate the sales team. A missing file leaves nobody to book with.
+   * @throws {Error} On an invalid file
+   */
+  load() {
+    if (!existsSync(this.file)) {
+      log.warn('No sales team configured, demos cannot be booked', { file: this.file })
+      this.reps = []
+      return this.reps
+    }
+
+    const config = JSON.parse(readFileSync(this.file, 'utf8'))
+    const timeZone = config.timeZone || 'UTC'
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`${this.file}: "timeZone" must be an IANA time zone such as "America/New_York"`)
+    }
+    const demo = { ...DEFAULT_DEMO_SETTINGS, ...config.demo }
+    for (const field of ['durationMinutes', 'slotMinutes', 'minNoticeMinutes', 'horizonDays']) {
+      if (!Number.isInteger(demo[field]) || demo[field] < 0 || (field !== 'minNoticeMinutes' && demo[field] === 0)) {
+        throw new Error(`${this.file}: "demo.${field}" must be a positive integer`)
+      }
+    }
+
+    const ids = new Set()
+    const reps = (config.reps || []).map(rep => {
+      if (typeof rep.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/.test(rep.id) || ids.has(rep.id)) {
+        throw new Error(`${this.file}: rep id "${rep.id}" must be unique lowercase letters, digits, "-" or "_"`)
+      }
+      ids.add(rep.id)
+      if (typeof rep.name !== 'string' || rep.name.trim() === '' || !EMAIL_PATTERN.test(rep.email || '')) {
+        throw new Error(`${this.file}: rep "${rep.id}" needs a "name" and an "email"`)
+      }
+      const repTimeZone = rep.timeZone || timeZone
+      if (!isValidTimeZone(repTimeZone)) {
+        throw new Error(`${this.file}: rep "${rep.id}" has an invalid "timeZone"`)
+      }
+      return { id: rep.id, name: rep.name, email: rep.email, timeZone: repTimeZone, workingHours: parseWorkingHours(rep.workingHours, `${this.file}: rep "${rep.id}"`) }
+    })
+
+    this.timeZone = timeZone
+    this.demo = demo
+    this.reps = reps
+    log.info('Sales team loaded', { reps: reps.map(rep => rep.id) })
+    return reps
+  }
+
+  /**
+   * Read the bookings on disk. Runs once (on every use once shared); everything else waits
+   * for it. A failed read isn't kept, the next call tries again.
+   */
+  async loadBookings() {
+    if (this.locks) {
+      return this.reloadBookings()
+    }
+    if (!this.loading) {
+      this.loading = this.store.list().then(bookings => {
+        for (const booking of bookings) {
+          this.bookings.set(booking.id, booking)
+        }
+      }).catch(error => {
+        this.loading = null
+        throw error
+      })
+    }
+    return this.loading
+  }
+
+  // Replace the bookings with what is on disk now (other instances' included)
+  async reloadBookings() {
+    const bookings = await this.store.list()
+    this.bookings = new Map(bookings.map(booking => [booking.id, booking]))
+  }
+
+  // Run changes to the bookings one after another
+  exclusive(task) {
+    const run = this.queue.then(() => this.locks ? this.withSharedLock(task) : task())
+    this.queue = run.catch(() => {})
+    return run
+  }
+
+  // Take the shared lock, catch up with the other instances' bookings, then run the task
+  async withSharedLock(task) {
+    const deadline = Date.now() + BOOKING_LOCK_WAIT_MS
+    while (!await this.locks.acquireLock('bookings', BOOKING_LOCK_TTL_MS)) {
+      if (Date.now() > deadline) {
+        throw new Error('Timed out waiting for the bookings lock')
+      }
+      await new Promise(resolve => setTimeout(resolve, 50))
+    }
+
+    try {
+      await this.reloadBookings()
+      return await task()
+    } finally {
+      await this.locks.releaseLock('bookings').catch(error => {
+        log.warn('Error releasing the bookings lock', { error })
+      })
+    }
+  }
+
+  getRep(id) {
+    return this.reps.find(rep => rep.id === id) || null
+  }
+
+  /**
+   * Does the rep work through all of [start, end) and have no booking overlapping it?
+   * @param {Object} rep
+   * @param {number} start - Epoch ms
+   * @param {number} end - Epoch ms
+   */
+  isRepFree(rep, start, end) {
+    const day = getZonedParts(new Date(start), rep.timeZone)
+    const working = workingRanges(rep, day).some(range => range.start <= start && end <= range.end)
+    if (!working) return false
+
+    for (const booking of this.bookings.values()) {
+      if (booking.status === 'confirmed' && booking.rep.id === rep.id &&
+        Date.parse(booking.start) < end && start < Date.parse(booking.end)) {
+        return false
+      }
+    }
+    return true
+  }
+
+  /**
+   * Open demo slots, earliest first
+   * @param {Object} [options]
+   * @param {Date} [options.from] - Nothing earlier than this (or than minNoticeMinutes from now)
+   * @param {number} [options.days] - How many days after `from` to look at (at most horizonDays)
+   * @param {string} [options.repId] - Only this rep's slots
+   * @param {number} [options.limit]
+   * @returns {Promise<{start: string, end: string, repIds: string[]}[]>}
+   */
+  async getOpenSlots({ from = new Date(), days = this.demo.horizonDays, repId, limit = 20 } = {}) {
+    await this.loadBookings()
+    const now = Date.now()
+    const earliest = Math.max(from.getTime(), now + this.demo.minNoticeMinutes * MINUTE)
+    const latest = Math.min(earliest + days * 24 * 60 * MINUTE, now + this.demo.horizonDays * 24 * 60 * MINUTE)
+    const duration = this.demo.durationMinutes * MINUTE
+    const reps = repId ? this.reps.filter(rep => rep.id === repId) : this.reps
+
+    // Slot start -> reps free then
+    const slots = new Map()
+    for (const rep of reps) {
+      const firstDay = getZonedParts(new Date(earliest), rep.timeZone)
+      for (let offset = 0; ; offset++) {
+        const day = addDays(firstDay, offset)
+        if (zonedTimeToDate({ ...day, hour: 0, minute: 0 }, rep.timeZone).getTime() > latest) break
+
+        for (const range of workingRanges(rep, day)) {
+          for (let start = range.start; start + duration <= range.end; start += this.demo.slotMinutes * MINUTE) {
+            if (start < earliest || start > latest || !this.isRepFree(rep, start, start + duration)) continue
+            slots.set(start, [...(slots.get(start) || []), rep.id])
+          }
+        }
+      }
+    }
+
+    return [...slots.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .slice(0, limit)
+      .map(([start, repIds]) => ({ start: new Date(start).toISOString(), end: new Date(start + duration).toISOString(), repIds }))
+  }
+
+  /**
+   * Book a demo
+   * @param {Object} request
+   * @param {string} request.tenantId
+   * @param {string} request.start - ISO 8601 start time (an open slot)
+   * @param {string} [request.repId] - Without one, the free rep with the fewest upcoming demos
+   * @param {{name: string, email?: string, company?: string}} request.attendee
+   * @param {string} [request.notes]
+   * @param {string} [request.timeZone] - The attendee's, for the spoken confirmation
+   * @param {{callId?: string, sessionId?: string, agentId?: string}} [request.call] - The call that booked it
+   * @returns {Promise<Object>} The booking
+   * @throws {BookingError}
+   */
+  async book({ tenantId, start, repId, attendee = {}, notes, timeZone, call = {} }) {
+    const startTime = Date.parse(start)
+    const problems = []
+    if (typeof start !== 'string' || Number.isNaN(startTime)) {
+      problems.push('"start" must be an ISO 8601 date and time')
+    }
+    if (typeof attendee.name !== 'string' || attendee.name.trim() === '' || attendee.name.length > 200) {
+      problems.push('"name" is required (up to 200 characters)')
+    }
+    if (attendee.email !== undefined && attendee.email !== null && !EMAIL_PATTERN.test(attendee.email)) {
+      problems.push('"email" must be an email address')
+    }
+    if (attendee.company !== undefined && attendee.company !== null && (typeof attendee.company !== 'string' || attendee.company.length > 200)) {
+      problems.push('"company" must be a string (up to 200 characters)')
+    }
+    if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > 2000)) {
+      problems.push('"notes" must be a string (up to 2000 characters)')
+    }
+    if (timeZone !== undefined && timeZone !== null && !isValidTimeZone(timeZone)) {
+      problems.push('"timeZone" must be an IANA time zone such as "Europe/Paris"')
+    }
+    if (repId !== undefined && repId !== null && !this.getRep(repId)) {
+      problems.push(`unknown rep "${repId}"`)
+    }
+    if (problems.length > 0) {
+      throw new BookingError(BookingErrorCodes.InvalidBooking, problems.join('; '))
+    }
+
+    await this.loadBookings()
+    return this.exclusive(async () => {
+      const now = Date.now()
+      const end = startTime + this.demo.durationMinutes * MINUTE
+      if (startTime < now + this.demo.minNoticeMinutes * MINUTE || startTime > now + this.demo.horizonDays * 24 * 60 * MINUTE) {
+        throw new BookingError(BookingErrorCodes.SlotUnavailable, `Demos can be booked from ${this.demo.minNoticeMinutes} minutes to ${this.demo.horizonDays} days ahead`, 409)
+      }
+
+      const candidates = (repId ? [this.getRep(repId)] : this.reps).filter(rep => this.isRepFree(rep, startTime, end))
+      if (candidates.length === 0) {
+        throw new BookingError(BookingErrorCodes.SlotUnavailable, repId ? `${this.getRep(repId).name} is not free at that time` : 'Nobody from the sales team is free at that time', 409)
+      }
+      const rep = candidates
+        .map(candidate => ({ candidate, upcoming: this.countUpcoming(candidate.id, now) }))
+        .sort((a, b) => a.upcoming - b.upcoming)[0].candidate
+
+      const booking = {
+        id: randomUUID(),
+        tenantId,
+        status: 'confirmed',
+        start: new Date(startTime).toISOString(),
+        end: new Date(end).toISOString(),
+        timeZone: timeZone || this.timeZone,
+        rep: { id: rep.id, name: rep.name, email: rep.email },
+        attendee: { name: attendee.name.trim(), email: attendee.email ?? null, company: attendee.company ?? null },
+        notes: notes ?? null,
+        callId: call.callId ?? null,
+        sessionId: call.sessionId ?? null,
+        agentId: call.agentId ?? null,
+        sequence: 0,
+        createdAt: new Date(now).toISOString(),
+        cancelledAt: null
+      }
+      await this.store.save(booking, this.buildInvite(booking))
+      this.bookings.set(booking.id, booking)
+      log.info('Demo booked', { bookingId: booking.id, tenantId, repId: rep.id, start: booking.start, callId: booking.callId })
+      return booking
+    })
+  }
+
+  countUpcoming(repId, now) {
+    let count = 0
+    for (const booking of this.bookings.values()) {
+      if (booking.status === 'confirmed' && booking.rep.id === repId && Date.parse(booking.end) > now) count++
+    }
+    return count
+  }
+
+  /**
+   * Cancel a booking; its invite is rewritten as a cancellation
+   * @returns {Promise<Object>} The cancelled booking
+   * @throws {BookingError} booking-not-found for another tenant's or an unknown booking
+   */
+  async cancel(tenantId, id) {
+    await this.loadBookings()
+    return this.exclusive(async () => {
+      const booking = this.bookings.get(id)
+      if (!booking || booking.tenantId !== tenantId) {
+        throw new BookingError(BookingErrorCodes.NotFound, 'Booking not found', 404)
+      }
+      if (booking.status === 'cancelled') {
+        return booking
+      }
+
+      const cancelled = { ...booking, status: 'cancelled', sequence: booking.sequence + 1, cancelledAt: new Date().toISOString() }
+      await this.store.save(cancelled, this.buildInvite(cancelled))
+      this.bookings.set(id, cancelled)
+      log.info('Demo cancelled', { bookingId: id, tenantId })
+      return cancelled
+    })
+  }
+
+  /**
+   * A tenant's bookings, by start time
+   */
+  async list(tenantId) {
+    await this.loadBookings()
+    return [...this.bookings.values()]
+      .filter(booking => booking.tenantId === tenantId)
+      .sort((a, b) => a.start.localeCompare(b.start))
+  }
+
+  async get(tenantId, id) {
+    await this.loadBookings()
+    const booking = this.bookings.get(id)
+    return booking && booking.tenantId === tenantId ? booking : null
+  }
+
+  async getInvite(tenantId, id) {
+    return (await this.get(tenantId, id)) ? this.store.getInvite(id) : null
+  }
+
+  buildInvite(booking) {
+    const { attendee } = booking
+    return buildInvite({
+      uid: `${booking.id}@voice-ai-backend`,
+      start: booking.start,
+      end: booking.end,
+      summary: `${this.demo.title}: ${attendee.company || attendee.name}`,
+      description: [
+        `Demo for ${attendee.name}${attendee.company ? ` (${attendee.company})` : ''} with ${booking.rep.name}.`,
+        booking.notes ? `Notes: ${booking.notes}` : null,
+        booking.callId ? `Booked during call ${booking.callId}.` : null
+      ].filter(Boolean).join('\n'),
+      organizer: { name: booking.rep.name, email: booking.rep.email },
+      attendee: attendee.email ? { name: attendee.name, email: attendee.email } : undefined,
+      status: booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      sequence: booking.sequence,
+      stamp: booking.cancelledAt || booking.createdAt
+    })
+  }
+
+  /**
+   * @param {string} time - ISO 8601
+   * @param {string} [timeZone] - The listener's, defaults to the sales team's
+   */
+  formatSpoken(time, timeZone = this.timeZone) {
+    return formatSpokenTime(new Date(time), timeZone)
+  }
+}
+
+/**
+ * A few slots to offer on the phone: the first one of each morning and afternoon (in the
+ * caller's time zone), rather than three back-to-back half hours
+ * @param {{start: string}[]} slots - Earliest first
+ * @param {string} timeZone
+ * @param {number} [count]
+ */
+export function pickSlotsToOffer(slots, timeZone, count = 3) {
+  const offered = []
+  const periods = new Set()
+  for (const slot of slots) {
+    const { year, month, day, hour } = getZonedParts(new Date(slot.start), timeZone)
+    const period = `${year}-${month}-${day}-${hour < 12 ? 'am' : 'pm'}`
+    if (periods.has(period)) continue
+    periods.add(period)
+    offered.push(slot)
+    if (offered.length === count) break
+  }
+  return offered
+}
+
+// { mon: ["09:00-17:00"] } -> { mon: [{ from: 540, to: 1020 }] } (minutes of the day)
+function parseWorkingHours(workingHours, where) {
+  if (!workingHours || typeof workingHours !== 'object' || Array.isArray(workingHours)) {
+    throw new Error(`${where} needs "workingHours", e.g. { "mon": ["09:00-17:00"] }`)
+  }
+
+  const parsed = {}
+  for (const [weekday, value] of Object.entries(workingHours)) {
+    if (!WEEKDAYS.includes(weekday)) {
+      throw new Error(`${where}: "workingHours.${weekday}" is not one of ${WEEKDAYS.join(', ')}`)
+    }
+    const ranges = Array.isArray(value) ? value : [value]
+    parsed[weekday] = ranges.map(range => {
+      const match = typeof range === 'string' && range.replace(/\s/g, '').match(HOURS_PATTERN)
+      const from = match && Number(match[1]) * 60 + Number(match[2])
+      const to = match && Number(match[3]) * 60 + Number(match[4])
+      if (!match || to <= from || to > 24 * 60) {
+        throw new Error(`${where}: "workingHours.${weekday}" ranges must look like "09:00-17:00"`)
+      }
+      return { from, to }
+    })
+  }
+  return parsed
+}
+
+// A rep's working hours on a calendar day of their time zone, as epoch ms ranges
+function workingRanges(rep, day) {
+  return (rep.workingHours[day.weekday] || []).map(({ from, to }) => ({
+    start: zonedTimeToDate({ ...day, hour: Math.floor(from / 60), minute: from % 60 }, rep.timeZone).getTime(),
+    end: zonedTimeToDate({ ...day, hour: Math.floor(to / 60), minute: to % 60 }, rep.timeZone).getTime()
+  }))
+}
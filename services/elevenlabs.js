@@ -1,38 +1,66 @@
-import { ElevenLabsClient } from 'elevenlabs'
+import fetch from 'node-fetch'
+import { TTSProvider } from './tts-provider.js'
+import { pcm16ToSamples } from '../utils/audio.js'
+import { encodeAudio } from '../utils/audio-format.js'
+import { baseLanguage } from './language.js'
 
-export class ElevenLabsService {
+export class ElevenLabsService extends TTSProvider {
   constructor() {
+    // Request raw PCM and encode it ourselves so clients get the same formats as Cartesia
+    super('elevenlabs', { container: 'wav', encoding: 'pcm_s16le', sampleRate: 16000 })
+
     this.apiKey = process.env.ELEVENLABS_API_KEY
     if (!this.apiKey) {
       throw new Error('ELEVENLABS_API_KEY is not set')
     }
 
-    this.client = new ElevenLabsClient({ apiKey: this.apiKey })
+    this.apiUrl = 'https://api.elevenlabs.io/v1/text-to-speech'
     this.voiceId = process.env.ELEVENLABS_VOICE_ID || '21m00Tcm4TlvDq8ikWAM' // Rachel voice
+    this.model = 'eleven_turbo_v2'
+    // eleven_turbo_v2 is English only
+    this.multilingualModel = 'eleven_turbo_v2_5'
   }
 
-  async textToSpeech(text) {
+  /**
+   * @param {string} text - Text to speak
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request when the caller interrupts
+   * @param {string} [options.voice] - ElevenLabs voice ID overriding ELEVENLABS_VOICE_ID
+   * @param {Object} [options.format] - Output format; PCM at the requested rate, encoded locally
+   * @param {string} [options.language] - Other languages than English use the multilingual model
+   */
+  async textToSpeech(text, { signal, voice, format = this.outputFormat, language = 'en' } = {}) {
+    const english = baseLanguage(language) === 'en'
     try {
-      const audio = await this.client.textToSpeech.convert(this.voiceId, {
-        text: text,
-        model_id: 'eleven_turbo_v2',
-        voice_settings: {
-          stability: 0.5,
-          similarity_boost: 0.75
-        }
+      const outputFormat = `pcm_${format.sampleRate}`
+      const response = await fetch(`${this.apiUrl}/${voice || this.voiceId}?output_format=${outputFormat}`, {
+        method: 'POST',
+        headers: {
+          'xi-api-key': this.apiKey,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          text: text,
+          model_id: english ? this.model : this.multilingualModel,
+          ...(english ? {} : { language_code: baseLanguage(language) }),
+          voice_settings: {
+            stability: 0.5,
+            similarity_boost: 0.75
+          }
+        }),
+        signal
       })
 
-      // Convert audio stream to base64
-      const chunks = []
-      for await (const chunk of audio) {
-        chunks.push(chunk)
-      }
+      await this.assertOk(response)
 
-      const audioBuffer = Buffer.concat(chunks)
-      return audioBuffer.toString('base64')
+      const pcm = Buffer.from(await response.arrayBuffer())
+      return encodeAudio(pcm16ToSamples(pcm), format).toString('base64')
 
     } catch (error) {
-      console.error('ElevenLabs error:', error)
+      if (error.name === 'AbortError') {
+        throw error
+      }
+      this.log.error('ElevenLabs error', { error })
       throw error
     }
   }
@@ -0,0 +1,41 @@
+export const DEFAULT_FILLER_DELAY_MS = parseInt(process.env.FILLER_DELAY_MS || '1000', 10)
+
+/**
+ * Filler Controller
+ * Masks slow turns (reasoning models, slow tools): when the response has no audio yet
+ * `delayMs` after the caller's turn ended, a short filler phrase is played so the caller
+ * doesn't hear dead air. Phrases are picked at random, never the same one twice in a row.
+ * One controller per call; fillers are not part of the conversation.
+ */
+export class FillerController {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.phrases
+   * @param {number} [options.delayMs]
+   */
+  constructor({ phrases, delayMs = DEFAULT_FILLER_DELAY_MS }) {
+    this.phrases = phrases
+    this.delayMs = delayMs
+    this.lastPhrase = null
+  }
+
+  /**
+   * Next phrase, different from the previous one whenever there is a choice
+   */
+  pick() {
+    const choices = this.phrases.length > 1 ? this.phrases.filter(phrase => phrase !== this.lastPhrase) : this.phrases
+    this.lastPhrase = choices[Math.floor(Math.random() * choices.length)]
+    return this.lastPhrase
+  }
+
+  /**
+   * Call play(phrase) once delayMs have passed since the end of the caller's turn
+   * @param {number} since - Epoch ms the caller's turn ended
+   * @param {(phrase: string) => void} play
+   * @returns {() => void} Cancels the filler: call it when the response audio starts or the turn ends
+   */
+  schedule(since, play) {
+    const timer = setTimeout(() => play(this.pick()), Math.max(0, since + this.delayMs - Date.now()))
+    return () => clearTimeout(timer)
+  }
+}
@@ -0,0 +1,118 @@
+import { EventEmitter } from 'events'
+
+// Caller phrases that skip the AI and go straight to the queue
+const HUMAN_REQUEST_PATTERNS = [
+  /\b(speak|talk|chat)\s+(to|with)\s+(a|an|some|the)?\s*(real\s+)?(human|person|someone|agent|representative|operator|sales\s*(person|rep))\b/i,
+  /\b(connect|transfer|put)\s+me\s+(to|with|through\s+to)\b/i,
+  /\b(real|live)\s+(person|human|agent)\b/i,
+  /^(human|agent|operator|representative)[.!?]*$/i
+]
+
+/**
+ * Does this caller turn ask for a human?
+ * @param {string} text
+ */
+export function isHumanRequest(text) {
+  return HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(text.trim()))
+}
+
+/**
+ * Handoff Queue
+ * Calls waiting for (or talking to) a live agent, per tenant, in the order they asked.
+ * A handoff is `pending` until a human agent accepts it, then `connected` until the agent
+ * hands the call back to the AI or the call ends.
+ *
+ * Events:
+ * - `change`: `tenantId` - the tenant's queue changed (broadcast it to that tenant's agents)
+ */
+export class HandoffQueue extends EventEmitter {
+  constructor() {
+    super()
+    // sessionId -> handoff
+    this.handoffs = new Map()
+  }
+
+  /**
+   * @param {Object} session
+   * @param {Object} request
+   * @param {string} request.reason - Why the caller needs a human, shown to the agent
+   * @param {'llm'|'caller'} request.source - The model called transfer_to_human, or the caller asked
+   * @returns {Object} The handoff
+   */
+  request(session, { reason, source }) {
+    const handoff = {
+      sessionId: session.id,
+      tenantId: session.tenant.id,
+      callId: session.callId,
+      agentId: session.agent.id,
+      reason,
+      source,
+      status: 'pending',
+      requestedAt: new Date().toISOString(),
+      acceptedAt: null,
+      humanAgent: null
+    }
+    this.handoffs.set(session.id, handoff)
+    this.emit('change', handoff.tenantId)
+    return handoff
+  }
+
+  get(sessionId) {
+    return this.handoffs.get(sessionId) || null
+  }
+
+  /**
+   * @param {string} sessionId
+   * @param {{socketId: string, name: string}} humanAgent
+   * @returns {Object|null} The handoff, or null if it isn't pending (already taken, gone)
+   */
+  accept(sessionId, humanAgent) {
+    const handoff = this.handoffs.get(sessionId)
+    if (!handoff || handoff.status !== 'pending') return null
+
+    Object.assign(handoff, { status: 'connected', acceptedAt: new Date().toISOString(), humanAgent })
+    this.emit('change', handoff.tenantId)
+    return handoff
+  }
+
+  /**
+   * Put a connected call back in the queue (its agent disconnected)
+   */
+  requeue(sessionId) {
+    const handoff = this.handoffs.get(sessionId)
+    if (!handoff) return null
+
+    Object.assign(handoff, { status: 'pending', acceptedAt: null, humanAgent: null })
+    this.emit('change', handoff.tenantId)
+    return handoff
+  }
+
+  /**
+   * Drop a handoff (handed back to the AI, call ended, nobody answered)
+   */
+  remove(sessionId) {
+    const handoff = this.handoffs.get(sessionId)
+    if (!handoff) return null
+
+    this.handoffs.delete(sessionId)
+    this.emit('change', handoff.tenantId)
+    return handoff
+  }
+
+  /**
+   * The tenant's handoffs, oldest first; pending ones have their 1-based queue position
+   */
+  list(tenantId) {
+    let position = 0
+    return [...this.handoffs.values()]
+      .filter(handoff => handoff.tenantId === tenantId)
+      .map(handoff => ({ ...handoff, position: handoff.status === 'pending' ? ++position : null }))
+  }
+
+  /**
+   * Handoffs a human agent is connected to
+   */
+  acceptedBy(socketId) {
+    return [...this.handoffs.values()].filter(handoff => handoff.humanAgent?.socketId === socketId)
+  }
+}
@@ -0,0 +1,246 @@
+import { mkdir, readFile, readdir, rename, stat, unlink, writeFile } from 'fs/promises'
+import path from 'path'
+import { BM25Index } from '../utils/bm25.js'
+import { logger } from '../utils/logger.js'
+
+const log = logger.child({ component: 'knowledge-base' })
+
+const DOCUMENT_NAME_PATTERN = /^[\w-][\w.-]*\.(md|markdown|txt)$/
+// Agent and tenant ids
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/
+
+// Passages are about this many words: enough context to answer from, small enough to send a few
+const CHUNK_WORDS = 150
+
+/**
+ * Can this be stored as a knowledge document (no paths, Markdown or plain text)?
+ * @param {*} name
+ */
+export function isValidDocumentName(name) {
+  return typeof name === 'string' && name.length <= 128 && DOCUMENT_NAME_PATTERN.test(name)
+}
+
+function checkId(kind, id) {
+  if (!ID_PATTERN.test(id || '')) {
+    throw new Error(`Invalid ${kind} id: ${id}`)
+  }
+  return id
+}
+
+/**
+ * Knowledge Base
+ * Reference documents (Markdown or plain text) an agent answers from, split into passages
+ * and ranked with BM25 so the relevant ones can be added to the prompt on each turn.
+ * Agents are shared by every tenant, so each tenant gets its own index per agent:
+ * - shared documents: KNOWLEDGE_DIR/<agentId>/, maintained on disk by the operator
+ * - the tenant's own: DATA_DIR/knowledge/<tenantId>/<agentId>/, uploaded through the admin
+ *   API; one with the name of a shared document replaces it for that tenant
+ * Indexes are built in memory on first use and after each change.
+ */
+export class KnowledgeBase {
+  constructor(
+    directory = process.env.KNOWLEDGE_DIR || './knowledge',
+    tenantsDirectory = path.join(process.env.DATA_DIR || './data', 'knowledge')
+  ) {
+    this.directory = directory
+    this.tenantsDirectory = tenantsDirectory
+    // <tenantId>/<agentId> -> Promise<{ index, documents, indexedAt }>
+    this.indexes = new Map()
+  }
+
+  sharedDirectory(agentId) {
+    return path.join(this.directory, checkId('agent', agentId))
+  }
+
+  tenantDirectory(tenantId, agentId) {
+    return path.join(this.tenantsDirectory, checkId('tenant', tenantId), checkId('agent', agentId))
+  }
+
+  filePath(tenantId, agentId, name) {
+    if (!isValidDocumentName(name)) {
+      throw new Error(`Invalid document name: ${name}`)
+    }
+    return path.join(this.tenantDirectory(tenantId, agentId), name)
+  }
+
+  /**
+   * Document names in a directory, sorted
+   */
+  async documentNames(directory) {
+    try {
+      return (await readdir(directory)).filter(isValidDocumentName).sort()
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+  }
+
+  /**
+   * (Re)build the tenant's index for an agent from its documents
+   * @returns {Promise<{documents: number, passages: number}>}
+   */
+  async reindex(tenantId, agentId) {
+    const key = `${tenantId}/${agentId}`
+    const loading = this.build(tenantId, agentId)
+    this.indexes.set(key, loading)
+    // A failed build isn't cached, the next search tries again
+    loading.catch(() => {
+      if (this.indexes.get(key) === loading) {
+        this.indexes.delete(key)
+      }
+    })
+
+    const { index, documents } = await loading
+    return { documents: documents.length, passages: index.size }
+  }
+
+  async build(tenantId, agentId) {
+    const index = new BM25Index()
+    const documents = []
+
+    const tenantDirectory = this.tenantDirectory(tenantId, agentId)
+    const tenantNames = await this.documentNames(tenantDirectory)
+    const sharedNames = (await this.documentNames(this.sharedDirectory(agentId))).filter(name => !tenantNames.includes(name))
+    const files = [
+      ...sharedNames.map(name => ({ name, shared: true, file: path.join(this.sharedDirectory(agentId), name) })),
+      ...tenantNames.map(name => ({ name, shared: false, file: path.join(tenantDirectory, name) }))
+    ].sort((a, b) => a.name.localeCompare(b.name))
+
+    for (const { name, shared, file } of files) {
+      const [text, info] = await Promise.all([readFile(file, 'utf8'), stat(file)])
+      const passages = chunkDocument(text)
+      for (const passage of passages) {
+        // The section title counts towards matching, so "pricing" finds the pricing section
+        index.add(`${passage.section} ${passage.text}`, { document: name, ...passage })
+      }
+      documents.push({ name, shared, size: info.size, passages: passages.length, modifiedAt: info.mtime.toISOString() })
+    }
+
+    log.info('Knowledge indexed', { tenantId, agentId, documents: documents.length, passages: index.size })
+    return { index, documents, indexedAt: new Date().toISOString() }
+  }
+
+  async getIndex(tenantId, agentId) {
+    const key = `${tenantId}/${agentId}`
+    if (!this.indexes.has(key)) {
+      await this.reindex(tenantId, agentId)
+    }
+    return this.indexes.get(key)
+  }
+
+  /**
+   * The passages that best match a query
+   * @param {string} tenantId
+   * @param {string} agentId
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.topK]
+   * @returns {Promise<{document: string, section: string, text: string, score: number}[]>}
+   */
+  async search(tenantId, agentId, query, { topK = 3 } = {}) {
+    const { index } = await this.getIndex(tenantId, agentId)
+    return index.search(query, { limit: topK }).map(({ score, data }) => ({
+      document: data.document,
+      section: data.section,
+      text: data.text,
+      score: Math.round(score * 1000) / 1000
+    }))
+  }
+
+  /**
+   * @returns {Promise<{documents: Object[], passages: number, indexedAt: string}>}
+   */
+  async list(tenantId, agentId) {
+    const { index, documents, indexedAt } = await this.getIndex(tenantId, agentId)
+    return { documents, passages: index.size, indexedAt }
+  }
+
+  /**
+   * Add or replace one of the tenant's documents and reindex
+   * @returns {Promise<{created: boolean, documents: number, passages: number}>}
+   */
+  async saveDocument(tenantId, agentId, name, text) {
+    const file = this.filePath(tenantId, agentId, name)
+    const directory = this.tenantDirectory(tenantId, agentId)
+    await mkdir(directory, { recursive: true })
+
+    const created = !(await this.documentNames(directory)).includes(name)
+    const temporary = `${file}.${process.pid}.tmp`
+    await writeFile(temporary, text)
+    await rename(temporary, file)
+
+    return { created, ...await this.reindex(tenantId, agentId) }
+  }
+
+  /**
+   * Delete one of the tenant's documents (shared ones are only changed on disk)
+   * @returns {Promise<boolean>} false when the tenant has no such document
+   */
+  async deleteDocument(tenantId, agentId, name) {
+    try {
+      await unlink(this.filePath(tenantId, agentId, name))
+    } catch (error) {
+      if (error.code === 'ENOENT') return false
+      throw error
+    }
+    await this.reindex(tenantId, agentId)
+    return true
+  }
+}
+
+/**
+ * Split a document into passages: Markdown headings start a new section, and sections are
+ * cut at paragraph boundaries into passages of about CHUNK_WORDS words
+ * @param {string} text
+ * @returns {{section: string, text: string}[]}
+ */
+export function chunkDocument(text) {
+  const passages = []
+  let section = ''
+  let paragraphs = []
+  let words = 0
+
+  const flush = () => {
+    if (paragraphs.length > 0) {
+      passages.push({ section, text: paragraphs.join('\n\n') })
+    }
+    paragraphs = []
+    words = 0
+  }
+
+  for (const block of text.replace(/\r\n/g, '\n').split(/\n\s*\n/)) {
+    const lines = block.trim().split('\n')
+    const heading = lines[0].match(/^#{1,6}\s+(.+?)\s*#*$/)
+    if (heading) {
+      flush()
+      section = heading[1]
+      lines.shift()
+    }
+
+    const paragraph = lines.join('\n').trim()
+    if (!paragraph) continue
+
+    const count = paragraph.split(/\s+/).length
+    if (words > 0 && words + count > CHUNK_WORDS) {
+      flush()
+    }
+    paragraphs.push(paragraph)
+    words += count
+  }
+  flush()
+
+  return passages
+}
+
+/**
+ * Retrieved passages as instructions for the model
+ * @param {{document: string, section: string, text: string}[]} passages
+ */
+export function formatPassages(passages) {
+  const excerpts = passages.map(({ document, section, text }) =>
+    `[${document}${section ? ` - ${section}` : ''}]\n${text}`)
+  return [
+    'Excerpts from the knowledge base that may help with the caller\'s question. Answer from them when they are relevant; if they don\'t cover it, say so rather than guessing.',
+    ...excerpts
+  ].join('\n\n')
+}
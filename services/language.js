@@ -0,0 +1,134 @@
+/**
+ * Languages
+ * Which language a call is in: picked on call-start, or detected from what the caller says
+ * (the language the STT provider reports, else common-word counts), and followed when the
+ * caller switches mid-call.
+ */
+
+// Short, frequent words that tell these languages apart (accents and punctuation count too)
+const COMMON_WORDS = {
+  en: ['the', 'and', 'is', 'are', 'you', 'what', 'how', 'it', 'to', 'of', 'my', 'we', 'do', 'does', 'can', 'with', 'for', 'this', 'that', 'have', 'much', 'about', 'please', 'hello', 'yes', 'thanks', 'need', 'want', 'would', 'like'],
+  es: ['el', 'los', 'las', 'que', 'y', 'es', 'en', 'una', 'por', 'para', 'con', 'cómo', 'qué', 'cuánto', 'cuesta', 'hola', 'gracias', 'sí', 'mi', 'tengo', 'quiero', 'necesito', 'puedo', 'usted', 'está', 'son', 'del', 'al', 'pero', 'muy', 'buenos', 'días', 'también'],
+  fr: ['le', 'les', 'des', 'et', 'est', 'une', 'pour', 'avec', 'qui', 'je', 'vous', 'nous', 'combien', 'coûte', 'bonjour', 'merci', 'oui', 'non', 'mon', 'ma', 'mes', 'du', 'au', "c'est", 'pas', 'sont', 'est-ce', 'voudrais', 'aussi', 'très'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'ich', 'sie', 'wir', 'nicht', 'ein', 'eine', 'mit', 'für', 'was', 'wie', 'viel', 'kostet', 'hallo', 'danke', 'ja', 'nein', 'auch'],
+  pt: ['os', 'que', 'e', 'é', 'um', 'uma', 'para', 'com', 'não', 'como', 'quanto', 'custa', 'olá', 'obrigado', 'obrigada', 'sim', 'eu', 'você', 'meu', 'também'],
+  it: ['il', 'gli', 'di', 'che', 'è', 'una', 'per', 'con', 'non', 'come', 'quanto', 'costa', 'ciao', 'grazie', 'sì', 'io', 'mio', 'anche', 'sono']
+}
+const COMMON_WORD_SETS = Object.fromEntries(Object.entries(COMMON_WORDS).map(([language, words]) => [language, new Set(words)]))
+
+const CHARACTER_HINTS = {
+  es: /[ñ¿¡]/,
+  fr: /[çœèêëàâîôû]/,
+  de: /[äöüß]/,
+  pt: /[ãõ]/
+}
+
+// A switch mid-call needs a real sentence, not "ok" or "sí"
+const MIN_SWITCH_WORDS = 3
+
+/**
+ * Primary subtag: "en-US" → "en"
+ * @param {string} code
+ */
+export function baseLanguage(code) {
+  return String(code).split('-')[0].toLowerCase()
+}
+
+/**
+ * English name of a language code ("es" → "Spanish")
+ * @param {string} code
+ */
+export function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code
+  } catch {
+    return code
+  }
+}
+
+/**
+ * Guess which of the candidate languages a text is in from its common words
+ * @param {string} text
+ * @param {string[]} candidates - Language codes
+ * @returns {string|null} The candidate, or null when the text is too short or ambiguous
+ */
+export function detectLanguage(text, candidates) {
+  const lower = String(text).toLowerCase()
+  const words = lower.match(/[\p{L}'-]+/gu) || []
+
+  const scores = candidates
+    .filter(code => COMMON_WORD_SETS[baseLanguage(code)])
+    .map(code => {
+      const base = baseLanguage(code)
+      const hits = words.filter(word => COMMON_WORD_SETS[base].has(word)).length
+      return { code, score: hits + (CHARACTER_HINTS[base]?.test(lower) ? 1 : 0) }
+    })
+    .sort((a, b) => b.score - a.score)
+
+  const [best, runnerUp] = scores
+  if (!best || best.score < 2 || best.score <= (runnerUp?.score ?? 0)) return null
+  return best.code
+}
+
+/**
+ * Instruction telling the model which language to answer in
+ * @param {string} code
+ */
+export function formatLanguageInstruction(code) {
+  const name = languageName(code)
+  return `The caller is speaking ${name}. Reply in ${name}, even though these instructions are in English.`
+}
+
+/**
+ * Language Tracker
+ * The language of one call. Detection settles the language on the caller's first turn
+ * that gives it away; after that, a turn of at least MIN_SWITCH_WORDS words in another
+ * of the agent's languages switches it.
+ */
+export class LanguageTracker {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.languages - Languages the agent speaks
+   * @param {string} options.current - Language the call starts in
+   * @param {boolean} [options.detected] - false until a turn confirmed the language (auto-detection)
+   */
+  constructor({ languages, current, detected = true }) {
+    this.languages = languages
+    this.current = current
+    this.detected = detected
+  }
+
+  /**
+   * The agent language matching a code the STT provider reported ("es-419" → "es")
+   * @param {string} [code]
+   */
+  match(code) {
+    if (!code) return null
+    return this.languages.find(language => language === code) ||
+      this.languages.find(language => baseLanguage(language) === baseLanguage(code)) ||
+      null
+  }
+
+  /**
+   * Look at a caller turn
+   * @param {string} text
+   * @param {string} [reported] - Language the STT provider reported for it
+   * @returns {string|null} The language to switch to, or null to stay
+   */
+  observe(text, reported) {
+    const language = this.match(reported) || detectLanguage(text, this.languages)
+    const wordCount = text.split(/\s+/).filter(Boolean).length
+
+    if (!language || language === this.current) {
+      this.detected = this.detected || language === this.current
+      return null
+    }
+    if (this.detected && wordCount < MIN_SWITCH_WORDS) {
+      return null
+    }
+
+    this.current = language
+    this.detected = true
+    return language
+  }
+}
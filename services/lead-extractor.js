@@ -0,0 +1,133 @@
+import { LLMService } from './llm.js'
+import { providerRetries } from './metrics.js'
+import { logger } from '../utils/logger.js'
+
+const moduleLog = logger.child({ component: 'lead-extractor' })
+
+export const PLAN_INTERESTS = ['Starter', 'Pro', 'Enterprise']
+
+const EXTRACTION_PROMPT = `You review transcripts of sales calls handled by a voice assistant and extract lead qualification data.
+
+Rules:
+- Only use facts the caller actually stated; use null when something was not mentioned
+- teamSize is a number of people; convert words to a number ("about twenty" -> 20)
+- planInterest is the plan the caller showed interest in: Starter, Pro or Enterprise
+- demoRequested is true only if the caller asked for or agreed to a demo
+- summary is 1-3 sentences a sales rep can read before following up`
+
+export const LEAD_SCHEMA = {
+  type: 'object',
+  properties: {
+    callerName: { type: ['string', 'null'], description: "Caller's name" },
+    company: { type: ['string', 'null'], description: "Caller's company" },
+    teamSize: { type: ['integer', 'null'], description: 'Number of people on the caller\'s team' },
+    useCase: { type: ['string', 'null'], description: 'What the caller wants to automate or achieve' },
+    planInterest: { type: ['string', 'null'], enum: [...PLAN_INTERESTS, null], description: 'Plan the caller is interested in' },
+    demoRequested: { type: 'boolean', description: 'The caller asked for or agreed to a demo' },
+    summary: { type: 'string', description: 'Short summary of the call' }
+  },
+  required: ['callerName', 'company', 'teamSize', 'useCase', 'planInterest', 'demoRequested', 'summary'],
+  additionalProperties: false
+}
+
+/**
+ * Validate and normalize an extracted lead record
+ * @param {Object} lead - Parsed model output
+ * @returns {{lead: Object|null, errors: string[]}}
+ */
+export function validateLead(lead) {
+  const errors = []
+
+  if (!lead || typeof lead !== 'object' || Array.isArray(lead)) {
+    return { lead: null, errors: ['lead must be an object'] }
+  }
+
+  const optionalString = (field) => {
+    const value = lead[field]
+    if (value === undefined || value === null || value === '') return null
+    if (typeof value !== 'string') {
+      errors.push(`${field} must be a string or null`)
+      return null
+    }
+    return value.trim()
+  }
+
+  const callerName = optionalString('callerName')
+  const company = optionalString('company')
+  const useCase = optionalString('useCase')
+
+  let teamSize = lead.teamSize ?? null
+  if (teamSize !== null && (!Number.isInteger(teamSize) || teamSize <= 0)) {
+    errors.push('teamSize must be a positive integer or null')
+    teamSize = null
+  }
+
+  // Models sometimes answer "pro" or "Pro plan"
+  let planInterest = lead.planInterest ?? null
+  if (planInterest !== null) {
+    planInterest = PLAN_INTERESTS.find(plan => String(planInterest).toLowerCase().startsWith(plan.toLowerCase())) || null
+    if (!planInterest) {
+      errors.push(`planInterest must be one of ${PLAN_INTERESTS.join(', ')} or null`)
+    }
+  }
+
+  if (typeof lead.demoRequested !== 'boolean') {
+    errors.push('demoRequested must be a boolean')
+  }
+
+  if (typeof lead.summary !== 'string' || lead.summary.trim() === '') {
+    errors.push('summary must be a non-empty string')
+  }
+
+  if (errors.length > 0) {
+    return { lead: null, errors }
+  }
+
+  return {
+    lead: { callerName, company, teamSize, useCase, planInterest, demoRequested: lead.demoRequested, summary: lead.summary.trim() },
+    errors
+  }
+}
+
+/**
+ * Format a conversation history as a plain transcript for the extraction prompt
+ */
+export function formatTranscript(conversationHistory, agentName = 'Assistant') {
+  return conversationHistory
+    .filter(message => message.role === 'user' || message.role === 'assistant')
+    .map(message => `${message.role === 'user' ? 'Caller' : agentName}: ${message.content}`)
+    .join('\n')
+}
+
+/**
+ * Run the structured-extraction pass over a finished call
+ * @param {{role: string, content: string}[]} conversationHistory
+ * @param {Object} [options]
+ * @param {string} [options.provider] - LLM provider (defaults to LLM_PROVIDER)
+ * @param {string} [options.model] - LLM model
+ * @param {string} [options.agentName] - Label for the assistant's lines
+ * @param {boolean} [options.demoRequested] - A demo tool call happened; overrides the model's reading
+ * @param {import('../utils/logger.js').Logger} [options.log] - Call-scoped logger
+ * @returns {Promise<Object>} Validated lead record
+ */
+export async function extractLead(conversationHistory, { provider, model, agentName, demoRequested = false, log = moduleLog } = {}) {
+  const llm = new LLMService({ provider, model, systemPrompt: EXTRACTION_PROMPT })
+  const transcript = formatTranscript(conversationHistory, agentName)
+
+  let lastErrors = []
+  // One retry: a second sample usually fixes a field the model got wrong
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const output = await llm.generateJSON(`Transcript:\n${transcript}`, { name: 'lead', schema: LEAD_SCHEMA })
+    const { lead, errors } = validateLead(output)
+    if (lead) {
+      return { ...lead, demoRequested: lead.demoRequested || demoRequested }
+    }
+    lastErrors = errors
+    log.warn('Lead extraction output invalid', { attempt, errors })
+    if (attempt < 2) {
+      providerRetries.inc({ type: 'llm', provider: llm.provider })
+    }
+  }
+
+  throw new Error(`Lead extraction failed validation: ${lastErrors.join('; ')}`)
+}
@@ -1,37 +1,67 @@
 import OpenAI from 'openai'
 import { GoogleGenerativeAI } from '@google/generative-ai'
+import { toOpenAITools, toGeminiFunctionDeclarations, toGeminiSchema } from './tools.js'
+import { logger } from '../utils/logger.js'
+
+const log = logger.child({ component: 'llm' })
+
+// Gemini requires the conversation to open with a user turn, but ours opens with the greeting
+const GEMINI_CALL_START = '(The caller has joined the call.)'
+
+// Model/tool round trips allowed in one turn; the last round must answer in text
+const MAX_TOOL_ROUNDS = 5
+
+// Structured extraction reads whole transcripts, so it gets a bigger budget than a voice reply
+const STRUCTURED_OUTPUT_TOKENS = 2000
 
 export class LLMService {
-  constructor() {
-    this.provider = process.env.LLM_PROVIDER || 'openai'
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.provider] - 'openai' or 'gemini' (default: LLM_PROVIDER)
+   * @param {string} [options.model] - Model name (default: OPENAI_MODEL / GEMINI_MODEL)
+   * @param {string} [options.systemPrompt] - Persona and rules, usually from the agent definition
+   * @param {Object[]} [options.tools] - Tool definitions the model may call (see services/tools.js)
+   */
+  constructor({ provider, model, systemPrompt = '', tools = [] } = {}) {
+    this.provider = provider || process.env.LLM_PROVIDER || 'openai'
+    this.systemPrompt = systemPrompt
+    this.tools = tools
+
+    // Shared by both providers. Temperature is only sent when set:
+    // GPT-5 models reject anything but the default.
+    this.generationConfig = {
+      maxOutputTokens: parseInt(process.env.LLM_MAX_OUTPUT_TOKENS || '500', 10),
+      temperature: process.env.LLM_TEMPERATURE !== undefined ? parseFloat(process.env.LLM_TEMPERATURE) : undefined
+    }
 
     if (this.provider === 'openai') {
-      this.initOpenAI()
+      this.initOpenAI(model)
     } else if (this.provider === 'gemini') {
-      this.initGemini()
+      this.initGemini(model)
     } else {
       throw new Error(`Unsupported LLM provider: ${this.provider}`)
     }
   }
 
-  initOpenAI() {
+  initOpenAI(model) {
     const apiKey = process.env.OPENAI_API_KEY
     if (!apiKey) {
       throw new Error('OPENAI_API_KEY is not set')
     }
 
     this.client = new OpenAI({ apiKey })
-    this.model = process.env.OPENAI_MODEL || 'gpt-5-nano'
+    this.model = model || process.env.OPENAI_MODEL || 'gpt-5-nano'
+    this.reasoningEffort = process.env.OPENAI_REASONING_EFFORT || 'low'
   }
 
-  initGemini() {
+  initGemini(model) {
     const apiKey = process.env.GOOGLE_API_KEY
     if (!apiKey) {
       throw new Error('GOOGLE_API_KEY is not set')
     }
 
     this.client = new GoogleGenerativeAI(apiKey)
-    this.model = process.env.GEMINI_MODEL || 'gemini-2.0-flash-exp'
+    this.model = model || process.env.GEMINI_MODEL || 'gemini-2.0-flash-exp'
   }
 
   async generateResponse(conversationHistory, streaming = false) {
@@ -42,91 +72,107 @@ export class LLMService {
         return await this.generateGeminiResponse(conversationHistory)
       }
     } catch (error) {
-      console.error('LLM error:', error)
+      log.error('LLM error', { provider: this.provider, error })
       throw error
     }
   }
 
   // Stream responses for real-time generation
-  async *streamResponse(conversationHistory) {
+  // Pass an AbortSignal to cancel the request when the caller interrupts.
+  // When the model calls tools, onToolCall({ id, name, args }) runs them and returns
+  // the result; the model then continues the same turn with the results.
+  // instructions is added to the system prompt for this request only (conversation
+  // summary, what we know about the caller).
+  async *streamResponse(conversationHistory, { signal, onToolCall, instructions } = {}) {
+    const runTool = (call) => onToolCall ? onToolCall(call) : { error: 'Tools are not available' }
+
     if (this.provider === 'openai') {
-      yield* this.streamOpenAIResponse(conversationHistory)
+      yield* this.streamOpenAIResponse(conversationHistory, { signal, runTool, instructions })
     } else if (this.provider === 'gemini') {
-      // Fallback to non-streaming for Gemini
-      const response = await this.generateGeminiResponse(conversationHistory)
-      yield response
+      yield* this.streamGeminiResponse(conversationHistory, { signal, runTool, instructions })
     }
   }
 
-  async *streamOpenAIResponse(conversationHistory) {
-    const systemPrompt = {
-      role: 'system',
-      content: `You are Tessa, an AI assistant for Apex Solutions - an AI-powered business automation platform.
-
-Your role:
-- Help customers understand our platform features (workflow automation, AI analytics, team collaboration)
-- Answer pricing questions (Starter: $29/mo, Pro: $99/mo, Enterprise: custom)
-- Qualify leads by understanding their business needs
-- Schedule demos with our sales team
-- Provide friendly, efficient customer support
-
-Voice conversation rules:
-- Keep responses under 2-3 sentences (this is voice, not text)
-- Sound natural and conversational like a helpful human
-- If you don't know something specific, offer to connect them with the team
-- Remember customer details mentioned in the conversation
-- Be professional but warm and approachable
-- Ask clarifying questions when needed`
+  getSystemPrompt(instructions) {
+    return [this.systemPrompt, instructions].filter(Boolean).join('\n\n')
+  }
+
+  buildOpenAIRequest(conversationHistory, stream, { lastRound = false, instructions } = {}) {
+    const systemPrompt = this.getSystemPrompt(instructions)
+    const systemMessages = systemPrompt ? [{ role: 'system', content: systemPrompt }] : []
+    const request = {
+      model: this.model,
+      messages: [...systemMessages, ...conversationHistory],
+      max_completion_tokens: this.generationConfig.maxOutputTokens,
+      reasoning_effort: this.reasoningEffort,
+      stream
     }
 
-    const messages = [systemPrompt, ...conversationHistory]
+    if (this.generationConfig.temperature !== undefined) {
+      request.temperature = this.generationConfig.temperature
+    }
 
-    const stream = await this.client.chat.completions.create({
-      model: this.model,
-      messages: messages,
-      max_completion_tokens: 500,
-      reasoning_effort: 'low',
-      stream: true
-    })
+    if (this.tools.length > 0) {
+      request.tools = toOpenAITools(this.tools)
+      request.tool_choice = lastRound ? 'none' : 'auto'
+    }
+
+    return request
+  }
+
+  async *streamOpenAIResponse(conversationHistory, { signal, runTool, instructions } = {}) {
+    const messages = [...conversationHistory]
+
+    for (let round = 1; ; round++) {
+      const stream = await this.client.chat.completions.create(
+        this.buildOpenAIRequest(messages, true, { lastRound: round === MAX_TOOL_ROUNDS, instructions }),
+        { signal }
+      )
 
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content
-      if (content) {
-        yield content
+      let text = ''
+      const toolCalls = []
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta
+        if (delta?.content) {
+          text += delta.content
+          yield delta.content
+        }
+
+        // Tool calls arrive in fragments keyed by index
+        for (const fragment of delta?.tool_calls || []) {
+          const call = toolCalls[fragment.index] ||= { id: '', name: '', arguments: '' }
+          if (fragment.id) call.id = fragment.id
+          if (fragment.function?.name) call.name += fragment.function.name
+          if (fragment.function?.arguments) call.arguments += fragment.function.arguments
+        }
+      }
+
+      if (toolCalls.length === 0) {
+        return
+      }
+
+      messages.push({
+        role: 'assistant',
+        content: text || null,
+        tool_calls: toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: call.arguments }
+        }))
+      })
+
+      for (const call of toolCalls) {
+        const result = await runTool({ id: call.id, name: call.name, args: parseToolArguments(call.arguments) })
+        messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) })
       }
     }
   }
 
   async generateOpenAIResponse(conversationHistory, streaming = false) {
-    const systemPrompt = {
-      role: 'system',
-      content: `You are Tessa, an AI assistant for Apex Solutions - an AI-powered business automation platform.
-
-Your role:
-- Help customers understand our platform features (workflow automation, AI analytics, team collaboration)
-- Answer pricing questions (Starter: $29/mo, Pro: $99/mo, Enterprise: custom)
-- Qualify leads by understanding their business needs
-- Schedule demos with our sales team
-- Provide friendly, efficient customer support
-
-Voice conversation rules:
-- Keep responses under 2-3 sentences (this is voice, not text)
-- Sound natural and conversational like a helpful human
-- If you don't know something specific, offer to connect them with the team
-- Remember customer details mentioned in the conversation
-- Be professional but warm and approachable
-- Ask clarifying questions when needed`
-    }
-
-    const messages = [systemPrompt, ...conversationHistory]
-
-    const completion = await this.client.chat.completions.create({
-      model: this.model,
-      messages: messages,
-      max_completion_tokens: 500,
-      reasoning_effort: 'low',
-      stream: streaming
-    })
+    const completion = await this.client.chat.completions.create(
+      this.buildOpenAIRequest(conversationHistory, streaming)
+    )
 
     if (streaming) {
       return completion // Return stream object
@@ -135,44 +181,161 @@ Voice conversation rules:
     return completion.choices[0].message.content
   }
 
-  async generateGeminiResponse(conversationHistory) {
-    const model = this.client.getGenerativeModel({ model: this.model })
-
-    const systemPrompt = `You are Tessa, an AI assistant for Apex Solutions - an AI-powered business automation platform.
-
-Your role:
-- Help customers understand our platform features (workflow automation, AI analytics, team collaboration)
-- Answer pricing questions (Starter: $29/mo, Pro: $99/mo, Enterprise: custom)
-- Qualify leads by understanding their business needs
-- Schedule demos with our sales team
-- Provide friendly, efficient customer support
-
-Voice conversation rules:
-- Keep responses under 2-3 sentences (this is voice, not text)
-- Sound natural and conversational like a helpful human
-- If you don't know something specific, offer to connect them with the team
-- Remember customer details mentioned in the conversation
-- Be professional but warm and approachable
-- Ask clarifying questions when needed`
-
-    // Convert conversation history to Gemini format
-    const chat = model.startChat({
-      history: conversationHistory.slice(0, -1).map(msg => ({
-        role: msg.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
-      })),
+  getGeminiModel(instructions) {
+    return this.client.getGenerativeModel({
+      model: this.model,
+      systemInstruction: this.getSystemPrompt(instructions) || undefined,
+      tools: this.tools.length > 0
+        ? [{ functionDeclarations: toGeminiFunctionDeclarations(this.tools) }]
+        : undefined,
       generationConfig: {
-        maxOutputTokens: 80,
-        temperature: 0.8
+        maxOutputTokens: this.generationConfig.maxOutputTokens,
+        temperature: this.generationConfig.temperature
       }
     })
+  }
+
+  async *streamGeminiResponse(conversationHistory, { signal, runTool, instructions } = {}) {
+    const model = this.getGeminiModel(instructions)
+    const contents = toGeminiContents(conversationHistory)
+
+    for (let round = 1; ; round++) {
+      const request = { contents }
+      if (this.tools.length > 0 && round === MAX_TOOL_ROUNDS) {
+        request.toolConfig = { functionCallingConfig: { mode: 'NONE' } }
+      }
 
-    // Get the last user message
-    const lastMessage = conversationHistory[conversationHistory.length - 1]
-    const prompt = `${systemPrompt}\n\nUser: ${lastMessage.content}`
+      const result = await model.generateContentStream(request, { signal })
+
+      let text = ''
+      const functionCalls = []
+
+      for await (const chunk of result.stream) {
+        const content = chunk.text()
+        if (content) {
+          text += content
+          yield content
+        }
+        functionCalls.push(...(chunk.functionCalls() || []))
+      }
+
+      if (functionCalls.length === 0) {
+        return
+      }
+
+      contents.push({
+        role: 'model',
+        parts: [
+          ...(text ? [{ text }] : []),
+          ...functionCalls.map(call => ({ functionCall: call }))
+        ]
+      })
+
+      const responses = []
+      for (const [index, call] of functionCalls.entries()) {
+        // Gemini has no call IDs; make one so clients can pair tool-call/tool-result
+        const id = `${call.name}-${round}-${index}`
+        const output = await runTool({ id, name: call.name, args: call.args || {} })
+        const response = output && typeof output === 'object' && !Array.isArray(output) ? output : { result: output }
+        responses.push({ functionResponse: { name: call.name, response } })
+      }
+      contents.push({ role: 'function', parts: responses })
+    }
+  }
+
+  async generateGeminiResponse(conversationHistory, { signal } = {}) {
+    const model = this.getGeminiModel()
+    const result = await model.generateContent(
+      { contents: toGeminiContents(conversationHistory) },
+      { signal }
+    )
+    return result.response.text()
+  }
+
+  /**
+   * Generate a JSON object matching a schema (no streaming, no tools)
+   * @param {string} input - Content to work on; the instructions are the system prompt
+   * @param {Object} options
+   * @param {string} options.name - Schema name (OpenAI json_schema name)
+   * @param {Object} options.schema - JSON schema; use type ["string", "null"] for optional fields
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Object>} Parsed JSON (validate it - models can still drift)
+   */
+  async generateJSON(input, { name, schema, signal } = {}) {
+    let text
+
+    if (this.provider === 'openai') {
+      const completion = await this.client.chat.completions.create({
+        model: this.model,
+        messages: [
+          { role: 'system', content: this.systemPrompt },
+          { role: 'user', content: input }
+        ],
+        max_completion_tokens: STRUCTURED_OUTPUT_TOKENS,
+        reasoning_effort: this.reasoningEffort,
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name, schema, strict: true }
+        }
+      }, { signal })
+      text = completion.choices[0].message.content
+    } else {
+      const model = this.client.getGenerativeModel({
+        model: this.model,
+        systemInstruction: this.systemPrompt || undefined,
+        generationConfig: {
+          maxOutputTokens: STRUCTURED_OUTPUT_TOKENS,
+          responseMimeType: 'application/json',
+          responseSchema: toGeminiSchema(schema)
+        }
+      })
+      const result = await model.generateContent(input, { signal })
+      text = result.response.text()
+    }
+
+    try {
+      return JSON.parse(text)
+    } catch (error) {
+      throw new Error(`LLM returned invalid JSON for ${name}: ${error.message}`)
+    }
+  }
+}
+
+/**
+ * Convert our { role, content } history to Gemini contents.
+ * Gemini only knows 'user' and 'model', needs the first turn to be from the user
+ * and rejects consecutive turns from the same role, so those are merged.
+ * @param {{role: string, content: string}[]} conversationHistory
+ * @returns {{role: string, parts: {text: string}[]}[]}
+ */
+export function toGeminiContents(conversationHistory) {
+  const contents = []
+
+  for (const message of conversationHistory) {
+    if (message.role === 'system' || !message.content) continue
+
+    const role = message.role === 'assistant' ? 'model' : 'user'
+    const previous = contents[contents.length - 1]
+
+    if (previous && previous.role === role) {
+      previous.parts.push({ text: message.content })
+    } else {
+      contents.push({ role, parts: [{ text: message.content }] })
+    }
+  }
+
+  if (contents.length > 0 && contents[0].role === 'model') {
+    contents.unshift({ role: 'user', parts: [{ text: GEMINI_CALL_START }] })
+  }
+
+  return contents
+}
 
-    const result = await chat.sendMessage(prompt)
-    const response = await result.response
-    return response.text()
+function parseToolArguments(json) {
+  try {
+    return json ? JSON.parse(json) : {}
+  } catch {
+    // Left to tool validation, which reports it back to the model
+    return null
   }
 }
@@ -0,0 +1,197 @@
+/**
+ * Metrics
+ * A small Prometheus registry (counters, gauges, histograms with labels) rendered in the
+ * text exposition format by GET /metrics, plus the voice pipeline metrics recorded by
+ * the server and services.
+ */
+
+// Latency buckets in seconds: voice turns live between ~100 ms and a few seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10]
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+}
+
+class Metric {
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name
+    this.help = help
+    this.labelNames = labelNames
+    // Label values joined -> { labels, ...state }
+    this.series = new Map()
+  }
+
+  getSeries(labels = {}, init) {
+    const values = this.labelNames.map(name => labels[name] ?? '')
+    const key = JSON.stringify(values)
+    if (!this.series.has(key)) {
+      const seriesLabels = Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]))
+      this.series.set(key, { labels: seriesLabels, ...init() })
+    }
+    return this.series.get(key)
+  }
+
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`]
+  }
+}
+
+export class Counter extends Metric {
+  inc(labels, amount = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += amount
+  }
+
+  render() {
+    return [
+      ...this.header('counter'),
+      ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)
+    ]
+  }
+}
+
+/**
+ * Gauge - set it directly, or pass `collect` to read the value when /metrics is scraped
+ */
+export class Gauge extends Metric {
+  constructor({ collect, ...options }) {
+    super(options)
+    this.collect = collect
+  }
+
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value
+  }
+
+  render() {
+    if (this.collect) {
+      this.set({}, this.collect())
+    }
+    return [
+      ...this.header('gauge'),
+      ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)
+    ]
+  }
+}
+
+export class Histogram extends Metric {
+  constructor({ buckets = LATENCY_BUCKETS, ...options }) {
+    super(options)
+    this.buckets = [...buckets].sort((a, b) => a - b)
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }))
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++
+    })
+    series.sum += value
+    series.count++
+  }
+
+  render() {
+    const lines = this.header('histogram')
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`)
+      })
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`)
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`)
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`)
+    }
+    return lines
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map()
+  }
+
+  counter(options) {
+    return this.register(new Counter(options))
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options))
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options))
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`)
+    }
+    this.metrics.set(metric.name, metric)
+    return metric
+  }
+
+  /**
+   * @returns {string} Prometheus text exposition format (version 0.0.4)
+   */
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render().join('\n')).join('\n\n') + '\n'
+  }
+}
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+export const metrics = new MetricsRegistry()
+
+// Per-turn latency, from the moment the caller's turn is final
+export const turnTranscriptToFirstToken = metrics.histogram({
+  name: 'voice_turn_transcript_to_first_token_seconds',
+  help: 'Time from the final user transcript to the first LLM token',
+  labelNames: ['agent', 'llm_provider']
+})
+
+export const turnFirstTokenToFirstTTSByte = metrics.histogram({
+  name: 'voice_turn_first_token_to_first_tts_byte_seconds',
+  help: 'Time from the first LLM token to the first synthesized audio of the turn',
+  labelNames: ['agent', 'tts_provider']
+})
+
+export const turnTimeToFirstAudio = metrics.histogram({
+  name: 'voice_turn_time_to_first_audio_seconds',
+  help: 'Time from the final user transcript to the first audio chunk sent to the caller',
+  labelNames: ['agent']
+})
+
+export const turnsTotal = metrics.counter({
+  name: 'voice_turns_total',
+  help: 'User turns answered, by outcome (completed, interrupted, failed)',
+  labelNames: ['agent', 'outcome']
+})
+
+// type: stt, llm or tts
+export const providerErrors = metrics.counter({
+  name: 'voice_provider_errors_total',
+  help: 'Provider errors (STT, LLM, TTS), excluding requests aborted by an interruption',
+  labelNames: ['type', 'provider']
+})
+
+export const providerRetries = metrics.counter({
+  name: 'voice_provider_retries_total',
+  help: 'Requests retried after a provider error (TTS failovers, lead extraction retries)',
+  labelNames: ['type', 'provider']
+})
+
+// result: memory or disk (hits), miss
+export const ttsCacheLookups = metrics.counter({
+  name: 'voice_tts_cache_lookups_total',
+  help: 'TTS cache lookups by result (memory hit, disk hit, miss)',
+  labelNames: ['result']
+})
+
+// result: delivered, retried (an attempt failed, another is scheduled), dead-lettered
+export const webhookDeliveries = metrics.counter({
+  name: 'voice_webhook_deliveries_total',
+  help: 'Webhook delivery attempts by event and result (delivered, retried, dead-lettered)',
+  labelNames: ['event', 'result']
+})
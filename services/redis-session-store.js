@@ -0,0 +1,144 @@
+import { randomUUID } from 'crypto'
+import { createClient } from 'redis'
+import { logger } from '../utils/logger.js'
+
+const log = logger.child({ component: 'redis-session-store' })
+
+const DEFAULT_TTL_MS = 2 * 60 * 1000
+
+// Deletes a lock only if it still holds our token (it may have expired and been taken since)
+const RELEASE_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end"
+
+/**
+ * Redis Session Store
+ * Session records as JSON strings with a TTL (`<prefix>session:<id>`), indexed by a sorted
+ * set scored by expiry time (`<prefix>sessions`) so list() skips and prunes records of
+ * instances that stopped refreshing them. Locks are `SET NX PX` keys. Reservations are sorted
+ * sets scored by expiry (`<prefix>reserve:<name>`): a member is added, then taken back out if
+ * the set went over its limit, so two instances racing for the last slot can both lose but
+ * never both win.
+ * Same interface as MemorySessionStore (services/session-store.js).
+ */
+export class RedisSessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url] - Default: REDIS_URL
+   * @param {string} [options.prefix] - Default: REDIS_KEY_PREFIX or `voice:`
+   * @param {number} [options.ttlMs]
+   */
+  constructor({ url = process.env.REDIS_URL, prefix = process.env.REDIS_KEY_PREFIX || 'voice:', ttlMs = DEFAULT_TTL_MS } = {}) {
+    if (!url) {
+      throw new Error('REDIS_URL is not set')
+    }
+
+    this.name = 'redis'
+    this.shared = true
+    this.prefix = prefix
+    this.ttlMs = ttlMs
+    // lock name -> the token this instance set it to
+    this.lockTokens = new Map()
+    this.client = createClient({ url })
+    this.client.on('error', (error) => {
+      log.error('Redis error', { error })
+    })
+  }
+
+  async connect() {
+    await this.client.connect()
+    log.info('Connected to Redis', { prefix: this.prefix })
+  }
+
+  key(id) {
+    return `${this.prefix}session:${id}`
+  }
+
+  get indexKey() {
+    return `${this.prefix}sessions`
+  }
+
+  async save(record) {
+    await this.client.multi()
+      .set(this.key(record.id), JSON.stringify(record), { PX: this.ttlMs })
+      .zAdd(this.indexKey, { score: Date.now() + this.ttlMs, value: record.id })
+      .exec()
+    return record
+  }
+
+  async get(id) {
+    const json = await this.client.get(this.key(id))
+    return json ? JSON.parse(json) : null
+  }
+
+  async list(tenantId) {
+    await this.client.zRemRangeByScore(this.indexKey, 0, Date.now())
+    const ids = await this.client.zRange(this.indexKey, 0, -1)
+    if (ids.length === 0) return []
+
+    const values = await this.client.mGet(ids.map(id => this.key(id)))
+    return values
+      .filter(Boolean)
+      .map(json => JSON.parse(json))
+      .filter(record => !tenantId || record.tenantId === tenantId)
+      .sort((a, b) => a.connectedAt.localeCompare(b.connectedAt))
+  }
+
+  async delete(id) {
+    await this.client.multi()
+      .del(this.key(id))
+      .zRem(this.indexKey, id)
+      .exec()
+  }
+
+  async acquireLock(name, ttlMs) {
+    const token = randomUUID()
+    const result = await this.client.set(`${this.prefix}lock:${name}`, token, { NX: true, PX: ttlMs })
+    if (result !== 'OK') return false
+
+    this.lockTokens.set(name, token)
+    return true
+  }
+
+  async releaseLock(name) {
+    const token = this.lockTokens.get(name)
+    if (!token) return
+
+    this.lockTokens.delete(name)
+    await this.client.eval(RELEASE_LOCK_SCRIPT, { keys: [`${this.prefix}lock:${name}`], arguments: [token] })
+  }
+
+  reservationKey(name) {
+    return `${this.prefix}reserve:${name}`
+  }
+
+  async reserve(name, member, { limit, ttlMs }) {
+    const key = this.reservationKey(name)
+    const now = Date.now()
+    const [, added, count] = await this.client.multi()
+      .zRemRangeByScore(key, 0, now)
+      .zAdd(key, { score: now + ttlMs, value: member })
+      .zCard(key)
+      .pExpire(key, ttlMs)
+      .exec()
+    // Already a member (only its expiry moved), or within the limit
+    if (added === 0 || count <= limit) return true
+
+    await this.client.zRem(key, member)
+    return false
+  }
+
+  async extend(name, member, ttlMs) {
+    const key = this.reservationKey(name)
+    await this.client.multi()
+      .zAdd(key, { score: Date.now() + ttlMs, value: member }, { XX: true })
+      .pExpire(key, ttlMs)
+      .exec()
+  }
+
+  async release(name, member) {
+    await this.client.zRem(this.reservationKey(name), member)
+  }
+
+  async close() {
+    await this.client.quit()
+  }
+}
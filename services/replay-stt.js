@@ -0,0 +1,155 @@
+import { readFileSync, existsSync } from 'fs'
+import { STTProvider, STTEvents } from './stt-provider.js'
+import { parseWav, getWavDuration } from '../utils/wav.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * Replay STT provider for offline development and CI.
+ * Plays back a script of timestamped utterances as if they were being transcribed live,
+ * starting the clock on the first connect() - a reconnect (a language switch, call-resume)
+ * carries on where the script was. Caller audio passed to send() is ignored.
+ *
+ * STT_REPLAY_FILE points at either:
+ * - a JSON script: `[{ "start": 1.5, "end": 3.2, "text": "What does Pro cost?" }, ...]`
+ *   (or `{ "utterances": [...] }`), times in seconds from the start of the call. An optional
+ *   `language` per utterance is reported like a multilingual provider would
+ * - a WAV file with a sidecar transcript next to it (`call.wav` + `call.json` or `call.txt`).
+ *   Text sidecars hold one utterance per line: `[start-end] text`, e.g. `[1.5-3.2] What does Pro cost?`
+ */
+export class ReplaySTTService extends STTProvider {
+  constructor(scriptPath = process.env.STT_REPLAY_FILE) {
+    super('replay')
+
+    if (!scriptPath) {
+      throw new Error('STT_REPLAY_FILE is not set')
+    }
+
+    this.scriptPath = scriptPath
+    this.utterances = loadReplayScript(scriptPath)
+    this.timers = []
+    this.startedAt = null
+  }
+
+  async connect({ interimResults = false, utteranceEndMs = null } = {}) {
+    this.disconnect()
+    this.startedAt ??= Date.now()
+    this.log.info('Replaying utterances', { utterances: this.utterances.length, script: this.scriptPath })
+
+    const elapsed = (Date.now() - this.startedAt) / 1000
+    this.utterances.forEach((utterance, index) => {
+      if (utterance.start < elapsed) return
+      this.schedule(utterance.start, () => this.emit(STTEvents.SpeechStarted))
+
+      if (interimResults) {
+        // Reveal the words progressively between start and end, like a live interim stream
+        const words = utterance.text.split(/\s+/)
+        const step = (utterance.end - utterance.start) / words.length
+        for (let i = 1; i < words.length; i++) {
+          const text = words.slice(0, i).join(' ')
+          this.schedule(utterance.start + step * i, () => this.emit(STTEvents.InterimTranscript, { text }))
+        }
+      }
+
+      this.schedule(utterance.end, () => this.emit(STTEvents.FinalTranscript, { text: utterance.text, language: utterance.language }))
+
+      // Like Deepgram: the utterance ends once the silence after it is long enough
+      const next = this.utterances[index + 1]
+      const silenceEnd = utterance.end + utteranceEndMs / 1000
+      if (interimResults && utteranceEndMs && (!next || next.start > silenceEnd)) {
+        this.schedule(silenceEnd, () => this.emit(STTEvents.UtteranceEnd))
+      }
+    })
+  }
+
+  schedule(seconds, callback) {
+    this.timers.push(setTimeout(callback, Math.max(0, seconds * 1000 - (Date.now() - this.startedAt))))
+  }
+
+  send() {}
+
+  disconnect() {
+    this.timers.forEach(clearTimeout)
+    this.timers = []
+  }
+}
+
+/**
+ * Load and validate a replay script (JSON script, or WAV + sidecar transcript)
+ * @param {string} scriptPath
+ * @returns {{start: number, end: number, text: string, language?: string}[]} Utterances sorted by start time
+ */
+export function loadReplayScript(scriptPath) {
+  if (!existsSync(scriptPath)) {
+    throw new Error(`Replay script not found: ${scriptPath}`)
+  }
+
+  let utterances
+  let audioDuration = null
+
+  if (scriptPath.toLowerCase().endsWith('.wav')) {
+    const wav = readFileSync(scriptPath)
+    if (!parseWav(wav)) {
+      throw new Error(`Replay audio is not a valid WAV file: ${scriptPath}`)
+    }
+    audioDuration = getWavDuration(wav) / 1000
+
+    const base = scriptPath.slice(0, -4)
+    if (existsSync(`${base}.json`)) {
+      utterances = parseJsonScript(readFileSync(`${base}.json`, 'utf8'), `${base}.json`)
+    } else if (existsSync(`${base}.txt`)) {
+      utterances = parseTextScript(readFileSync(`${base}.txt`, 'utf8'), `${base}.txt`)
+    } else {
+      throw new Error(`No sidecar transcript (${base}.json or ${base}.txt) for ${scriptPath}`)
+    }
+  } else if (scriptPath.toLowerCase().endsWith('.txt')) {
+    utterances = parseTextScript(readFileSync(scriptPath, 'utf8'), scriptPath)
+  } else {
+    utterances = parseJsonScript(readFileSync(scriptPath, 'utf8'), scriptPath)
+  }
+
+  utterances.forEach((utterance, index) => {
+    const where = `${scriptPath} utterance ${index + 1}`
+    if (typeof utterance.text !== 'string' || utterance.text.trim() === '') {
+      throw new Error(`${where}: "text" must be a non-empty string`)
+    }
+    if (!Number.isFinite(utterance.start) || !Number.isFinite(utterance.end) || utterance.start < 0 || utterance.end < utterance.start) {
+      throw new Error(`${where}: "start" and "end" must be seconds with 0 <= start <= end`)
+    }
+    if (audioDuration !== null && utterance.end > audioDuration + 0.5) {
+      logger.warn('Replay utterance ends after the end of the audio', { utterance: where, endSec: utterance.end, audioDurationSec: audioDuration })
+    }
+  })
+
+  return utterances
+    .map(({ start, end, text, language }) => ({ start, end, text: text.trim(), language }))
+    .sort((a, b) => a.start - b.start)
+}
+
+function parseJsonScript(content, source) {
+  let script
+  try {
+    script = JSON.parse(content)
+  } catch (error) {
+    throw new Error(`Invalid JSON in replay script ${source}: ${error.message}`)
+  }
+
+  const utterances = Array.isArray(script) ? script : script.utterances
+  if (!Array.isArray(utterances)) {
+    throw new Error(`Replay script ${source} must be an array of utterances or { "utterances": [...] }`)
+  }
+  return utterances
+}
+
+function parseTextScript(content, source) {
+  return content
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map((line, index) => {
+      const match = line.match(/^\[\s*([\d.]+)\s*-\s*([\d.]+)\s*\]\s*(.+)$/)
+      if (!match) {
+        throw new Error(`${source} line ${index + 1}: expected "[start-end] text", got "${line}"`)
+      }
+      return { start: parseFloat(match[1]), end: parseFloat(match[2]), text: match[3] }
+    })
+}
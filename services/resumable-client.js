@@ -0,0 +1,71 @@
+// Events kept for a detached client; the oldest are dropped beyond this
+const DEFAULT_MAX_BUFFERED_EVENTS = 500
+
+/**
+ * Resumable Client
+ * Stands in for the Socket.io socket of a session so a call can outlive its connection.
+ * Events go to the socket currently attached; while there is none (the caller's network
+ * dropped) they are buffered, and replayed in order when the caller resumes on a new
+ * socket with `call-resume`.
+ *
+ * The id stays the one of the first socket: it is the session id.
+ */
+export class ResumableClient {
+  /**
+   * @param {import('socket.io').Socket} socket
+   * @param {Object} [options]
+   * @param {number} [options.maxBufferedEvents]
+   */
+  constructor(socket, { maxBufferedEvents = DEFAULT_MAX_BUFFERED_EVENTS } = {}) {
+    this.id = socket.id
+    this.socket = socket
+    this.maxBufferedEvents = maxBufferedEvents
+    this.buffer = []
+    this.dropped = 0
+    this.detachedAt = null
+  }
+
+  get attached() {
+    return this.socket !== null
+  }
+
+  emit(event, ...args) {
+    if (this.socket) {
+      return this.socket.emit(event, ...args)
+    }
+
+    if (this.buffer.length >= this.maxBufferedEvents) {
+      this.buffer.shift()
+      this.dropped++
+    }
+    this.buffer.push({ event, args })
+    return true
+  }
+
+  /**
+   * The socket is gone: buffer from now on
+   */
+  detach() {
+    this.socket = null
+    this.detachedAt = Date.now()
+  }
+
+  /**
+   * Continue on a new socket, replaying what was buffered while detached
+   * @param {import('socket.io').Socket} socket
+   * @returns {{replayed: number, dropped: number}}
+   */
+  attach(socket) {
+    const buffered = this.buffer
+    const { dropped } = this
+    this.socket = socket
+    this.detachedAt = null
+    this.buffer = []
+    this.dropped = 0
+
+    for (const { event, args } of buffered) {
+      socket.emit(event, ...args)
+    }
+    return { replayed: buffered.length, dropped }
+  }
+}
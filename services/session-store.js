@@ -0,0 +1,134 @@
+import { RedisSessionStore } from './redis-session-store.js'
+
+// A record that isn't saved again within this long is dropped (its instance is gone)
+export const DEFAULT_SESSION_TTL_MS = 2 * 60 * 1000
+
+/**
+ * Session Store
+ * The part of a session other server instances need to see: a JSON snapshot per connected
+ * session (call state, providers, handoff, conversation history, owning instance), plus
+ * locks so periodic jobs such as the stale-session sweep run on one instance at a time.
+ * Live objects - sockets, STT streams, timers - stay in the owning instance's memory.
+ *
+ * Every store has the same async interface:
+ * - `save(record)` - `record.id` and `record.tenantId` required; expires after ttlMs unless saved again
+ * - `get(id)` → record or null
+ * - `list(tenantId?)` → records, oldest connection first
+ * - `delete(id)`
+ * - `acquireLock(name, ttlMs)` → true for the one caller that gets the lock, until it expires
+ * - `releaseLock(name)` - give up a lock this instance holds before it expires
+ * - `reserve(name, member, { limit, ttlMs })` → adds member to the named set and returns true,
+ *   unless that would put more than `limit` unexpired members in it
+ * - `extend(name, member, ttlMs)` / `release(name, member)` - push back a member's expiry / remove it
+ * - `connect()` / `close()`
+ * - `shared` - true when other instances see the same records
+ */
+export class MemorySessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs]
+   */
+  constructor({ ttlMs = DEFAULT_SESSION_TTL_MS } = {}) {
+    this.name = 'memory'
+    this.shared = false
+    this.ttlMs = ttlMs
+    // id -> { record, expiresAt }
+    this.records = new Map()
+    // lock name -> expiresAt
+    this.locks = new Map()
+    // set name -> (member -> expiresAt)
+    this.reservations = new Map()
+  }
+
+  async connect() {}
+
+  async save(record) {
+    this.records.set(record.id, { record, expiresAt: Date.now() + this.ttlMs })
+    return record
+  }
+
+  async get(id) {
+    const entry = this.records.get(id)
+    if (!entry) return null
+    if (entry.expiresAt <= Date.now()) {
+      this.records.delete(id)
+      return null
+    }
+    return entry.record
+  }
+
+  async list(tenantId) {
+    const now = Date.now()
+    const records = []
+    for (const [id, { record, expiresAt }] of this.records) {
+      if (expiresAt <= now) {
+        this.records.delete(id)
+      } else if (!tenantId || record.tenantId === tenantId) {
+        records.push(record)
+      }
+    }
+    return records.sort((a, b) => a.connectedAt.localeCompare(b.connectedAt))
+  }
+
+  async delete(id) {
+    this.records.delete(id)
+  }
+
+  async acquireLock(name, ttlMs) {
+    const now = Date.now()
+    if ((this.locks.get(name) ?? 0) > now) return false
+    this.locks.set(name, now + ttlMs)
+    return true
+  }
+
+  async releaseLock(name) {
+    this.locks.delete(name)
+  }
+
+  async reserve(name, member, { limit, ttlMs }) {
+    const now = Date.now()
+    const members = this.reservations.get(name) ?? new Map()
+    for (const [key, expiresAt] of members) {
+      if (expiresAt <= now) members.delete(key)
+    }
+    if (!members.has(member) && members.size >= limit) return false
+
+    members.set(member, now + ttlMs)
+    this.reservations.set(name, members)
+    return true
+  }
+
+  async extend(name, member, ttlMs) {
+    const members = this.reservations.get(name)
+    if (members?.has(member)) {
+      members.set(member, Date.now() + ttlMs)
+    }
+  }
+
+  async release(name, member) {
+    const members = this.reservations.get(name)
+    if (!members) return
+    members.delete(member)
+    if (members.size === 0) this.reservations.delete(name)
+  }
+
+  async close() {}
+}
+
+/**
+ * Create the store selected by SESSION_STORE: `memory` (default, one instance) or
+ * `redis` (REDIS_URL, shared by every instance)
+ * @param {Object} [options]
+ * @param {string} [options.type]
+ * @param {number} [options.ttlMs]
+ */
+export function createSessionStore({ type = process.env.SESSION_STORE || 'memory', ttlMs } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore({ ttlMs })
+    case 'redis':
+      return new RedisSessionStore({ ttlMs })
+    default:
+      throw new Error(`Unsupported session store: ${type} (available: memory, redis)`)
+  }
+}
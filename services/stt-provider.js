@@ -0,0 +1,64 @@
+import { EventEmitter } from 'events'
+import { logger } from '../utils/logger.js'
+
+/**
+ * Events every STT provider emits, independent of the backend
+ * - `FinalTranscript`: `{ text, language? }` for a finished piece of speech; language when the
+ *   provider detected it (multilingual mode)
+ * - `InterimTranscript`: `{ text }` for an in-progress guess (only when interim results are enabled)
+ * - `SpeechStarted`: the caller started talking (VAD)
+ * - `UtteranceEnd`: the caller has been silent for `utteranceEndMs` after their last word
+ * - `Error`: `Error` from the provider
+ */
+export const STTEvents = {
+  FinalTranscript: 'final-transcript',
+  InterimTranscript: 'interim-transcript',
+  SpeechStarted: 'speech-started',
+  UtteranceEnd: 'utterance-end',
+  Error: 'error'
+}
+
+/**
+ * STT Provider Interface
+ * Implementations stream caller audio in through send() and report results as STTEvents.
+ */
+export class STTProvider extends EventEmitter {
+  constructor(name) {
+    super()
+    this.name = name
+    // The server swaps in a session-scoped logger so lines carry the session id
+    this.log = logger.child({ component: name })
+  }
+
+  /**
+   * Open the transcription stream
+   * @param {Object} [options]
+   * @param {string} [options.language] - BCP-47 language code, or `multi` to transcribe (and report)
+   *   whichever language the caller speaks, where the provider supports it
+   * @param {string} [options.model] - Provider model overriding its default
+   * @param {boolean} [options.interimResults] - Emit InterimTranscript events
+   * @param {number} [options.utteranceEndMs] - Emit UtteranceEnd after this much silence (needs interimResults)
+   * @param {{encoding: string, sampleRate: number, channels?: number}} [options.inputFormat]
+   *   Raw caller audio format; omit for containerized audio (WebM/Opus) the backend can detect
+   */
+  async connect(options) {
+    throw new Error(`${this.name} does not implement connect`)
+  }
+
+  /**
+   * Forward a chunk of caller audio
+   * @param {Buffer|ArrayBuffer} audioData
+   */
+  send(audioData) {}
+
+  disconnect() {}
+
+  // Emitting 'error' without a listener would crash the process
+  emitError(error) {
+    if (this.listenerCount(STTEvents.Error) > 0) {
+      this.emit(STTEvents.Error, error)
+    } else {
+      this.log.error('STT error (unhandled)', { error })
+    }
+  }
+}
@@ -0,0 +1,26 @@
+import { DeepgramService } from './deepgram.js'
+import { ReplaySTTService } from './replay-stt.js'
+
+export { STTEvents } from './stt-provider.js'
+
+// Provider name -> class. Register new backends here or with registerSTTProvider()
+const sttProviders = new Map([
+  ['deepgram', DeepgramService],
+  ['replay', ReplaySTTService]
+])
+
+export function registerSTTProvider(name, ProviderClass) {
+  sttProviders.set(name, ProviderClass)
+}
+
+/**
+ * Create the speech-to-text provider selected by STT_PROVIDER (default: deepgram)
+ * @param {string} [name]
+ */
+export function createSTTProvider(name = process.env.STT_PROVIDER || 'deepgram') {
+  const ProviderClass = sttProviders.get(name)
+  if (!ProviderClass) {
+    throw new Error(`Unsupported STT provider: ${name} (available: ${[...sttProviders.keys()].join(', ')})`)
+  }
+  return new ProviderClass()
+}
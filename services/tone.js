@@ -0,0 +1,39 @@
+import { TTSProvider } from './tts-provider.js'
+import { encodeAudio } from '../utils/audio-format.js'
+
+// Roughly the pace of natural speech, so playback timing behaves like a real voice
+const MS_PER_CHARACTER = 60
+const MAX_DURATION_MS = 10000
+
+/**
+ * Local TTS provider for development and tests.
+ * Returns valid WAV audio (silence or a sine tone) sized to the text, without any network access.
+ */
+export class ToneService extends TTSProvider {
+  constructor() {
+    super('tone', { container: 'wav', encoding: 'pcm_s16le', sampleRate: 16000 })
+
+    // TONE_TTS_MODE=silence for silent clips, otherwise a quiet tone at TONE_TTS_FREQUENCY
+    this.mode = process.env.TONE_TTS_MODE || 'tone'
+    this.frequency = parseFloat(process.env.TONE_TTS_FREQUENCY || '440')
+    this.model = this.mode === 'silence' ? 'silence' : `tone-${this.frequency}`
+  }
+
+  async textToSpeech(text, { signal, format = this.outputFormat } = {}) {
+    signal?.throwIfAborted()
+
+    const durationMs = Math.min(Math.max(text.length * MS_PER_CHARACTER, 200), MAX_DURATION_MS)
+    const sampleRate = format.sampleRate
+    const sampleCount = Math.round((durationMs / 1000) * sampleRate)
+    const samples = new Int16Array(sampleCount)
+
+    if (this.mode !== 'silence') {
+      const amplitude = 0.2 * 32767
+      for (let i = 0; i < sampleCount; i++) {
+        samples[i] = Math.round(Math.sin((2 * Math.PI * this.frequency * i) / sampleRate) * amplitude)
+      }
+    }
+
+    return encodeAudio(samples, format).toString('base64')
+  }
+}
@@ -0,0 +1,183 @@
+import { requestDemoTool } from '../tools/request-demo.js'
+import { transferToHumanTool } from '../tools/transfer-to-human.js'
+import { findDemoSlotsTool } from '../tools/find-demo-slots.js'
+import { bookDemoTool } from '../tools/book-demo.js'
+import { logger } from '../utils/logger.js'
+
+const log = logger.child({ component: 'tools' })
+
+/**
+ * Tool definition shape:
+ * {
+ *   name: 'request_demo',
+ *   description: 'What the tool does and when the model should call it',
+ *   parameters: { type: 'object', properties: {...}, required: [...] },  // JSON schema
+ *   acknowledgement: 'Sure, let me set that up for you.',  // spoken while the handler runs
+ *   handler: async (args, { session, signal, log, scheduler }) => result  // JSON-serializable result; log carries the session/turn ids, scheduler is the DemoScheduler
+ * }
+ */
+
+// Tool name -> definition. Register new tools here or with registerTool()
+const tools = new Map([
+  [requestDemoTool.name, requestDemoTool],
+  [transferToHumanTool.name, transferToHumanTool],
+  [findDemoSlotsTool.name, findDemoSlotsTool],
+  [bookDemoTool.name, bookDemoTool]
+])
+
+export const DEFAULT_TOOL_ACKNOWLEDGEMENT = 'One moment please.'
+
+export function registerTool(definition) {
+  if (!/^[a-zA-Z_][a-zA-Z0-9_-]{0,63}$/.test(definition.name || '')) {
+    throw new Error(`Invalid tool name: ${definition.name}`)
+  }
+  if (typeof definition.handler !== 'function') {
+    throw new Error(`Tool ${definition.name} needs an async handler`)
+  }
+  tools.set(definition.name, definition)
+}
+
+export function hasTool(name) {
+  return tools.has(name)
+}
+
+export function getTool(name) {
+  return tools.get(name) || null
+}
+
+/**
+ * Resolve tool names (e.g. from an agent definition) to definitions
+ * @param {string[]} names
+ */
+export function getTools(names = []) {
+  return names.map(name => {
+    const tool = tools.get(name)
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`)
+    }
+    return tool
+  })
+}
+
+/**
+ * OpenAI chat completions `tools` parameter
+ */
+export function toOpenAITools(definitions) {
+  return definitions.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }))
+}
+
+/**
+ * Gemini `functionDeclarations`. Gemini accepts an OpenAPI subset of JSON schema,
+ * so keywords it rejects (additionalProperties, $schema, default...) are stripped
+ * by toGeminiSchema().
+ */
+export function toGeminiFunctionDeclarations(definitions) {
+  return definitions.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    parameters: toGeminiSchema(tool.parameters)
+  }))
+}
+
+const GEMINI_SCHEMA_KEYS = ['type', 'description', 'properties', 'required', 'items', 'enum', 'format', 'nullable']
+
+export function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema
+
+  const result = {}
+  for (const key of GEMINI_SCHEMA_KEYS) {
+    if (schema[key] === undefined) continue
+
+    if (key === 'type' && Array.isArray(schema.type)) {
+      // JSON schema ["string", "null"] -> Gemini { type: "string", nullable: true }
+      result.type = schema.type.find(type => type !== 'null')
+      if (schema.type.includes('null')) {
+        result.nullable = true
+      }
+    } else if (key === 'properties') {
+      result.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, value]) => [name, toGeminiSchema(value)])
+      )
+    } else if (key === 'items') {
+      result.items = toGeminiSchema(schema.items)
+    } else if (key === 'enum') {
+      // Gemini enums are strings only (format "enum"); null is expressed through nullable
+      result.enum = schema.enum.filter(value => value !== null)
+      result.format = 'enum'
+    } else {
+      result[key] = schema[key]
+    }
+  }
+  return result
+}
+
+/**
+ * Check model-produced arguments against the tool's schema (required fields and top-level types)
+ * @returns {string[]} Problems, empty when valid
+ */
+export function validateToolArgs(tool, args) {
+  const schema = tool.parameters || {}
+  const problems = []
+
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return ['arguments must be an object']
+  }
+
+  for (const name of schema.required || []) {
+    if (args[name] === undefined || args[name] === null || args[name] === '') {
+      problems.push(`missing required argument "${name}"`)
+    }
+  }
+
+  for (const [name, value] of Object.entries(args)) {
+    const property = schema.properties?.[name]
+    if (!property) continue
+
+    const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value
+    const expected = [].concat(property.type || []).map(type => type === 'integer' ? 'number' : type)
+    if (expected.length > 0 && !expected.includes(actual)) {
+      problems.push(`argument "${name}" should be ${property.type}, got ${actual}`)
+    } else if (property.enum && !property.enum.includes(value)) {
+      problems.push(`argument "${name}" must be one of ${property.enum.join(', ')}`)
+    }
+  }
+
+  return problems
+}
+
+/**
+ * Run a tool call. Failures are returned to the model as { error } instead of thrown,
+ * so it can recover (ask for the missing detail, apologize...) within the same turn.
+ * @param {{name: string, args: Object}} call
+ * @param {Object} context - Passed to the handler ({ session, signal, log, scheduler })
+ */
+export async function executeTool({ name, args }, context) {
+  const tool = tools.get(name)
+  if (!tool) {
+    return { error: `Unknown tool: ${name}` }
+  }
+
+  const problems = validateToolArgs(tool, args)
+  if (problems.length > 0) {
+    return { error: `Invalid arguments: ${problems.join('; ')}` }
+  }
+
+  try {
+    const result = await tool.handler(args, context)
+    return result === undefined ? { status: 'ok' } : result
+  } catch (error) {
+    if (context?.signal?.aborted) {
+      throw error
+    }
+    const toolLog = context?.log || log
+    toolLog.error('Tool failed', { tool: name, error })
+    return { error: error.message || 'Tool failed' }
+  }
+}
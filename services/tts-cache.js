@@ -0,0 +1,247 @@
+import { createHash } from 'crypto'
+import { mkdir, readFile, readdir, rename, stat, unlink, writeFile } from 'fs/promises'
+import path from 'path'
+import { ttsCacheLookups } from './metrics.js'
+import { logger } from '../utils/logger.js'
+
+const log = logger.child({ component: 'tts-cache' })
+
+const MB = 1024 * 1024
+const KEY_PATTERN = /^[0-9a-f]{64}$/
+
+/**
+ * The text as far as synthesis is concerned: " Hello,  there! " and "Hello, there!" sound the same
+ * @param {string} text
+ */
+export function normalizeText(text) {
+  return String(text).normalize('NFC').replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Cache key of a synthesized clip
+ * @param {Object} request
+ * @param {string} request.provider
+ * @param {string|null} request.voice
+ * @param {string|null} request.model
+ * @param {string|null} [request.language]
+ * @param {{container: string, encoding: string, sampleRate: number}} request.format - Requested output format
+ * @param {string} request.text
+ */
+export function ttsCacheKey({ provider, voice, model, language, format, text }) {
+  const { container, encoding, sampleRate } = format
+  return createHash('sha256')
+    .update(JSON.stringify([provider, voice ?? null, model ?? null, language ?? null, container, encoding ?? null, sampleRate ?? null, normalizeText(text)]))
+    .digest('hex')
+}
+
+/**
+ * TTS Cache
+ * Synthesized clips shared by every session, so a phrase is paid for (and waited for) once.
+ * Two LRU layers: memory (TTS_CACHE_MEMORY_MB) and JSON files in TTS_CACHE_DIR/phrases
+ * (TTS_CACHE_DISK_MB) that survive restarts. A size of 0 turns a layer off. Only clips set()
+ * with `persist` - an agent's fixed phrases - go to disk: answers can carry what the caller
+ * told us, and those stay in memory.
+ */
+export class TTSCache {
+  constructor({
+    directory = process.env.TTS_CACHE_DIR || path.join(process.env.DATA_DIR || './data', 'tts-cache'),
+    maxMemoryBytes = parseFloat(process.env.TTS_CACHE_MEMORY_MB || '32') * MB,
+    maxDiskBytes = parseFloat(process.env.TTS_CACHE_DISK_MB || '256') * MB
+  } = {}) {
+    this.directory = directory
+    this.phrasesDirectory = path.join(directory, 'phrases')
+    this.maxMemoryBytes = maxMemoryBytes
+    this.maxDiskBytes = maxDiskBytes
+    // Least recently used first: key -> { clip, bytes } / key -> bytes
+    this.memory = new Map()
+    this.memoryBytes = 0
+    this.disk = new Map()
+    this.diskBytes = 0
+    this.hits = { memory: 0, disk: 0 }
+    this.misses = 0
+    this.loading = null
+  }
+
+  /**
+   * Index the clips already on disk (oldest first). Runs once; get() and set() wait for it.
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = this.scanDisk().catch(error => {
+        log.error('Cannot read the TTS cache directory, starting empty', { directory: this.directory, error })
+      })
+    }
+    return this.loading
+  }
+
+  async scanDisk() {
+    await this.deleteUnsortedClips()
+    if (this.maxDiskBytes <= 0) return
+
+    const files = await listClipFiles(this.phrasesDirectory)
+    const entries = []
+    for (const file of files) {
+      const info = await stat(path.join(this.phrasesDirectory, file))
+      entries.push({ key: path.basename(file, '.json'), bytes: info.size, modifiedAt: info.mtimeMs })
+    }
+    for (const { key, bytes } of entries.sort((a, b) => a.modifiedAt - b.modifiedAt)) {
+      this.disk.set(key, bytes)
+      this.diskBytes += bytes
+    }
+    await this.evictDisk()
+    log.info('TTS cache loaded', { clips: this.disk.size, bytes: this.diskBytes })
+  }
+
+  // Clips written straight to TTS_CACHE_DIR date from when every clip went to disk
+  async deleteUnsortedClips() {
+    const files = await listClipFiles(this.directory)
+    for (const file of files) {
+      await unlink(path.join(this.directory, file)).catch(error => {
+        if (error.code !== 'ENOENT') throw error
+      })
+    }
+    if (files.length > 0) {
+      log.info('Deleted TTS cache clips from before only fixed phrases went to disk', { clips: files.length })
+    }
+  }
+
+  filePath(key) {
+    return path.join(this.phrasesDirectory, `${key}.json`)
+  }
+
+  /**
+   * @param {string} key - From ttsCacheKey()
+   * @returns {Promise<{audio: string, format: Object}|null>}
+   */
+  async get(key) {
+    const cached = this.memory.get(key)
+    if (cached) {
+      this.memory.delete(key)
+      this.memory.set(key, cached)
+      return this.hit('memory', cached.clip)
+    }
+
+    await this.load()
+    if (this.disk.has(key)) {
+      try {
+        const clip = JSON.parse(await readFile(this.filePath(key), 'utf8'))
+        const bytes = this.disk.get(key)
+        this.disk.delete(key)
+        this.disk.set(key, bytes)
+        this.remember(key, clip)
+        return this.hit('disk', clip)
+      } catch (error) {
+        log.warn('Dropping unreadable TTS cache file', { key, error })
+        this.forgetDisk(key)
+      }
+    }
+
+    this.misses++
+    ttsCacheLookups.inc({ result: 'miss' })
+    return null
+  }
+
+  /**
+   * Is the key cached? Not counted as a lookup, and the clip isn't loaded.
+   */
+  async has(key) {
+    if (this.memory.has(key)) return true
+    await this.load()
+    return this.disk.has(key)
+  }
+
+  hit(layer, clip) {
+    this.hits[layer]++
+    ttsCacheLookups.inc({ result: layer })
+    return clip
+  }
+
+  /**
+   * Store a clip in memory, and on disk too when it persists. Disk errors are logged, never thrown.
+   * @param {string} key
+   * @param {{audio: string, format: Object}} clip - Base64 audio and its actual format
+   * @param {Object} [options]
+   * @param {boolean} [options.persist] - A fixed phrase, safe to keep on disk
+   */
+  async set(key, { audio, format }, { persist = false } = {}) {
+    const clip = { audio, format }
+    this.remember(key, clip)
+
+    await this.load()
+    if (!persist || this.maxDiskBytes <= 0) return
+
+    try {
+      const json = JSON.stringify(clip)
+      await mkdir(this.phrasesDirectory, { recursive: true })
+      const file = this.filePath(key)
+      const temporary = `${file}.${process.pid}.tmp`
+      await writeFile(temporary, json)
+      await rename(temporary, file)
+
+      this.forgetDisk(key)
+      this.disk.set(key, Buffer.byteLength(json))
+      this.diskBytes += Buffer.byteLength(json)
+      await this.evictDisk()
+    } catch (error) {
+      log.error('Error writing TTS cache file', { key, error })
+    }
+  }
+
+  remember(key, clip) {
+    const bytes = clip.audio.length
+    if (bytes > this.maxMemoryBytes) return
+
+    if (this.memory.has(key)) {
+      this.memoryBytes -= this.memory.get(key).bytes
+      this.memory.delete(key)
+    }
+    this.memory.set(key, { clip, bytes })
+    this.memoryBytes += bytes
+
+    for (const [oldest, entry] of this.memory) {
+      if (this.memoryBytes <= this.maxMemoryBytes) break
+      this.memory.delete(oldest)
+      this.memoryBytes -= entry.bytes
+    }
+  }
+
+  forgetDisk(key) {
+    if (this.disk.has(key)) {
+      this.diskBytes -= this.disk.get(key)
+      this.disk.delete(key)
+    }
+  }
+
+  async evictDisk() {
+    for (const key of this.disk.keys()) {
+      if (this.diskBytes <= this.maxDiskBytes) break
+      this.forgetDisk(key)
+      await unlink(this.filePath(key)).catch(error => {
+        if (error.code !== 'ENOENT') log.warn('Error deleting TTS cache file', { key, error })
+      })
+    }
+  }
+
+  /**
+   * Sizes and hit/miss counts since startup
+   */
+  stats() {
+    const lookups = this.hits.memory + this.hits.disk + this.misses
+    return {
+      memory: { clips: this.memory.size, bytes: this.memoryBytes, maxBytes: this.maxMemoryBytes, hits: this.hits.memory },
+      disk: { clips: this.disk.size, bytes: this.diskBytes, maxBytes: this.maxDiskBytes, hits: this.hits.disk },
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits.memory + this.hits.disk) / lookups * 1000) / 1000 : null
+    }
+  }
+}
+
+// Clip file names (<key>.json) in a directory
+async function listClipFiles(directory) {
+  try {
+    return (await readdir(directory)).filter(file => file.endsWith('.json') && KEY_PATTERN.test(path.basename(file, '.json')))
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+}
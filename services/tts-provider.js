@@ -0,0 +1,76 @@
+import { logger } from '../utils/logger.js'
+
+/**
+ * TTS Provider Interface
+ * Every text-to-speech backend (Cartesia, ElevenLabs, local tone) implements this shape
+ * so the session can pick one by name and fail over between them.
+ */
+
+export class TTSProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.provider - Provider name
+   * @param {number} [details.status] - HTTP status returned by the provider
+   * @param {boolean} [details.timeout] - The request exceeded TTS_TIMEOUT_MS
+   */
+  constructor(message, { provider, status = null, timeout = false }) {
+    super(message)
+    this.name = 'TTSProviderError'
+    this.provider = provider
+    this.status = status
+    this.timeout = timeout
+  }
+
+  /**
+   * Rate limits, server errors and timeouts are worth retrying on another provider.
+   * Bad requests (400, 401, 422...) would fail there too.
+   */
+  get retryable() {
+    return this.timeout || this.status === 429 || (this.status >= 500 && this.status < 600)
+  }
+}
+
+export class TTSProvider {
+  /**
+   * @param {string} name - Registry name of the provider
+   * @param {{container: string, encoding: string, sampleRate: number}} outputFormat - Default format of returned audio
+   */
+  constructor(name, outputFormat) {
+    this.name = name
+    this.outputFormat = outputFormat
+    // Model and default voice, set by providers that have them: both are part of the TTS cache key
+    this.model = null
+    this.voiceId = null
+    // TTSService swaps in a session-scoped logger
+    this.log = logger.child({ component: name })
+  }
+
+  /**
+   * Synthesize text
+   * @param {string} text - Text to speak
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {string} [options.voice] - Provider-specific voice ID overriding the default
+   * @param {Object} [options.format] - Output format (see utils/audio-format.js), defaults to this.outputFormat
+   * @param {string} [options.language] - Language of the text ("en", "es"...), for providers that need it
+   * @returns {Promise<string>} Base64 audio in the requested format
+   */
+  async textToSpeech(text, options) {
+    throw new Error(`${this.name} does not implement textToSpeech`)
+  }
+
+  /**
+   * Throw a TTSProviderError for a failed HTTP response
+   * @param {Response} response - fetch response
+   */
+  async assertOk(response) {
+    if (!response.ok) {
+      const errorText = await response.text()
+      throw new TTSProviderError(`${this.name} API error (${response.status}): ${errorText}`, {
+        provider: this.name,
+        status: response.status
+      })
+    }
+  }
+}
@@ -0,0 +1,192 @@
+import { CartesiaService } from './cartesia.js'
+import { ElevenLabsService } from './elevenlabs.js'
+import { ToneService } from './tone.js'
+import { TTSProviderError } from './tts-provider.js'
+import { providerErrors, providerRetries } from './metrics.js'
+import { normalizeText, ttsCacheKey } from './tts-cache.js'
+import { DEFAULT_OUTPUT_FORMAT } from '../utils/audio-format.js'
+import { logger } from '../utils/logger.js'
+
+// Provider name -> class. Register new backends here or with registerTTSProvider()
+const ttsProviders = new Map([
+  ['cartesia', CartesiaService],
+  ['elevenlabs', ElevenLabsService],
+  ['tone', ToneService]
+])
+
+export function registerTTSProvider(name, ProviderClass) {
+  ttsProviders.set(name, ProviderClass)
+}
+
+export function hasTTSProvider(name) {
+  return ttsProviders.has(name)
+}
+
+export function createTTSProvider(name) {
+  const ProviderClass = ttsProviders.get(name)
+  if (!ProviderClass) {
+    throw new Error(`Unsupported TTS provider: ${name} (available: ${[...ttsProviders.keys()].join(', ')})`)
+  }
+  return new ProviderClass()
+}
+
+/**
+ * Per-session TTS front end.
+ * Uses the primary provider (TTS_PROVIDER) and switches to the fallback (TTS_FALLBACK_PROVIDER)
+ * when the primary is rate limited, erroring or too slow. After a failover the session stays
+ * on the fallback for TTS_FAILOVER_COOLDOWN_MS before trying the primary again.
+ * With a cache (services/tts-cache.js), clips already synthesized are reused; those of
+ * `fixedPhrases` are also kept on disk.
+ */
+export class TTSService {
+  constructor({
+    provider = process.env.TTS_PROVIDER || 'cartesia',
+    fallback = process.env.TTS_FALLBACK_PROVIDER || null,
+    timeoutMs = parseInt(process.env.TTS_TIMEOUT_MS || '8000', 10),
+    cooldownMs = parseInt(process.env.TTS_FAILOVER_COOLDOWN_MS || '60000', 10),
+    voices = {},
+    language = 'en',
+    outputFormat = DEFAULT_OUTPUT_FORMAT,
+    cache = null,
+    fixedPhrases = [],
+    log = logger
+  } = {}) {
+    this.primaryName = provider
+    this.fallbackName = fallback && fallback !== provider ? fallback : null
+    this.timeoutMs = timeoutMs
+    this.cooldownMs = cooldownMs
+    // Provider name -> voice ID, so the fallback speaks with the agent's voice on that provider too
+    this.voices = voices
+    // Language of the text, passed to providers that need it
+    this.language = language
+    // Every provider returns this format, so a failover doesn't change what the client plays
+    this.outputFormat = outputFormat
+    this.failedOverUntil = 0
+    this.instances = new Map()
+    // Shared by every session, so a phrase is synthesized once per voice and format
+    this.cache = cache
+    // The agent's greeting, fillers... (normalized): the only clips the cache writes to disk
+    this.fixedPhrases = new Set(fixedPhrases.map(normalizeText))
+    // Session-scoped logger, handed down to the providers
+    this.log = log
+
+    // Fail fast on a misconfigured primary; the fallback is only created when needed
+    this.getProvider(this.primaryName)
+  }
+
+  getProvider(name) {
+    if (!this.instances.has(name)) {
+      const instance = createTTSProvider(name)
+      instance.log = this.log.child({ component: name })
+      this.instances.set(name, instance)
+    }
+    return this.instances.get(name)
+  }
+
+  /**
+   * Speak another language from now on, with that language's voices
+   * @param {string} language
+   * @param {Object} voices - Provider name -> voice ID
+   */
+  setLanguage(language, voices) {
+    this.language = language
+    this.voices = voices
+  }
+
+  activeProviderName() {
+    if (this.fallbackName && Date.now() < this.failedOverUntil) {
+      return this.fallbackName
+    }
+    return this.primaryName
+  }
+
+  /**
+   * Synthesize text, failing over to the fallback provider on retryable errors
+   * @param {string} text - Text to speak
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request (no failover happens on abort)
+   * @param {string} [options.provider] - Use this provider for this call instead of the session's
+   * @param {string} [options.voice] - Voice ID for the requested provider (defaults to the agent's voice)
+   * @returns {Promise<{audio: string, format: Object, provider: string, cached?: boolean}>} Base64 audio with its format
+   */
+  async synthesize(text, { signal, provider, voice } = {}) {
+    const primaryName = provider || this.activeProviderName()
+
+    try {
+      return await this.synthesizeWith(primaryName, text, { signal, voice })
+    } catch (error) {
+      const fallbackName = this.fallbackName && this.fallbackName !== primaryName ? this.fallbackName : null
+      if (!fallbackName || !error.retryable || signal?.aborted) {
+        throw error
+      }
+
+      this.log.warn('TTS provider failed, falling back', { provider: primaryName, fallback: fallbackName, error: error.message })
+      providerRetries.inc({ type: 'tts', provider: primaryName })
+      if (primaryName === this.primaryName) {
+        this.failedOverUntil = Date.now() + this.cooldownMs
+      }
+
+      // Voice IDs are provider-specific, so the fallback uses its own voice
+      return await this.synthesizeWith(fallbackName, text, { signal })
+    }
+  }
+
+  /**
+   * Cache key of text spoken by a provider in this session's voice and output format
+   */
+  cacheKey(name, text, voice) {
+    const instance = this.getProvider(name)
+    return ttsCacheKey({ provider: name, voice: voice || this.voices[name] || instance.voiceId, model: instance.model, language: this.language, format: this.outputFormat, text })
+  }
+
+  /**
+   * Is text already cached for the primary provider?
+   */
+  async isCached(text) {
+    return Boolean(this.cache) && this.cache.has(this.cacheKey(this.primaryName, text))
+  }
+
+  /**
+   * Cache audio that didn't come from a provider - a pre-recorded clip - as the primary
+   * provider's rendering of text, so synthesize(text) returns it
+   * @param {string} text
+   * @param {{audio: string, format: Object}} clip
+   */
+  async seed(text, clip) {
+    await this.cache?.set(this.cacheKey(this.primaryName, text), clip, { persist: true })
+  }
+
+  async synthesizeWith(name, text, { signal, voice }) {
+    const instance = this.getProvider(name)
+    const key = this.cache ? this.cacheKey(name, text, voice) : null
+    if (key) {
+      const cached = await this.cache.get(key)
+      if (cached) {
+        return { ...cached, provider: name, cached: true }
+      }
+    }
+    const timeoutSignal = AbortSignal.timeout(this.timeoutMs)
+    const combinedSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+
+    try {
+      const audio = await instance.textToSpeech(text, { signal: combinedSignal, voice: voice || this.voices[name], format: this.outputFormat, language: this.language })
+      if (key) {
+        this.cache.set(key, { audio, format: this.outputFormat }, { persist: this.fixedPhrases.has(normalizeText(text)) })
+      }
+      return { audio, format: this.outputFormat, provider: name }
+    } catch (error) {
+      // Interruptions abort requests on purpose; they aren't provider errors
+      if (!signal?.aborted) {
+        providerErrors.inc({ type: 'tts', provider: name })
+      }
+      if (timeoutSignal.aborted && !signal?.aborted) {
+        throw new TTSProviderError(`${name} timed out after ${this.timeoutMs}ms`, { provider: name, timeout: true })
+      }
+      // Network failures (DNS, connection reset) are as retryable as a 5xx
+      if (error.name === 'FetchError') {
+        throw new TTSProviderError(`${name} request failed: ${error.message}`, { provider: name, status: 503 })
+      }
+      throw error
+    }
+  }
+}
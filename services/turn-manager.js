@@ -0,0 +1,97 @@
+import { EventEmitter } from 'events'
+
+export const DEFAULT_END_OF_TURN_SILENCE_MS = parseInt(process.env.END_OF_TURN_SILENCE_MS || '1000', 10)
+
+/**
+ * Turn Manager
+ * STT providers finalize speech in fragments: one sentence with a pause in it arrives as two
+ * final transcripts. The turn manager buffers fragments until the caller has been silent for
+ * `silenceMs` (or the provider reports the end of the utterance) and emits them as one turn.
+ *
+ * Events:
+ * - `turn`: `{ text, startedAt }` - the merged user turn; startedAt is epoch ms of the first speech
+ */
+export class TurnManager extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.silenceMs] - Silence after the last final fragment that ends the turn
+   */
+  constructor({ silenceMs = DEFAULT_END_OF_TURN_SILENCE_MS } = {}) {
+    super()
+    this.silenceMs = silenceMs
+    this.fragments = []
+    this.startedAt = null
+    this.silenceTimer = null
+  }
+
+  /**
+   * The caller started talking: whatever is buffered belongs to a turn that isn't over yet
+   */
+  speechStarted() {
+    // VAD also fires on noise that never becomes a transcript; a new turn starts from the latest one
+    if (this.fragments.length === 0) {
+      this.startedAt = Date.now()
+    }
+    this.cancelSilenceTimer()
+  }
+
+  /**
+   * In-progress text; also proof the caller is still talking
+   * @returns {string} The whole turn so far (buffered fragments + this guess), for display
+   */
+  addInterim(text) {
+    this.startedAt ??= Date.now()
+    this.cancelSilenceTimer()
+    return [...this.fragments, text].join(' ')
+  }
+
+  /**
+   * A finalized fragment; the turn ends after silenceMs unless the caller keeps talking
+   */
+  addFinal(text) {
+    this.startedAt ??= Date.now()
+    this.fragments.push(text.trim())
+    this.cancelSilenceTimer()
+    this.silenceTimer = setTimeout(() => this.flush(), this.silenceMs)
+  }
+
+  /**
+   * The STT provider detected the end of the utterance (e.g. Deepgram UtteranceEnd)
+   */
+  utteranceEnd() {
+    this.flush()
+  }
+
+  /**
+   * Emit the buffered fragments as one turn
+   */
+  flush() {
+    this.cancelSilenceTimer()
+    const startedAt = this.startedAt
+    const text = this.takePending()
+    if (text) {
+      this.emit('turn', { text, startedAt })
+    }
+  }
+
+  /**
+   * Clear the buffer without emitting a turn
+   * @returns {string} What was buffered ('' if nothing)
+   */
+  takePending() {
+    const text = this.fragments.filter(Boolean).join(' ')
+    this.fragments = []
+    this.startedAt = null
+    return text
+  }
+
+  cancelSilenceTimer() {
+    clearTimeout(this.silenceTimer)
+    this.silenceTimer = null
+  }
+
+  close() {
+    this.cancelSilenceTimer()
+    this.removeAllListeners()
+  }
+}
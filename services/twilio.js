@@ -0,0 +1,123 @@
+import { logger } from '../utils/logger.js'
+
+const log = logger.child({ component: 'twilio' })
+
+// Twilio Media Streams carry 8 kHz mono μ-law in both directions (a call-start audio descriptor)
+export const TWILIO_AUDIO_FORMAT = {
+  input: { encoding: 'mulaw', sampleRate: 8000, channels: 1 },
+  output: { container: 'raw', encoding: 'pcm_mulaw', sampleRate: 8000 }
+}
+
+// 20 ms of 8 kHz μ-law, the frame size Twilio itself sends
+const FRAME_BYTES = 160
+
+/**
+ * TwiML answering a call by connecting it to our media stream
+ * @param {Object} options
+ * @param {string} options.streamUrl - wss:// URL of the media stream endpoint
+ * @param {Object} [options.parameters] - Passed back in the stream's `start` message as customParameters
+ */
+export function buildStreamTwiML({ streamUrl, parameters = {} }) {
+  const parameterTags = Object.entries(parameters)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `<Parameter name="${escapeXml(name)}" value="${escapeXml(value)}"/>`)
+    .join('')
+
+  return '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<Response><Connect><Stream url="${escapeXml(streamUrl)}">${parameterTags}</Stream></Connect></Response>`
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[char])
+}
+
+/**
+ * Twilio Media Stream Client
+ * Gives a Twilio Media Streams WebSocket the `id` + `emit(event, data)` shape of a Socket.io
+ * socket, so the same session handlers drive phone calls (with TWILIO_AUDIO_FORMAT as the
+ * negotiated audio). Outgoing events are translated:
+ * - `audio-response` / `audio-chunk` / `filler-audio`: μ-law split into `media` frames, followed by a `mark`
+ * - `stop-audio` / `filler-stop`: `clear`, which drops audio Twilio has buffered but not played yet
+ * - `call-ended`: the server hung up (e.g. a tenant limit), so the stream is closed
+ * Text and status events have no phone equivalent and are dropped.
+ */
+export class TwilioMediaStreamClient {
+  /**
+   * @param {import('ws').WebSocket} ws
+   * @param {{streamSid: string, callSid: string}} start - From the stream's `start` message
+   */
+  constructor(ws, { streamSid, callSid }) {
+    this.ws = ws
+    this.streamSid = streamSid
+    this.callSid = callSid
+    this.id = `twilio-${streamSid}`
+    // turnId -> last sequence Twilio reported as played (via echoed marks)
+    this.played = new Map()
+  }
+
+  emit(event, data) {
+    switch (event) {
+      case 'audio-response':
+        this.sendAudio(data, 'greeting')
+        break
+      case 'audio-chunk':
+        this.sendAudio(data.audio, `${data.turnId}:${data.sequence}`)
+        break
+      case 'filler-audio':
+        this.sendAudio(data.audio, `filler:${data.turnId}`)
+        break
+      case 'stop-audio':
+      case 'filler-stop':
+        this.send({ event: 'clear', streamSid: this.streamSid })
+        break
+      case 'call-ended':
+        // Closing the stream makes Twilio move past <Connect> and hang up
+        this.ws.close(1000, data?.reason)
+        break
+      case 'error':
+        log.error('Call error', { sessionId: this.id, code: data?.code, message: data?.message })
+        break
+    }
+  }
+
+  /**
+   * @param {string} audio - Base64 raw 8 kHz μ-law
+   * @param {string} markName - Twilio echoes a mark with this name once the audio has played
+   */
+  sendAudio(audio, markName) {
+    const mulaw = Buffer.from(audio, 'base64')
+    for (let offset = 0; offset < mulaw.length; offset += FRAME_BYTES) {
+      this.send({
+        event: 'media',
+        streamSid: this.streamSid,
+        media: { payload: mulaw.subarray(offset, offset + FRAME_BYTES).toString('base64') }
+      })
+    }
+    this.send({ event: 'mark', streamSid: this.streamSid, mark: { name: markName } })
+  }
+
+  /**
+   * Record a mark Twilio sent back after playing the audio before it
+   */
+  markPlayed(name) {
+    const [turnId, sequence] = String(name).split(':').map(Number)
+    if (Number.isInteger(turnId) && Number.isInteger(sequence)) {
+      this.played.set(turnId, Math.max(sequence, this.played.get(turnId) ?? -1))
+    }
+  }
+
+  /**
+   * Last audio-chunk sequence of a turn that finished playing on the phone
+   * @returns {number|undefined} undefined if nothing of the turn has played yet
+   */
+  playedSequence(turnId) {
+    return this.played.get(turnId)
+  }
+
+  send(message) {
+    // 1 = OPEN
+    if (this.ws.readyState === 1) {
+      this.ws.send(JSON.stringify(message))
+    }
+  }
+}
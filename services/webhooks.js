@@ -0,0 +1,393 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto'
+import { readFileSync, existsSync } from 'fs'
+import { appendFile, mkdir, readFile } from 'fs/promises'
+import path from 'path'
+import fetch from 'node-fetch'
+import { webhookDeliveries } from './metrics.js'
+import { logger } from '../utils/logger.js'
+
+const log = logger.child({ component: 'webhooks' })
+
+/**
+ * Events a subscription can ask for ("*" is all of them). Every payload is
+ * `{ id, type, createdAt, tenantId, data }`; data always has sessionId, callId and agentId.
+ * - `call.started`: `{ transport, callerId, language, startedAt }`
+ * - `call.ended`: `{ reason, startedAt, endedAt, durationMs, transcript, demoRequests, bookings, language }`
+ * - `turn.completed`: `{ turnId, outcome, userText, responseText, latency }` - outcome is
+ *   completed, interrupted (responseText is what the caller heard) or failed
+ * - `error`: `{ code, message }`
+ * - `handoff.requested`: `{ reason, source }`
+ */
+export const WEBHOOK_EVENTS = ['call.started', 'call.ended', 'turn.completed', 'error', 'handoff.requested']
+
+// Sent by POST /webhooks/:id/test only
+export const WEBHOOK_TEST_EVENT = 'webhook.test'
+
+export const DEFAULT_WEBHOOK_SETTINGS = {
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+  // Attempts per delivery before it goes to the dead-letter log
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  // Wait before retry n: retryBaseMs * 2^(n-1), +/- 20% jitter, capped at retryMaxMs
+  retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+  retryMaxMs: 5 * 60 * 1000,
+  // Requests in flight at once, across subscriptions
+  concurrency: Number(process.env.WEBHOOK_CONCURRENCY) || 4,
+  // Deliveries waiting for a free slot; beyond this they are dead-lettered right away
+  maxQueued: 1000
+}
+
+const SIGNATURE_TOLERANCE_SEC = 5 * 60
+
+/**
+ * HMAC-SHA256 of `${timestamp}.${body}` with the subscription secret, as sent in
+ * X-Webhook-Signature ("v1=<hex>")
+ * @param {string} secret
+ * @param {number|string} timestamp - Unix seconds, as sent in X-Webhook-Timestamp
+ * @param {string} body - The raw request body
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return `v1=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+}
+
+/**
+ * Check a received webhook (for receivers written in Node): the signature must match and
+ * the timestamp be within 5 minutes, so a captured request can't be replayed later.
+ * @param {Object} request
+ * @param {string} request.secret
+ * @param {string} request.timestamp - X-Webhook-Timestamp
+ * @param {string} request.signature - X-Webhook-Signature
+ * @param {string} request.body - The raw request body
+ * @param {number} [request.now] - Epoch ms
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature({ secret, timestamp, signature, body, now = Date.now() }) {
+  if (!/^\d+$/.test(timestamp || '') || Math.abs(now / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SEC) {
+    return false
+  }
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body))
+  const received = Buffer.from(String(signature || ''))
+  return received.length === expected.length && timingSafeEqual(received, expected)
+}
+
+// Worth another attempt: network errors and timeouts (no status), 408, 425, 429 and 5xx
+function isRetryable(status) {
+  return !status || status === 408 || status === 425 || status === 429 || status >= 500
+}
+
+/**
+ * Webhook Dispatcher
+ * Posts call lifecycle events to the subscriptions in WEBHOOKS_FILE (JSON):
+ *
+ *   { "webhooks": [{ "id": "crm", "tenantId": "acme", "url": "https://crm.example.com/hooks/voice",
+ *                    "secret": "...", "events": ["call.ended", "handoff.requested"] }] }
+ *
+ * publish() only queues the event: payloads are serialized on a later tick and sent in the
+ * background, so callers (the audio path included) never wait on a subscriber. Failed
+ * attempts are retried with exponential backoff; deliveries that still fail are appended to
+ * DATA_DIR/webhooks/dead-letters.jsonl. Queued and retrying deliveries live in memory and
+ * are lost on restart.
+ */
+export class WebhookDispatcher {
+  constructor({
+    file = process.env.WEBHOOKS_FILE || './webhooks.json',
+    directory = path.join(process.env.DATA_DIR || './data', 'webhooks'),
+    settings = {}
+  } = {}) {
+    this.file = file
+    this.deadLetterFile = path.join(directory, 'dead-letters.jsonl')
+    this.settings = { ...DEFAULT_WEBHOOK_SETTINGS, ...settings }
+    this.webhooks = []
+    // Deliveries waiting for a free slot (retries join once their backoff is over)
+    this.queue = []
+    this.active = 0
+    this.deadLetterWrites = Promise.resolve()
+  }
+
+  /**
+   * Read and validate the subscriptions. A missing file means no webhooks.
+   * @throws {Error} On an invalid file
+   */
+  load() {
+    if (!existsSync(this.file)) {
+      this.webhooks = []
+      return this.webhooks
+    }
+
+    const config = JSON.parse(readFileSync(this.file, 'utf8'))
+    const ids = new Set()
+    const webhooks = (config.webhooks || []).map(definition => {
+      if (typeof definition.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/.test(definition.id) || ids.has(definition.id)) {
+        throw new Error(`${this.file}: webhook id "${definition.id}" must be unique lowercase letters, digits, "-" or "_"`)
+      }
+      ids.add(definition.id)
+      if (typeof definition.tenantId !== 'string' || definition.tenantId === '') {
+        throw new Error(`${this.file}: webhook "${definition.id}" needs a "tenantId"`)
+      }
+      let url
+      try {
+        url = new URL(definition.url)
+      } catch {}
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`${this.file}: webhook "${definition.id}" needs an http(s) "url"`)
+      }
+      if (typeof definition.secret !== 'string' || definition.secret.length < 16) {
+        throw new Error(`${this.file}: webhook "${definition.id}" needs a "secret" of 16+ characters`)
+      }
+      const events = definition.events ?? ['*']
+      if (!Array.isArray(events) || events.length === 0 || events.some(event => event !== '*' && !WEBHOOK_EVENTS.includes(event))) {
+        throw new Error(`${this.file}: webhook "${definition.id}" events must be "*" or among ${WEBHOOK_EVENTS.join(', ')}`)
+      }
+      return {
+        id: definition.id,
+        tenantId: definition.tenantId,
+        url: url.href,
+        secret: definition.secret,
+        events,
+        enabled: definition.enabled !== false
+      }
+    })
+
+    this.webhooks = webhooks
+    log.info('Webhooks loaded', { webhooks: webhooks.map(webhook => webhook.id) })
+    return webhooks
+  }
+
+  /**
+   * A tenant's subscriptions, without their secrets
+   */
+  list(tenantId) {
+    return this.webhooks
+      .filter(webhook => webhook.tenantId === tenantId)
+      .map(({ secret, ...webhook }) => webhook)
+  }
+
+  get(tenantId, id) {
+    return this.webhooks.find(webhook => webhook.tenantId === tenantId && webhook.id === id) || null
+  }
+
+  /**
+   * Queue an event of a call for the tenant's subscribers. Returns right away.
+   * @param {Object} session
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} [data]
+   */
+  publish(session, event, data = {}) {
+    this.dispatch(session.tenant.id, event, { sessionId: session.id, callId: session.callId, agentId: session.agent.id, ...data })
+  }
+
+  /**
+   * Queue an event for the tenant's subscribers. Returns right away.
+   * @param {string} tenantId
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data
+   */
+  dispatch(tenantId, event, data) {
+    const subscribers = this.webhooks.filter(webhook =>
+      webhook.enabled && webhook.tenantId === tenantId && (webhook.events.includes('*') || webhook.events.includes(event))
+    )
+    if (subscribers.length === 0) return
+
+    const payload = { id: randomUUID(), type: event, createdAt: new Date().toISOString(), tenantId, data }
+    setImmediate(() => {
+      let body
+      try {
+        body = JSON.stringify(payload)
+      } catch (error) {
+        log.error('Webhook payload is not serializable', { event, error })
+        return
+      }
+      for (const webhook of subscribers) {
+        this.enqueue({ webhook, eventId: payload.id, event, body, attempts: 0, lastStatus: null, lastError: null })
+      }
+    })
+  }
+
+  enqueue(delivery) {
+    if (this.queue.length >= this.settings.maxQueued) {
+      log.warn('Webhook queue full', { webhookId: delivery.webhook.id, event: delivery.event })
+      delivery.lastError = 'queue full'
+      this.deadLetter(delivery)
+      return
+    }
+    this.queue.push(delivery)
+    this.pump()
+  }
+
+  pump() {
+    while (this.active < this.settings.concurrency && this.queue.length > 0) {
+      const delivery = this.queue.shift()
+      this.active++
+      this.attempt(delivery)
+        .catch(error => {
+          log.error('Webhook delivery crashed', { webhookId: delivery.webhook.id, error })
+        })
+        .finally(() => {
+          this.active--
+          this.pump()
+        })
+    }
+  }
+
+  async attempt(delivery) {
+    const { webhook, event } = delivery
+    delivery.attempts++
+    const result = await this.send(webhook, delivery)
+    delivery.lastStatus = result.status
+    delivery.lastError = result.error
+
+    if (result.delivered) {
+      webhookDeliveries.inc({ event, result: 'delivered' })
+      log.debug('Webhook delivered', { webhookId: webhook.id, event, attempts: delivery.attempts, durationMs: result.durationMs })
+      return
+    }
+
+    if (!isRetryable(result.status) || delivery.attempts >= this.settings.maxAttempts) {
+      log.warn('Webhook delivery failed', { webhookId: webhook.id, event, attempts: delivery.attempts, status: result.status, error: result.error })
+      this.deadLetter(delivery)
+      return
+    }
+
+    webhookDeliveries.inc({ event, result: 'retried' })
+    const delayMs = this.retryDelay(delivery.attempts, result.retryAfterSec)
+    log.debug('Webhook attempt failed, retrying', { webhookId: webhook.id, event, attempts: delivery.attempts, status: result.status, error: result.error, delayMs })
+    // Pending retries don't keep the process alive
+    setTimeout(() => this.enqueue(delivery), delayMs).unref()
+  }
+
+  // A Retry-After the subscriber sends (429, 503) wins over the backoff, within retryMaxMs
+  retryDelay(attempts, retryAfterSec) {
+    const { retryBaseMs, retryMaxMs } = this.settings
+    if (retryAfterSec != null) {
+      return Math.min(retryAfterSec * 1000, retryMaxMs)
+    }
+    const backoff = retryBaseMs * 2 ** (attempts - 1) * (0.8 + Math.random() * 0.4)
+    return Math.round(Math.min(backoff, retryMaxMs))
+  }
+
+  /**
+   * One signed POST
+   * @returns {Promise<{delivered: boolean, status: number|null, error: string|null, durationMs: number, retryAfterSec?: number}>}
+   */
+  async send(webhook, { eventId, event, body, attempts }) {
+    const timestamp = Math.floor(Date.now() / 1000)
+    const startedAt = Date.now()
+    const controller = new AbortController()
+    const timeout = setTimeout(() => controller.abort(), this.settings.timeoutMs)
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'voice-ai-backend-webhooks',
+          'X-Webhook-Id': eventId,
+          'X-Webhook-Event': event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signWebhookPayload(webhook.secret, timestamp, body),
+          'X-Webhook-Attempt': String(attempts)
+        },
+        body,
+        redirect: 'manual',
+        signal: controller.signal
+      })
+      // Only the status matters
+      await response.arrayBuffer().catch(() => {})
+
+      const delivered = response.status >= 200 && response.status < 300
+      // Retry-After in seconds; the HTTP-date form is ignored
+      const retryAfter = response.headers.get('retry-after')
+      return {
+        delivered,
+        status: response.status,
+        error: delivered ? null : `HTTP ${response.status}`,
+        durationMs: Date.now() - startedAt,
+        retryAfterSec: !delivered && /^\d+$/.test(retryAfter || '') ? Number(retryAfter) : undefined
+      }
+    } catch (error) {
+      return {
+        delivered: false,
+        status: null,
+        error: controller.signal.aborted ? `Timed out after ${this.settings.timeoutMs}ms` : error.message,
+        durationMs: Date.now() - startedAt
+      }
+    } finally {
+      clearTimeout(timeout)
+    }
+  }
+
+  /**
+   * Send a webhook.test event once, right now (no retries, no dead letter)
+   * @returns {Promise<{delivered: boolean, status: number|null, error: string|null, durationMs: number}>}
+   */
+  async test(webhook) {
+    const payload = {
+      id: randomUUID(),
+      type: WEBHOOK_TEST_EVENT,
+      createdAt: new Date().toISOString(),
+      tenantId: webhook.tenantId,
+      data: { webhookId: webhook.id }
+    }
+    const { retryAfterSec, ...result } = await this.send(webhook, { eventId: payload.id, event: payload.type, body: JSON.stringify(payload), attempts: 1 })
+    log.info('Webhook test sent', { webhookId: webhook.id, delivered: result.delivered, status: result.status, error: result.error })
+    return { eventId: payload.id, ...result }
+  }
+
+  deadLetter(delivery) {
+    const { webhook, eventId, event, body, attempts, lastStatus, lastError } = delivery
+    webhookDeliveries.inc({ event, result: 'dead-lettered' })
+    const entry = {
+      webhookId: webhook.id,
+      tenantId: webhook.tenantId,
+      url: webhook.url,
+      eventId,
+      event,
+      attempts,
+      lastStatus,
+      lastError,
+      failedAt: new Date().toISOString(),
+      payload: JSON.parse(body)
+    }
+    // One append at a time, so lines never interleave
+    this.deadLetterWrites = this.deadLetterWrites
+      .then(async () => {
+        await mkdir(path.dirname(this.deadLetterFile), { recursive: true })
+        await appendFile(this.deadLetterFile, JSON.stringify(entry) + '\n')
+      })
+      .catch(error => {
+        log.error('Error writing webhook dead letter', { webhookId: webhook.id, eventId, error })
+      })
+  }
+
+  /**
+   * Deliveries that failed for good, newest first
+   * @param {string} tenantId
+   * @param {Object} [options]
+   * @param {string} [options.webhookId]
+   * @param {number} [options.limit]
+   */
+  async listDeadLetters(tenantId, { webhookId, limit = 100 } = {}) {
+    await this.deadLetterWrites
+    let content
+    try {
+      content = await readFile(this.deadLetterFile, 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+
+    const entries = []
+    for (const line of content.split('\n').reverse()) {
+      if (!line.trim()) continue
+      let entry
+      try {
+        entry = JSON.parse(line)
+      } catch {
+        continue
+      }
+      if (entry.tenantId !== tenantId || (webhookId && entry.webhookId !== webhookId)) continue
+      entries.push(entry)
+      if (entries.length >= limit) break
+    }
+    return entries
+  }
+}
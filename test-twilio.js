@@ -0,0 +1,134 @@
+import { WebSocket } from 'ws'
+import { randomUUID } from 'crypto'
+import { readFileSync, writeFileSync } from 'fs'
+import { parseWav, encodeWav } from './utils/wav.js'
+import { pcm16ToSamples, resample, encodeMulaw, decodeMulaw, samplesToPcm16 } from './utils/audio.js'
+
+/**
+ * Fake Twilio client: plays the part of Twilio on a Media Streams connection so phone calls
+ * can be tested locally without a phone number.
+ *
+ *   node test-twilio.js [caller.wav] [--agent tessa] [--token <access token>] [--seconds 20] [--url ws://localhost:3001/twilio/media-stream]
+ *
+ * --token stands in for the token our TwiML passes to the stream (mint one with POST /auth/token).
+ *
+ * Streams caller.wav (or silence) as 8 kHz μ-law in real time, echoes marks back once the
+ * agent's audio would have finished playing, and saves what the agent said to twilio-output.wav.
+ */
+const args = process.argv.slice(2)
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`)
+  return index === -1 ? fallback : args.splice(index, 2)[1]
+}
+const url = option('url', `ws://localhost:${process.env.PORT || 3001}/twilio/media-stream`)
+const agentId = option('agent', undefined)
+const token = option('token', undefined)
+const seconds = parseFloat(option('seconds', '20'))
+const callerFile = args[0]
+
+const FRAME_MS = 20
+const FRAME_BYTES = 160
+
+function loadCallerAudio(file) {
+  if (!file) return Buffer.alloc(0)
+  const wav = parseWav(readFileSync(file))
+  if (!wav || wav.bitsPerSample !== 16) {
+    throw new Error(`${file} must be a 16-bit PCM WAV file`)
+  }
+  return encodeMulaw(resample(pcm16ToSamples(wav.data, wav.channels), wav.sampleRate, 8000))
+}
+
+async function testTwilio() {
+  const callerAudio = loadCallerAudio(callerFile)
+  const streamSid = `MZ${randomUUID().replace(/-/g, '')}`
+  const callSid = `CA${randomUUID().replace(/-/g, '')}`
+  const received = []
+  const counts = {}
+  let playbackEndsAt = Date.now()
+
+  console.log(`Connecting to ${url}...`)
+  const ws = new WebSocket(url)
+  const send = (message) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message))
+    }
+  }
+
+  ws.on('message', (message) => {
+    const data = JSON.parse(message.toString())
+    counts[data.event] = (counts[data.event] || 0) + 1
+
+    if (data.event === 'media') {
+      const audio = Buffer.from(data.media.payload, 'base64')
+      received.push(audio)
+      // Twilio plays audio back-to-back at 8000 bytes per second
+      playbackEndsAt = Math.max(playbackEndsAt, Date.now()) + audio.length / 8
+    } else if (data.event === 'mark') {
+      // Echo the mark when everything sent before it has played, like Twilio does
+      const delay = Math.max(0, playbackEndsAt - Date.now())
+      setTimeout(() => {
+        console.log(`🔖 Played: ${data.mark.name}`)
+        send({ event: 'mark', sequenceNumber: '0', streamSid, mark: data.mark })
+      }, delay)
+    } else if (data.event === 'clear') {
+      console.log('✋ Server cleared buffered audio')
+      playbackEndsAt = Date.now()
+    }
+  })
+
+  ws.on('close', (code, reason) => {
+    if (code !== 1000 && code !== 1005) {
+      console.log(`❌ Server closed the stream: ${code} ${reason}`)
+    }
+  })
+
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve)
+    ws.once('error', reject)
+  })
+  console.log('✅ Connected')
+
+  send({ event: 'connected', protocol: 'Call', version: '1.0.0' })
+  send({
+    event: 'start',
+    sequenceNumber: '1',
+    streamSid,
+    start: {
+      streamSid,
+      callSid,
+      accountSid: 'ACfake',
+      tracks: ['inbound'],
+      customParameters: { ...(agentId && { agentId }), ...(token && { token }) },
+      mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 }
+    }
+  })
+
+  // Caller audio in 20 ms frames, then silence until the call ends
+  const totalFrames = Math.ceil((seconds * 1000) / FRAME_MS)
+  for (let frame = 0; frame < totalFrames && ws.readyState === WebSocket.OPEN; frame++) {
+    const offset = frame * FRAME_BYTES
+    const payload = offset < callerAudio.length
+      ? callerAudio.subarray(offset, offset + FRAME_BYTES)
+      : Buffer.alloc(FRAME_BYTES, 0xff) // μ-law silence
+    send({
+      event: 'media',
+      sequenceNumber: String(frame + 2),
+      streamSid,
+      media: { track: 'inbound', chunk: String(frame + 1), timestamp: String(frame * FRAME_MS), payload: payload.toString('base64') }
+    })
+    await new Promise(resolve => setTimeout(resolve, FRAME_MS))
+  }
+
+  send({ event: 'stop', streamSid, stop: { callSid, accountSid: 'ACfake' } })
+  ws.close()
+
+  const output = Buffer.concat(received)
+  writeFileSync('twilio-output.wav', encodeWav(samplesToPcm16(decodeMulaw(output)), { sampleRate: 8000 }))
+  console.log('Messages received:', counts)
+  console.log(`💾 Saved ${(output.length / 8000).toFixed(1)}s of agent audio to twilio-output.wav`)
+}
+
+testTwilio().catch(error => {
+  console.error('❌ Fake Twilio call failed:', error.message)
+  process.exit(1)
+})
@@ -0,0 +1,64 @@
+import { BookingError, BookingErrorCodes, pickSlotsToOffer } from '../services/demo-scheduler.js'
+import { isValidTimeZone } from '../utils/time-zone.js'
+
+/**
+ * book_demo - book one of the times find_demo_slots offered.
+ * The booking is linked to the call (callId, sessionId) and listed on the session, so it is
+ * saved with the call record; the rep gets an .ics invite.
+ */
+export const bookDemoTool = {
+  name: 'book_demo',
+  description: 'Book a product demo at one of the times returned by find_demo_slots, once the caller has picked a time and told you their name. Ask for an email address for the calendar invite.',
+  acknowledgement: 'Great, let me book that for you.',
+  parameters: {
+    type: 'object',
+    properties: {
+      start: { type: 'string', description: 'The "start" value of the slot the caller picked, exactly as find_demo_slots returned it' },
+      name: { type: 'string', description: "Caller's name" },
+      email: { type: 'string', description: 'Email address for the calendar invite, if the caller gave one' },
+      company: { type: 'string', description: "Caller's company" },
+      notes: { type: 'string', description: 'Anything the sales rep should know' },
+      timeZone: { type: 'string', description: 'Caller\'s IANA time zone, if you know it' }
+    },
+    required: ['start', 'name']
+  },
+  async handler({ start, name, email, company, notes, timeZone }, { session, scheduler, log }) {
+    if (!scheduler || scheduler.reps.length === 0) {
+      return { status: 'unavailable', message: 'Demos cannot be booked right now. Use request_demo so the sales team follows up instead.' }
+    }
+    const zone = timeZone && isValidTimeZone(timeZone) ? timeZone : scheduler.timeZone
+
+    let booking
+    try {
+      booking = await scheduler.book({
+        tenantId: session.tenant.id,
+        start,
+        attendee: { name, email, company },
+        notes,
+        timeZone: zone,
+        call: { callId: session.callId, sessionId: session.id, agentId: session.agent?.id }
+      })
+    } catch (error) {
+      if (!(error instanceof BookingError)) throw error
+      if (error.code !== BookingErrorCodes.SlotUnavailable) {
+        return { error: error.message }
+      }
+      const alternatives = pickSlotsToOffer(await scheduler.getOpenSlots({ limit: 100 }), zone)
+      return {
+        status: 'unavailable',
+        message: `${error.message}. Offer the caller one of these times instead.`,
+        slots: alternatives.map(slot => ({ start: slot.start, spoken: scheduler.formatSpoken(slot.start, zone) }))
+      }
+    }
+
+    session.bookings.push({ id: booking.id, start: booking.start, repId: booking.rep.id })
+    log?.info('Demo booked on the call', { bookingId: booking.id, start: booking.start })
+    return {
+      status: 'booked',
+      bookingId: booking.id,
+      when: scheduler.formatSpoken(booking.start, zone),
+      with: booking.rep.name,
+      message: booking.attendee.email ? 'Confirm the time; the calendar invite goes to their email.' : 'Confirm the time.'
+    }
+  }
+}
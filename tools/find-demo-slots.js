@@ -0,0 +1,46 @@
+import { pickSlotsToOffer } from '../services/demo-scheduler.js'
+import { isValidTimeZone, zonedTimeToDate } from '../utils/time-zone.js'
+
+/**
+ * find_demo_slots - the next open demo times with the sales team, worded to be read out.
+ * A few are offered (one per morning/afternoon); book_demo books the one the caller picks.
+ */
+export const findDemoSlotsTool = {
+  name: 'find_demo_slots',
+  description: 'Find open times for a product demo with the Apex Solutions sales team. Call this when the caller wants to book a demo, then read them the options and book the one they pick with book_demo.',
+  acknowledgement: 'Let me check the calendar.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timeZone: { type: 'string', description: 'Caller\'s IANA time zone (e.g. "America/Chicago") if you know it; times are worded in it' },
+      after: { type: 'string', description: 'Only times from this day on, as YYYY-MM-DD, when the caller asked for a later day' }
+    }
+  },
+  async handler({ timeZone, after }, { scheduler, log }) {
+    if (!scheduler || scheduler.reps.length === 0) {
+      return { status: 'unavailable', message: 'Demos cannot be booked right now. Use request_demo so the sales team follows up instead.' }
+    }
+    const zone = timeZone && isValidTimeZone(timeZone) ? timeZone : scheduler.timeZone
+
+    let from = new Date()
+    if (after) {
+      const match = after.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+      if (!match) {
+        return { error: '"after" must be a date like 2025-03-14' }
+      }
+      from = zonedTimeToDate({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]), hour: 0, minute: 0 }, zone)
+    }
+
+    const slots = pickSlotsToOffer(await scheduler.getOpenSlots({ from, limit: 100 }), zone)
+    log?.info('Demo slots found', { offered: slots.length, timeZone: zone })
+    if (slots.length === 0) {
+      return { status: 'unavailable', message: 'No open demo times in the next two weeks. Use request_demo so the sales team follows up instead.' }
+    }
+    return {
+      status: 'ok',
+      today: new Intl.DateTimeFormat('en-US', { timeZone: zone, dateStyle: 'full' }).format(new Date()),
+      timeZone: zone,
+      slots: slots.map(slot => ({ start: slot.start, spoken: scheduler.formatSpoken(slot.start, zone) }))
+    }
+  }
+}
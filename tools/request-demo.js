@@ -0,0 +1,27 @@
+/**
+ * request_demo - record that the caller wants a demo with the sales team.
+ * The request is kept on the session and saved with the call record.
+ */
+export const requestDemoTool = {
+  name: 'request_demo',
+  description: 'Record a request for a product demo with the Apex Solutions sales team. Call this once the caller has agreed to a demo and you know their name.',
+  acknowledgement: 'Sure, let me set that up for you.',
+  parameters: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: "Caller's name" },
+      company: { type: 'string', description: "Caller's company" },
+      email: { type: 'string', description: 'Email address for the invite, if the caller gave one' },
+      preferredTime: { type: 'string', description: 'When the caller would like the demo, in their own words' },
+      notes: { type: 'string', description: 'Anything the sales team should know' }
+    },
+    required: ['name']
+  },
+  async handler(args, { session, log }) {
+    const request = { ...args, requestedAt: new Date().toISOString() }
+    session.demoRequests.push(request)
+
+    log?.info('Demo requested', { request })
+    return { status: 'requested', message: 'The sales team will reach out to confirm a time.' }
+  }
+}
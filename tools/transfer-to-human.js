@@ -0,0 +1,26 @@
+/**
+ * transfer_to_human - hand the call over to a live agent.
+ * The request is kept on the session; once the turn is over the server puts the call in
+ * the human-agent queue and the caller hears hold messaging until someone accepts it.
+ */
+export const transferToHumanTool = {
+  name: 'transfer_to_human',
+  description: 'Transfer the caller to a live member of the Apex Solutions team. Call this when the caller asks for a human, or when you cannot help with their request and they agree to be connected.',
+  acknowledgement: 'Of course, let me connect you with someone from the team.',
+  parameters: {
+    type: 'object',
+    properties: {
+      reason: { type: 'string', description: 'What the caller needs help with, for the person picking up the call' }
+    },
+    required: ['reason']
+  },
+  async handler({ reason }, { session, log }) {
+    if (!session.agent?.handoff?.enabled) {
+      return { status: 'unavailable', message: 'Nobody from the team can take calls right now. Offer to take a message or book a demo instead.' }
+    }
+    session.handoffRequest = { reason, source: 'llm' }
+
+    log?.info('Transfer to a human requested', { reason })
+    return { status: 'transferring', message: 'Tell the caller you are connecting them with the team and ask them to hold for a moment.' }
+  }
+}
@@ -0,0 +1,166 @@
+import { parseWav, encodeWav, getWavDuration } from './wav.js'
+import { pcm16ToSamples, samplesToPcm16, resample, encodeMulaw, decodeMulaw } from './audio.js'
+
+/**
+ * Audio Format Negotiation
+ * Clients describe the audio they send and want back on `call-start`:
+ *
+ *   audio: {
+ *     input: { encoding: 'linear16', sampleRate: 16000, channels: 1 },
+ *     output: { container: 'wav', encoding: 'pcm_s16le', sampleRate: 24000 }
+ *   }
+ *
+ * Input is either containerized (webm, ogg - the STT provider reads the format from the
+ * stream) or raw (linear16, mulaw), which needs its sample rate and channels spelled out.
+ */
+
+// Containerized input carries its own format; raw input must describe it
+const CONTAINER_INPUT_ENCODINGS = ['webm', 'ogg']
+const RAW_INPUT_ENCODINGS = ['linear16', 'mulaw']
+
+export const OUTPUT_CONTAINERS = ['wav', 'raw']
+export const OUTPUT_ENCODINGS = ['pcm_s16le', 'pcm_mulaw']
+// Rates every TTS provider can produce
+export const OUTPUT_SAMPLE_RATES = [8000, 16000, 22050, 24000, 44100, 48000]
+
+export const DEFAULT_OUTPUT_FORMAT = { container: 'wav', encoding: 'pcm_s16le', sampleRate: 16000 }
+
+// WAV fmt audioFormat codes
+const WAV_PCM = 1
+const WAV_MULAW = 7
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Validate a call-start audio descriptor and fill in defaults
+ * @param {Object} [descriptor] - { input?, output? }
+ * @returns {{input: Object|null, output: Object, errors: string[]}}
+ *   input is null when the STT provider should detect the format itself
+ */
+export function resolveAudioFormat(descriptor) {
+  const errors = []
+
+  if (descriptor === undefined || descriptor === null) {
+    return { input: null, output: { ...DEFAULT_OUTPUT_FORMAT }, errors }
+  }
+  if (!isPlainObject(descriptor)) {
+    return { input: null, output: { ...DEFAULT_OUTPUT_FORMAT }, errors: ['"audio" must be an object with "input" and/or "output"'] }
+  }
+  // A string or number would spread into nothing and quietly leave the defaults in place
+  for (const side of ['input', 'output']) {
+    if (descriptor[side] !== undefined && !isPlainObject(descriptor[side])) {
+      errors.push(`"audio.${side}" must be an object`)
+    }
+  }
+  if (errors.length > 0) {
+    return { input: null, output: { ...DEFAULT_OUTPUT_FORMAT }, errors }
+  }
+
+  let input = null
+  if (descriptor.input !== undefined) {
+    const { encoding, sampleRate, channels = 1 } = descriptor.input
+
+    if (CONTAINER_INPUT_ENCODINGS.includes(encoding)) {
+      input = { encoding }
+    } else if (RAW_INPUT_ENCODINGS.includes(encoding)) {
+      if (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 48000) {
+        errors.push(`"audio.input.sampleRate" must be an integer between 8000 and 48000 for ${encoding}`)
+      }
+      if (channels !== 1 && !(encoding === 'linear16' && channels === 2)) {
+        errors.push(`"audio.input.channels" must be 1${encoding === 'linear16' ? ' or 2' : ''} for ${encoding}`)
+      }
+      input = { encoding, sampleRate, channels }
+    } else {
+      errors.push(`"audio.input.encoding" must be one of ${[...CONTAINER_INPUT_ENCODINGS, ...RAW_INPUT_ENCODINGS].join(', ')}`)
+    }
+  }
+
+  const output = { ...DEFAULT_OUTPUT_FORMAT, ...descriptor.output }
+  if (!OUTPUT_CONTAINERS.includes(output.container)) {
+    errors.push(`"audio.output.container" must be one of ${OUTPUT_CONTAINERS.join(', ')}`)
+  }
+  if (!OUTPUT_ENCODINGS.includes(output.encoding)) {
+    errors.push(`"audio.output.encoding" must be one of ${OUTPUT_ENCODINGS.join(', ')}`)
+  }
+  if (!OUTPUT_SAMPLE_RATES.includes(output.sampleRate)) {
+    errors.push(`"audio.output.sampleRate" must be one of ${OUTPUT_SAMPLE_RATES.join(', ')}`)
+  }
+
+  return { input, output: { container: output.container, encoding: output.encoding, sampleRate: output.sampleRate }, errors }
+}
+
+/**
+ * Encode mono samples in an output format
+ * @param {Int16Array} samples - Samples at format.sampleRate
+ * @param {{container: string, encoding: string, sampleRate: number}} format
+ * @returns {Buffer}
+ */
+export function encodeAudio(samples, format) {
+  const mulaw = format.encoding === 'pcm_mulaw'
+  const data = mulaw ? encodeMulaw(samples) : samplesToPcm16(samples)
+
+  if (format.container === 'raw') {
+    return data
+  }
+  return encodeWav(data, {
+    sampleRate: format.sampleRate,
+    bitsPerSample: mulaw ? 8 : 16,
+    audioFormat: mulaw ? WAV_MULAW : WAV_PCM
+  })
+}
+
+/**
+ * Decode audio in one of our formats to mono samples
+ * @param {Buffer} buffer
+ * @param {Object} [format] - Needed for raw audio; WAV describes itself
+ * @returns {{samples: Int16Array, sampleRate: number}|null} null for formats we can't decode (e.g. MP3)
+ */
+export function decodeAudio(buffer, format) {
+  const wav = parseWav(buffer)
+  if (wav) {
+    if (wav.audioFormat === WAV_PCM && wav.bitsPerSample === 16) {
+      return { samples: pcm16ToSamples(wav.data, wav.channels), sampleRate: wav.sampleRate }
+    }
+    if (wav.audioFormat === WAV_MULAW && wav.bitsPerSample === 8 && wav.channels === 1) {
+      return { samples: decodeMulaw(wav.data), sampleRate: wav.sampleRate }
+    }
+    return null
+  }
+
+  if (format?.container === 'raw' && format.encoding === 'pcm_s16le') {
+    return { samples: pcm16ToSamples(buffer), sampleRate: format.sampleRate }
+  }
+  if (format?.container === 'raw' && format.encoding === 'pcm_mulaw') {
+    return { samples: decodeMulaw(buffer), sampleRate: format.sampleRate }
+  }
+  return null
+}
+
+/**
+ * Convert audio (e.g. a pre-recorded WAV greeting) to an output format
+ * @returns {Buffer|null} null if the source can't be decoded
+ */
+export function transcodeAudio(buffer, format, sourceFormat) {
+  const decoded = decodeAudio(buffer, sourceFormat)
+  if (!decoded) return null
+  return encodeAudio(resample(decoded.samples, decoded.sampleRate, format.sampleRate), format)
+}
+
+/**
+ * Playback duration of a clip
+ * @param {Buffer} buffer
+ * @param {Object} [format]
+ * @returns {number} Milliseconds, or 0 when unknown (e.g. MP3)
+ */
+export function getAudioDuration(buffer, format) {
+  if (parseWav(buffer)) {
+    return getWavDuration(buffer)
+  }
+  if (format?.container === 'raw' && OUTPUT_ENCODINGS.includes(format.encoding)) {
+    const bytesPerSample = format.encoding === 'pcm_mulaw' ? 1 : 2
+    return (buffer.length / bytesPerSample / format.sampleRate) * 1000
+  }
+  return 0
+}
@@ -0,0 +1,170 @@
+/**
+ * PCM Audio Utilities
+ * Sample conversion, resampling and mixing for 16-bit linear PCM, plus G.711 μ-law for telephony
+ */
+
+/**
+ * Decode little-endian 16-bit PCM into mono samples, averaging channels
+ * @param {Buffer} pcm - Interleaved s16le samples
+ * @param {number} [channels=1]
+ * @returns {Int16Array}
+ */
+export function pcm16ToSamples(pcm, channels = 1) {
+  const frameCount = Math.floor(pcm.length / (2 * channels))
+  const samples = new Int16Array(frameCount)
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0
+    for (let channel = 0; channel < channels; channel++) {
+      sum += pcm.readInt16LE((frame * channels + channel) * 2)
+    }
+    samples[frame] = Math.round(sum / channels)
+  }
+
+  return samples
+}
+
+/**
+ * Encode samples as little-endian 16-bit PCM
+ * @param {Int16Array} samples
+ * @returns {Buffer}
+ */
+export function samplesToPcm16(samples) {
+  const pcm = Buffer.alloc(samples.length * 2)
+  for (let i = 0; i < samples.length; i++) {
+    pcm.writeInt16LE(samples[i], i * 2)
+  }
+  return pcm
+}
+
+/**
+ * Change the sample rate (good enough for speech). Upsampling interpolates linearly;
+ * downsampling averages the input covered by each output sample so high frequencies
+ * don't fold back as noise (e.g. 44.1 kHz greeting -> 8 kHz phone audio).
+ * @param {Int16Array} samples
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Int16Array}
+ */
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate || samples.length === 0) {
+    return samples
+  }
+
+  const ratio = fromRate / toRate
+  const outputLength = Math.max(1, Math.round(samples.length / ratio))
+  const output = new Int16Array(outputLength)
+
+  if (ratio > 1) {
+    for (let i = 0; i < outputLength; i++) {
+      const start = Math.floor(i * ratio)
+      const end = Math.min(samples.length, Math.max(start + 1, Math.floor((i + 1) * ratio)))
+      let sum = 0
+      for (let j = start; j < end; j++) {
+        sum += samples[j]
+      }
+      output[i] = Math.round(sum / (end - start))
+    }
+    return output
+  }
+
+  for (let i = 0; i < outputLength; i++) {
+    const position = i * ratio
+    const index = Math.floor(position)
+    const fraction = position - index
+    const current = samples[Math.min(index, samples.length - 1)]
+    const next = samples[Math.min(index + 1, samples.length - 1)]
+    output[i] = Math.round(current + (next - current) * fraction)
+  }
+
+  return output
+}
+
+/**
+ * Add samples into a 32-bit accumulator track at an offset (the caller clamps once at the end)
+ * @param {Int32Array} track
+ * @param {Int16Array} samples
+ * @param {number} offset - Index in track where samples start
+ */
+export function mixInto(track, samples, offset) {
+  const start = Math.max(0, offset)
+  const end = Math.min(track.length, offset + samples.length)
+  for (let i = start; i < end; i++) {
+    track[i] += samples[i - offset]
+  }
+}
+
+/**
+ * Clamp an accumulator track back to 16-bit samples
+ * @param {Int32Array} track
+ * @returns {Int16Array}
+ */
+export function clampToInt16(track) {
+  const output = new Int16Array(track.length)
+  for (let i = 0; i < track.length; i++) {
+    output[i] = Math.max(-32768, Math.min(32767, track[i]))
+  }
+  return output
+}
+
+/**
+ * Interleave two mono tracks into stereo
+ * @param {Int16Array} left
+ * @param {Int16Array} right
+ * @returns {Int16Array}
+ */
+export function interleaveStereo(left, right) {
+  const length = Math.max(left.length, right.length)
+  const output = new Int16Array(length * 2)
+  for (let i = 0; i < length; i++) {
+    output[i * 2] = left[i] || 0
+    output[i * 2 + 1] = right[i] || 0
+  }
+  return output
+}
+
+const MULAW_BIAS = 0x84
+const MULAW_CLIP = 32635
+
+/**
+ * Encode samples as G.711 μ-law (one byte per sample), the format of phone audio
+ * @param {Int16Array} samples
+ * @returns {Buffer}
+ */
+export function encodeMulaw(samples) {
+  const output = Buffer.alloc(samples.length)
+
+  for (let i = 0; i < samples.length; i++) {
+    let sample = samples[i]
+    const sign = sample < 0 ? 0x80 : 0
+    if (sign) sample = -sample
+    sample = Math.min(sample, MULAW_CLIP) + MULAW_BIAS
+
+    let exponent = 7
+    for (let mask = 0x4000; exponent > 0 && (sample & mask) === 0; mask >>= 1) {
+      exponent--
+    }
+    const mantissa = (sample >> (exponent + 3)) & 0x0f
+    output[i] = ~(sign | (exponent << 4) | mantissa) & 0xff
+  }
+
+  return output
+}
+
+/**
+ * Decode G.711 μ-law bytes to samples
+ * @param {Buffer|Uint8Array} mulaw
+ * @returns {Int16Array}
+ */
+export function decodeMulaw(mulaw) {
+  const samples = new Int16Array(mulaw.length)
+
+  for (let i = 0; i < mulaw.length; i++) {
+    const byte = ~mulaw[i] & 0xff
+    const exponent = (byte >> 4) & 0x07
+    const magnitude = ((((byte & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS
+    samples[i] = byte & 0x80 ? -magnitude : magnitude
+  }
+
+  return samples
+}
@@ -0,0 +1,105 @@
+/**
+ * BM25 Index
+ * In-process lexical ranking (Okapi BM25) for short passages: no embeddings, no external
+ * service. Good enough for product documentation, where questions share words with the
+ * answer ("Pro plan price" → the pricing section).
+ */
+
+// Words too common to say anything about relevance
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'do', 'does',
+  'for', 'from', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or',
+  'our', 'so', 'that', 'the', 'their', 'there', 'this', 'to', 'was', 'we', 'what', 'when', 'which',
+  'who', 'will', 'with', 'would', 'you', 'your'
+])
+
+/**
+ * Lowercased words in any script without stop words, accents dropped ("económico" and "economico"
+ * match) and plurals folded ("plans" → "plan", "companies" → "company")
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const folded = String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+  return (folded.match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => !STOP_WORDS.has(word))
+    .map(stem)
+}
+
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y'
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1)
+  return word
+}
+
+export class BM25Index {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.k1] - Term frequency saturation
+   * @param {number} [options.b] - Length normalization
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1
+    this.b = b
+    this.documents = []
+    // term -> number of documents containing it
+    this.documentFrequency = new Map()
+    this.totalLength = 0
+  }
+
+  get size() {
+    return this.documents.length
+  }
+
+  /**
+   * @param {string} text - What is matched against queries
+   * @param {Object} [data] - Returned with the document's search results
+   */
+  add(text, data = {}) {
+    const terms = tokenize(text)
+    const termFrequency = new Map()
+    for (const term of terms) {
+      termFrequency.set(term, (termFrequency.get(term) || 0) + 1)
+    }
+    for (const term of termFrequency.keys()) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1)
+    }
+
+    this.documents.push({ length: terms.length, termFrequency, data })
+    this.totalLength += terms.length
+  }
+
+  /**
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @returns {{score: number, data: Object}[]} Best first, only documents sharing a term with the query
+   */
+  search(query, { limit = 3 } = {}) {
+    const terms = [...new Set(tokenize(query))]
+    if (terms.length === 0 || this.documents.length === 0) return []
+
+    const count = this.documents.length
+    const averageLength = this.totalLength / count
+    const idf = new Map(terms.map(term => {
+      const frequency = this.documentFrequency.get(term) || 0
+      return [term, Math.log(1 + (count - frequency + 0.5) / (frequency + 0.5))]
+    }))
+
+    const results = []
+    for (const document of this.documents) {
+      let score = 0
+      for (const term of terms) {
+        const frequency = document.termFrequency.get(term)
+        if (!frequency) continue
+        const normalization = this.k1 * (1 - this.b + this.b * document.length / averageLength)
+        score += idf.get(term) * frequency * (this.k1 + 1) / (frequency + normalization)
+      }
+      if (score > 0) {
+        results.push({ score, data: document.data })
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit)
+  }
+}
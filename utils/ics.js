@@ -0,0 +1,72 @@
+// iCalendar (RFC 5545) invites for booked demos
+
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+function escapeText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const bytes = Buffer.from(line)
+  if (bytes.length <= 75) return line
+
+  const chunks = []
+  let start = 0
+  while (start < bytes.length) {
+    let end = Math.min(start + (chunks.length === 0 ? 75 : 74), bytes.length)
+    // Don't split a UTF-8 character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--
+    chunks.push(bytes.subarray(start, end).toString())
+    start = end
+  }
+  return chunks.join('\r\n ')
+}
+
+// CN is a parameter, not a TEXT value: quoted so ":", ";" and "," are safe. A quoted
+// parameter can't hold DQUOTE (dropped) or control characters (line breaks become spaces).
+function formatPerson(role, { name, email }) {
+  const cn = String(name).replace(/"/g, '').replace(/[\x00-\x1f\x7f]+/g, ' ')
+  return `${role};CN="${cn}":mailto:${email}`
+}
+
+/**
+ * Build an .ics file with one event
+ * @param {Object} event
+ * @param {string} event.uid - Stable across updates, so calendars replace the event
+ * @param {string|Date} event.start
+ * @param {string|Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {{name: string, email: string}} [event.organizer]
+ * @param {{name: string, email?: string}} [event.attendee] - Left out without an email
+ * @param {'CONFIRMED'|'CANCELLED'} [event.status]
+ * @param {number} [event.sequence] - Bumped on every change (0 when created)
+ * @param {string|Date} [event.stamp] - When this version was made
+ * @returns {string}
+ */
+export function buildInvite({ uid, start, end, summary, description, organizer, attendee, status = 'CONFIRMED', sequence = 0, stamp = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Voice AI Backend//Demo Booking//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${status === 'CANCELLED' ? 'CANCEL' : 'REQUEST'}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(organizer ? [formatPerson('ORGANIZER', organizer)] : []),
+    ...(attendee?.email ? [formatPerson('ATTENDEE;ROLE=REQ-PARTICIPANT;RSVP=TRUE', attendee)] : []),
+    `STATUS:${status}`,
+    `SEQUENCE:${sequence}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ]
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
@@ -0,0 +1,76 @@
+/**
+ * Structured Logger
+ * One JSON object per line on stdout (warnings and errors on stderr):
+ *
+ *   {"time":"2026-01-01T12:00:00.000Z","level":"info","msg":"Call started","sessionId":"abc","agentId":"tessa"}
+ *
+ * LOG_LEVEL (debug, info, warn, error, silent; default info) drops everything below it.
+ * child() binds fields such as sessionId / turnId to every line it writes.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity }
+
+function getLevel(name) {
+  return LEVELS[String(name || 'info').toLowerCase()] ?? LEVELS.info
+}
+
+// Errors don't survive JSON.stringify; keep what helps debugging
+function serialize(value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined && { code: value.code }),
+      ...(value.status !== undefined && { status: value.status }),
+      stack: value.stack
+    }
+  }
+  return value
+}
+
+export class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level] - Minimum level (default: LOG_LEVEL)
+   * @param {Object} [options.fields] - Added to every line
+   */
+  constructor({ level = process.env.LOG_LEVEL, fields = {} } = {}) {
+    this.level = getLevel(level)
+    this.fields = fields
+  }
+
+  /**
+   * A logger that adds `fields` to every line (and shares this one's level)
+   */
+  child(fields) {
+    const child = new Logger({ fields: { ...this.fields, ...fields } })
+    child.level = this.level
+    return child
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= this.level
+  }
+
+  debug(msg, fields) { this.write('debug', msg, fields) }
+  info(msg, fields) { this.write('info', msg, fields) }
+  warn(msg, fields) { this.write('warn', msg, fields) }
+  error(msg, fields) { this.write('error', msg, fields) }
+
+  write(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return
+
+    const entry = { time: new Date().toISOString(), level, msg }
+    for (const [key, value] of Object.entries({ ...this.fields, ...fields })) {
+      if (value !== undefined) {
+        entry[key] = serialize(value)
+      }
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout
+    stream.write(JSON.stringify(entry) + '\n')
+  }
+}
+
+// Process-wide logger; modules take a child with their own fields
+export const logger = new Logger()
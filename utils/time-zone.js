@@ -0,0 +1,120 @@
+// Calendar math in IANA time zones with Intl alone (no date library)
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+const partFormatters = new Map()
+
+/**
+ * @param {string} timeZone
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: string}}
+ *   month 1-12, weekday "mon".."sun"
+ */
+export function getZonedParts(date, timeZone) {
+  if (!partFormatters.has(timeZone)) {
+    partFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }))
+  }
+  const parts = Object.fromEntries(partFormatters.get(timeZone).formatToParts(date).map(({ type, value }) => [type, value]))
+  const year = Number(parts.year)
+  const month = Number(parts.month)
+  const day = Number(parts.day)
+  return {
+    year,
+    month,
+    day,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()]
+  }
+}
+
+// How far ahead of UTC the zone's clock is at an instant, in ms
+function getOffsetMs(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone)
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000
+}
+
+/**
+ * The instant a wall-clock time happens in a time zone. A wall time skipped by a DST change
+ * (2:30 AM on a spring-forward night) lands an hour off.
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} wallTime - month 1-12
+ * @param {string} timeZone
+ */
+export function zonedTimeToDate({ year, month, day, hour, minute }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute)
+  const offset = getOffsetMs(new Date(asUtc), timeZone)
+  const corrected = getOffsetMs(new Date(asUtc - offset), timeZone)
+  return new Date(asUtc - corrected)
+}
+
+/**
+ * The calendar day `days` after a date (month and year roll over)
+ * @param {{year: number, month: number, day: number}} date
+ * @param {number} days
+ */
+export function addDays({ year, month, day }, days) {
+  const shifted = new Date(Date.UTC(year, month - 1, day + days))
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    weekday: WEEKDAYS[shifted.getUTCDay()]
+  }
+}
+
+function ordinal(day) {
+  const suffix = day % 100 >= 11 && day % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th'
+  return `${day}${suffix}`
+}
+
+/**
+ * A time the way you'd say it on the phone: "tomorrow at 2:30 PM Eastern Time",
+ * "Thursday, October 23rd at 10 AM Central European Time"
+ * @param {Date} date
+ * @param {string} timeZone - The listener's time zone
+ * @param {Date} [now]
+ */
+export function formatSpokenTime(date, timeZone, now = new Date()) {
+  const target = getZonedParts(date, timeZone)
+  const today = getZonedParts(now, timeZone)
+  const dayDiff = Math.round((Date.UTC(target.year, target.month - 1, target.day) - Date.UTC(today.year, today.month - 1, today.day)) / 86400000)
+
+  const dayName = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'long' }).format(date)
+  const monthName = new Intl.DateTimeFormat('en-US', { timeZone, month: 'long' }).format(date)
+  const day = dayDiff === 0 ? 'today' : dayDiff === 1 ? 'tomorrow' : `${dayName}, ${monthName} ${ordinal(target.day)}`
+
+  const hour12 = target.hour % 12 || 12
+  const time = target.hour === 12 && target.minute === 0
+    ? 'noon'
+    : `${hour12}${target.minute ? `:${String(target.minute).padStart(2, '0')}` : ''} ${target.hour < 12 ? 'AM' : 'PM'}`
+
+  const zoneName = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longGeneric' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName')?.value || timeZone
+
+  return `${day} at ${time} ${zoneName}`
+}
@@ -0,0 +1,128 @@
+/**
+ * Ordered TTS Queue
+ * Synthesizes sentences with a capped number of concurrent TTS requests
+ * and delivers the audio in the same order the sentences were queued
+ */
+
+export class TTSQueue {
+  /**
+   * @param {(text: string) => Promise<Object>} synthesize - Returns the synthesized clip for a sentence
+   * @param {Object} options
+   * @param {number} [options.concurrency=2] - Max TTS requests in flight (Cartesia allows 2)
+   * @param {(chunk: {sequence: number, text: string, clip: Object}) => void} [options.onAudio]
+   * @param {(failure: {sequence: number, text: string, error: Error}) => void} [options.onError]
+   */
+  constructor(synthesize, { concurrency = 2, onAudio = () => {}, onError = () => {} } = {}) {
+    this.synthesize = synthesize
+    this.concurrency = Math.max(1, concurrency)
+    this.onAudio = onAudio
+    this.onError = onError
+
+    this.items = []
+    this.active = 0
+    this.nextToStart = 0
+    this.nextToDeliver = 0
+    this.delivered = 0
+    this.closed = false
+    this.cancelled = false
+    this.drainResolvers = []
+  }
+
+  /**
+   * Queue a sentence for synthesis
+   * @param {string} text - Sentence to speak
+   * @returns {number} Sequence number of the sentence within this queue
+   */
+  push(text) {
+    if (this.closed) {
+      throw new Error('TTSQueue is closed')
+    }
+
+    const sequence = this.items.length
+    this.items.push({ sequence, text, status: 'pending', clip: null, error: null })
+    this.pump()
+    return sequence
+  }
+
+  /**
+   * Start pending syntheses until the concurrency cap is reached
+   */
+  pump() {
+    while (!this.cancelled && this.active < this.concurrency && this.nextToStart < this.items.length) {
+      const item = this.items[this.nextToStart++]
+      item.status = 'running'
+      this.active++
+
+      Promise.resolve()
+        .then(() => this.synthesize(item.text))
+        .then((clip) => {
+          item.status = 'done'
+          item.clip = clip
+        })
+        .catch((error) => {
+          item.status = 'failed'
+          item.error = error
+        })
+        .finally(() => {
+          this.active--
+          this.flush()
+          this.pump()
+        })
+    }
+  }
+
+  /**
+   * Deliver every finished item at the head of the queue, in order.
+   * Failed sentences are reported and skipped so later ones still play.
+   */
+  flush() {
+    while (!this.cancelled && this.nextToDeliver < this.items.length) {
+      const item = this.items[this.nextToDeliver]
+      if (item.status === 'done') {
+        this.delivered++
+        this.onAudio({ sequence: item.sequence, text: item.text, clip: item.clip })
+      } else if (item.status === 'failed') {
+        this.onError({ sequence: item.sequence, text: item.text, error: item.error })
+      } else {
+        break
+      }
+      item.clip = null
+      this.nextToDeliver++
+    }
+
+    this.resolveDrainIfIdle()
+  }
+
+  /**
+   * Close the queue and wait until every queued sentence has been delivered or skipped
+   * @returns {Promise<{chunks: number, failed: number}>}
+   */
+  drain() {
+    this.closed = true
+    return new Promise((resolve) => {
+      this.drainResolvers.push(resolve)
+      this.resolveDrainIfIdle()
+    })
+  }
+
+  /**
+   * Stop the queue: nothing else is started or delivered, and drain() resolves immediately.
+   * Requests already in flight should be aborted by the caller through their own signal.
+   */
+  cancel() {
+    this.cancelled = true
+    this.closed = true
+    this.resolveDrainIfIdle()
+  }
+
+  resolveDrainIfIdle() {
+    if (!this.closed || (!this.cancelled && this.nextToDeliver < this.items.length)) {
+      return
+    }
+
+    const result = { chunks: this.delivered, failed: this.items.length - this.delivered }
+    const resolvers = this.drainResolvers
+    this.drainResolvers = []
+    resolvers.forEach(resolve => resolve(result))
+  }
+}
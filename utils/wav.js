@@ -0,0 +1,96 @@
+/**
+ * WAV Utilities
+ * Minimal RIFF/WAVE parsing for the PCM audio our TTS providers return
+ */
+
+/**
+ * Parse a WAV buffer into its format fields and PCM data
+ * @param {Buffer} buffer - Complete WAV file
+ * @returns {{audioFormat: number, channels: number, sampleRate: number, bitsPerSample: number, data: Buffer} | null}
+ *   null when the buffer is not a RIFF/WAVE file
+ */
+export function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null
+  }
+
+  let format = null
+  let data = null
+  let offset = 12
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4)
+    let chunkSize = buffer.readUInt32LE(offset + 4)
+    const chunkStart = offset + 8
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(chunkStart),
+        channels: buffer.readUInt16LE(chunkStart + 2),
+        sampleRate: buffer.readUInt32LE(chunkStart + 4),
+        bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+      }
+    } else if (chunkId === 'data') {
+      // Streaming encoders write 0 or 0xFFFFFFFF when the length is unknown
+      if (chunkSize === 0 || chunkStart + chunkSize > buffer.length) {
+        chunkSize = buffer.length - chunkStart
+      }
+      data = buffer.subarray(chunkStart, chunkStart + chunkSize)
+    }
+
+    // Chunks are padded to an even number of bytes
+    offset = chunkStart + chunkSize + (chunkSize % 2)
+  }
+
+  if (!format || !data) {
+    return null
+  }
+
+  return { ...format, data }
+}
+
+/**
+ * Playback duration of a WAV buffer
+ * @param {Buffer} buffer - Complete WAV file
+ * @returns {number} Duration in milliseconds, or 0 if the buffer is not a WAV file
+ */
+export function getWavDuration(buffer) {
+  const wav = parseWav(buffer)
+  if (!wav || !wav.sampleRate || !wav.bitsPerSample || !wav.channels) {
+    return 0
+  }
+
+  const bytesPerSecond = wav.sampleRate * wav.channels * (wav.bitsPerSample / 8)
+  return (wav.data.length / bytesPerSecond) * 1000
+}
+
+/**
+ * Wrap raw PCM samples in a WAV header
+ * @param {Buffer} pcm - Interleaved little-endian PCM samples
+ * @param {Object} format
+ * @param {number} format.sampleRate - Samples per second
+ * @param {number} [format.channels=1]
+ * @param {number} [format.bitsPerSample=16]
+ * @param {number} [format.audioFormat=1] - 1 = integer PCM, 3 = float, 6 = A-law, 7 = μ-law
+ * @returns {Buffer} Complete WAV file
+ */
+export function encodeWav(pcm, { sampleRate, channels = 1, bitsPerSample = 16, audioFormat = 1 }) {
+  const header = Buffer.alloc(44)
+  const blockAlign = channels * (bitsPerSample / 8)
+
+  header.write('RIFF', 0, 'ascii')
+  header.writeUInt32LE(36 + pcm.length, 4)
+  header.write('WAVE', 8, 'ascii')
+  header.write('fmt ', 12, 'ascii')
+  header.writeUInt32LE(16, 16)
+  header.writeUInt16LE(audioFormat, 20)
+  header.writeUInt16LE(channels, 22)
+  header.writeUInt32LE(sampleRate, 24)
+  header.writeUInt32LE(sampleRate * blockAlign, 28)
+  header.writeUInt16LE(blockAlign, 32)
+  header.writeUInt16LE(bitsPerSample, 34)
+  header.write('data', 36, 'ascii')
+  header.writeUInt32LE(pcm.length, 40)
+
+  return Buffer.concat([header, pcm])
+}